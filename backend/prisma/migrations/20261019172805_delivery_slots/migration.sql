@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "SlotReservationStatus" AS ENUM ('HELD', 'COMMITTED', 'RELEASED');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "deliverySlotId" TEXT;
+
+-- CreateTable
+CREATE TABLE "delivery_slots" (
+    "id" TEXT NOT NULL,
+    "zoneId" TEXT NOT NULL,
+    "band" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "booked" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_slots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "slot_reservations" (
+    "id" TEXT NOT NULL,
+    "slotId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "paymentIntentId" TEXT,
+    "orderId" TEXT,
+    "status" "SlotReservationStatus" NOT NULL DEFAULT 'HELD',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "slot_reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_slots_zoneId_startsAt_key" ON "delivery_slots"("zoneId", "startsAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "slot_reservations_paymentIntentId_key" ON "slot_reservations"("paymentIntentId");
+
+-- CreateIndex
+CREATE INDEX "slot_reservations_status_expiresAt_idx" ON "slot_reservations"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_deliverySlotId_fkey" FOREIGN KEY ("deliverySlotId") REFERENCES "delivery_slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_slots" ADD CONSTRAINT "delivery_slots_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "delivery_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_reservations" ADD CONSTRAINT "slot_reservations_slotId_fkey" FOREIGN KEY ("slotId") REFERENCES "delivery_slots"("id") ON DELETE CASCADE ON UPDATE CASCADE;
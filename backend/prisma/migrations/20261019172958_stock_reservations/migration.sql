@@ -0,0 +1,27 @@
+-- Slot and stock holds share one status enum
+ALTER TYPE "SlotReservationStatus" RENAME TO "ReservationStatus";
+
+-- CreateTable
+CREATE TABLE "stock_reservations" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "basketId" TEXT NOT NULL,
+    "customerId" TEXT,
+    "paymentIntentId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "status" "ReservationStatus" NOT NULL DEFAULT 'HELD',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "stock_reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_productId_status_expiresAt_idx" ON "stock_reservations"("productId", "status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_paymentIntentId_idx" ON "stock_reservations"("paymentIntentId");
+
+-- AddForeignKey
+ALTER TABLE "stock_reservations" ADD CONSTRAINT "stock_reservations_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE UNIQUE INDEX "orders_paymentIntentId_key" ON "orders"("paymentIntentId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "delivery_zones" ADD COLUMN     "minimumOrderValue" DOUBLE PRECISION;
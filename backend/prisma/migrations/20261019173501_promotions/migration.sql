@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('PERCENTAGE', 'FIXED_AMOUNT', 'FREE_DELIVERY');
+
+-- AlterTable
+ALTER TABLE "baskets" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "promotionId" TEXT;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "promotionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "maxDiscount" DOUBLE PRECISION,
+    "category" TEXT,
+    "firstOrderOnly" BOOLEAN NOT NULL DEFAULT false,
+    "minimumBasketValue" DOUBLE PRECISION,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "usageLimit" INTEGER,
+    "perCustomerLimit" INTEGER,
+    "usageCount" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promotion_redemptions" (
+    "id" TEXT NOT NULL,
+    "promotionId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "discount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotions_code_key" ON "promotions"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_redemptions_orderId_key" ON "promotion_redemptions"("orderId");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_promotionId_customerId_idx" ON "promotion_redemptions"("promotionId", "customerId");
+
+-- AddForeignKey
+ALTER TABLE "baskets" ADD CONSTRAINT "baskets_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
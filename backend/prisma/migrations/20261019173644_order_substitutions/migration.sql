@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "SubstitutionStatus" AS ENUM ('PENDING_APPROVAL', 'APPLIED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "order_substitutions" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "substituteId" TEXT NOT NULL,
+    "substituteName" TEXT NOT NULL,
+    "substituteSize" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "originalPrice" DOUBLE PRECISION NOT NULL,
+    "substitutePrice" DOUBLE PRECISION NOT NULL,
+    "priceRule" TEXT NOT NULL,
+    "refundAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "status" "SubstitutionStatus" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+
+    CONSTRAINT "order_substitutions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_substitutions_orderId_status_idx" ON "order_substitutions"("orderId", "status");
+
+-- AddForeignKey
+ALTER TABLE "order_substitutions" ADD CONSTRAINT "order_substitutions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_substitutions" ADD CONSTRAINT "order_substitutions_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
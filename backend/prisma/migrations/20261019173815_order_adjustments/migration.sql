@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "missingQuantity" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "order_substitutions" ADD COLUMN     "adjustmentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "order_adjustments" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "itemsAmount" DOUBLE PRECISION NOT NULL,
+    "discountAdjustment" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "deliveryFeeAdjustment" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lines" JSONB NOT NULL,
+    "note" TEXT,
+    "stripeRefundId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_adjustments_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "order_substitutions" ADD CONSTRAINT "order_substitutions_adjustmentId_fkey" FOREIGN KEY ("adjustmentId") REFERENCES "order_adjustments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_adjustments" ADD CONSTRAINT "order_adjustments_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "SearchOutboxOperation" AS ENUM ('CREATE', 'UPDATE', 'DELETE');
+
+-- CreateEnum
+CREATE TYPE "SearchOutboxStatus" AS ENUM ('PENDING', 'DONE', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "search_outbox" (
+    "id" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL DEFAULT 'product',
+    "entityId" TEXT NOT NULL,
+    "operation" "SearchOutboxOperation" NOT NULL,
+    "status" "SearchOutboxStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "availableAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_outbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "search_outbox_status_availableAt_idx" ON "search_outbox"("status", "availableAt");
+
+-- CreateIndex
+CREATE INDEX "search_outbox_entityType_entityId_idx" ON "search_outbox"("entityType", "entityId");
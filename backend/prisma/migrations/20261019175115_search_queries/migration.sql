@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "search_queries" (
+    "id" TEXT NOT NULL,
+    "query" TEXT NOT NULL,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "resultCount" INTEGER NOT NULL,
+    "backend" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_queries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "search_queries_language_createdAt_idx" ON "search_queries"("language", "createdAt");
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "SearchInteractionType" AS ENUM ('CLICK', 'ADD_TO_CART');
+
+-- AlterTable: searches logged before latency was recorded count as 0ms
+ALTER TABLE "search_queries" ADD COLUMN     "customerId" TEXT,
+ADD COLUMN     "filters" JSONB,
+ADD COLUMN     "latencyMs" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "productIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "sessionId" TEXT;
+
+ALTER TABLE "search_queries" ALTER COLUMN "latencyMs" DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE "search_interactions" (
+    "id" TEXT NOT NULL,
+    "searchQueryId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "type" "SearchInteractionType" NOT NULL,
+    "position" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_interactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "search_interactions_searchQueryId_idx" ON "search_interactions"("searchQueryId");
+
+-- CreateIndex
+CREATE INDEX "search_queries_query_resultCount_idx" ON "search_queries"("query", "resultCount");
+
+-- CreateIndex
+CREATE INDEX "search_queries_sessionId_createdAt_idx" ON "search_queries"("sessionId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "search_queries_customerId_createdAt_idx" ON "search_queries"("customerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "search_interactions" ADD CONSTRAINT "search_interactions_searchQueryId_fkey" FOREIGN KEY ("searchQueryId") REFERENCES "search_queries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
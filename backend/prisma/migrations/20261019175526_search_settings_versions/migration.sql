@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "search_settings_versions" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "synonyms" JSONB NOT NULL,
+    "stopWords" JSONB NOT NULL,
+    "rankingRules" TEXT[],
+    "note" TEXT,
+    "restoredFrom" INTEGER,
+    "appliedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_settings_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "search_settings_versions_version_key" ON "search_settings_versions"("version");
+
+-- AddForeignKey
+ALTER TABLE "search_settings_versions" ADD CONSTRAINT "search_settings_versions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "staff_members"("id") ON DELETE SET NULL ON UPDATE CASCADE;
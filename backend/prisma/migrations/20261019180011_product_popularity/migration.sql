@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "ProductEventType" AS ENUM ('VIEW', 'ADD_TO_CART');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "popularity" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "product_events" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "type" "ProductEventType" NOT NULL,
+    "customerId" TEXT,
+    "sessionId" TEXT,
+    "dedupeKey" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_popularity" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "zoneId" TEXT NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "orderedUnits" INTEGER NOT NULL DEFAULT 0,
+    "addToCarts" INTEGER NOT NULL DEFAULT 0,
+    "views" INTEGER NOT NULL DEFAULT 0,
+    "computedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_popularity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_events_dedupeKey_key" ON "product_events"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "product_events_createdAt_idx" ON "product_events"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "product_popularity_zoneId_score_idx" ON "product_popularity"("zoneId", "score");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_popularity_productId_zoneId_key" ON "product_popularity"("productId", "zoneId");
+
+-- AddForeignKey
+ALTER TABLE "product_events" ADD CONSTRAINT "product_events_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_popularity" ADD CONSTRAINT "product_popularity_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_popularity" ADD CONSTRAINT "product_popularity_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "delivery_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
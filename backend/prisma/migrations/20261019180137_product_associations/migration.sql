@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "product_associations" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "relatedProductId" TEXT NOT NULL,
+    "orders" INTEGER NOT NULL,
+    "confidence" DOUBLE PRECISION NOT NULL,
+    "lift" DOUBLE PRECISION NOT NULL,
+    "computedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_associations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_associations_productId_confidence_idx" ON "product_associations"("productId", "confidence");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_associations_productId_relatedProductId_key" ON "product_associations"("productId", "relatedProductId");
+
+-- AddForeignKey
+ALTER TABLE "product_associations" ADD CONSTRAINT "product_associations_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_associations" ADD CONSTRAINT "product_associations_relatedProductId_fkey" FOREIGN KEY ("relatedProductId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,89 @@
+-- Products are sold in one or more variants (sizes, pack formats). Every
+-- existing product gets one variant holding its old size, weight, unit,
+-- price, unit price and stock. Variant IDs are derived from the product ID
+-- ('v_' || product id) so the rows pointing at products can be backfilled.
+
+-- CreateTable
+CREATE TABLE "product_variants" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "size" TEXT,
+    "weight" DOUBLE PRECISION,
+    "unit" TEXT,
+    "price" DOUBLE PRECISION NOT NULL,
+    "unitPrice" DOUBLE PRECISION,
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "image" TEXT,
+    "availability" BOOLEAN NOT NULL DEFAULT true,
+    "retiredAt" TIMESTAMP(3),
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_variants_productId_idx" ON "product_variants"("productId");
+
+-- AddForeignKey
+ALTER TABLE "product_variants" ADD CONSTRAINT "product_variants_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: one variant per product. The variant keeps the product image
+-- (image stays null) and its availability, so sold-out products become
+-- products on sale with a sold-out size.
+INSERT INTO "product_variants" ("id", "productId", "size", "weight", "unit", "price", "unitPrice", "stock", "availability", "retiredAt", "createdAt", "updatedAt")
+SELECT 'v_' || "id", "id", "size", "weight", "unit", "price", "unitPrice", "stock", "availability", "retiredAt", "createdAt", CURRENT_TIMESTAMP
+FROM "products";
+
+-- Only products an admin withdrew stay off sale as a whole
+UPDATE "products" SET "availability" = true WHERE "availability" = false AND "retiredAt" IS NULL;
+
+-- AlterTable: basket lines point at the variant
+ALTER TABLE "basket_items" ADD COLUMN "variantId" TEXT;
+UPDATE "basket_items" SET "variantId" = 'v_' || "productId";
+ALTER TABLE "basket_items" ALTER COLUMN "variantId" SET NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "basket_items" ADD CONSTRAINT "basket_items_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable: order lines point at the variant
+ALTER TABLE "order_items" ADD COLUMN "variantId" TEXT;
+UPDATE "order_items" SET "variantId" = 'v_' || "productId";
+ALTER TABLE "order_items" ALTER COLUMN "variantId" SET NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable: substitutions record the size of the substitute
+ALTER TABLE "order_substitutions" ADD COLUMN "substituteVariantId" TEXT;
+UPDATE "order_substitutions" SET "substituteVariantId" = 'v_' || "substituteId";
+ALTER TABLE "order_substitutions" ALTER COLUMN "substituteVariantId" SET NOT NULL;
+
+-- AlterTable: stock is held per variant instead of per product
+ALTER TABLE "stock_reservations" ADD COLUMN "variantId" TEXT;
+UPDATE "stock_reservations" SET "variantId" = 'v_' || "productId";
+ALTER TABLE "stock_reservations" ALTER COLUMN "variantId" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "stock_reservations" DROP CONSTRAINT "stock_reservations_productId_fkey";
+
+-- DropIndex
+DROP INDEX "stock_reservations_productId_status_expiresAt_idx";
+
+-- AlterTable
+ALTER TABLE "stock_reservations" DROP COLUMN "productId";
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_variantId_status_expiresAt_idx" ON "stock_reservations"("variantId", "status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "stock_reservations" ADD CONSTRAINT "stock_reservations_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AlterTable: size, price and stock now live on the variants
+ALTER TABLE "products" DROP COLUMN "size",
+DROP COLUMN "weight",
+DROP COLUMN "unit",
+DROP COLUMN "price",
+DROP COLUMN "unitPrice",
+DROP COLUMN "stock";
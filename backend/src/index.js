@@ -17,6 +17,10 @@ const orderRoutes = require('./routes/orders');
 const authRoutes = require('./routes/auth');
 const addressRoutes = require('./routes/addresses');
 const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+
+// Import scheduled jobs
+const { startScheduledJobs } = require('./jobs');
 
 const app = express();
 const prisma = new PrismaClient();
@@ -61,6 +65,7 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/addresses', addressRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -81,6 +86,11 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`🚀 Feeya backend server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  if (process.env.NODE_ENV !== 'test') {
+    startScheduledJobs();
+    console.log('⏰ Scheduled jobs started');
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,122 @@
+const cron = require('node-cron');
+const { releaseExpiredStockReservations } = require('../utils/stock');
+const { releaseExpiredSlotHolds } = require('../utils/slots');
+const { purgeExpiredIdempotencyKeys } = require('../middleware/idempotency');
+const { processSearchOutbox, purgeProcessedOutbox } = require('../utils/searchSync');
+const { recomputePopularity, purgeProductEvents } = require('../utils/popularity');
+const { mineProductAssociations } = require('../utils/recommendations');
+const { retryPendingAdjustmentRefunds } = require('../utils/adjustments');
+const { retryPendingCancellationRefunds } = require('../utils/orders');
+const { purgeSearchQueries } = require('../utils/searchAnalytics');
+const { applySearchSettings } = require('../utils/searchSettings');
+
+// Set while a search outbox run is in progress so runs never overlap
+let searchOutboxRunning = false;
+
+/**
+ * Run a job body, logging instead of throwing so one failure never stops the schedule
+ * @param {string} name - Job name for logs
+ * @param {Function} fn - Async job body
+ */
+async function runJob(name, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    console.error(`Scheduled job "${name}" failed:`, error);
+  }
+}
+
+/**
+ * Register all scheduled background jobs
+ * @returns {Array} Scheduled cron tasks
+ */
+function startScheduledJobs() {
+  const tasks = [];
+
+  // Return expired checkout holds to sale every minute
+  tasks.push(cron.schedule('* * * * *', () => runJob('release-expired-reservations', async () => {
+    const stock = await releaseExpiredStockReservations();
+    const slots = await releaseExpiredSlotHolds();
+
+    if (stock > 0 || slots > 0) {
+      console.log(`Released ${stock} expired stock reservations and ${slots} slot holds`);
+    }
+  })));
+
+  // Retry refunds Stripe did not accept when the order was cancelled or adjusted
+  tasks.push(cron.schedule('*/5 * * * *', () => runJob('retry-pending-refunds', async () => {
+    const cancellations = await retryPendingCancellationRefunds();
+    const adjustments = await retryPendingAdjustmentRefunds();
+
+    if (cancellations > 0 || adjustments > 0) {
+      console.log(`Issued ${cancellations} pending cancellation and ${adjustments} adjustment refunds`);
+    }
+  })));
+
+  // Drop stored idempotent responses once their replay window has passed
+  tasks.push(cron.schedule('15 * * * *', () => runJob('purge-idempotency-keys', async () => {
+    const purged = await purgeExpiredIdempotencyKeys();
+    console.log(`Purged ${purged} expired idempotency keys`);
+  })));
+
+  // Apply product changes to the search index every 10 seconds
+  tasks.push(cron.schedule('*/10 * * * * *', () => {
+    if (searchOutboxRunning) {
+      return;
+    }
+
+    searchOutboxRunning = true;
+    runJob('process-search-outbox', async () => {
+      const { processed, retried, failed } = await processSearchOutbox();
+
+      if (retried > 0 || failed > 0) {
+        console.log(`Search outbox: ${processed} applied, ${retried} to retry, ${failed} failed permanently`);
+      }
+    }).finally(() => {
+      searchOutboxRunning = false;
+    });
+  }));
+
+  // Push search settings versions Meilisearch has not accepted yet
+  tasks.push(cron.schedule('* * * * *', () => runJob('apply-search-settings', async () => {
+    const applied = await applySearchSettings();
+
+    if (applied) {
+      console.log(`Applied search settings version ${applied.version}`);
+    }
+  })));
+
+  // Drop applied search outbox entries after a week
+  tasks.push(cron.schedule('30 3 * * *', () => runJob('purge-search-outbox', async () => {
+    const purged = await purgeProcessedOutbox();
+    console.log(`Purged ${purged} processed search outbox entries`);
+  })));
+
+  // Drop logged searches once they fall out of every report window
+  tasks.push(cron.schedule('45 3 * * *', () => runJob('purge-search-queries', async () => {
+    const purged = await purgeSearchQueries();
+    console.log(`Purged ${purged} logged searches`);
+  })));
+
+  // Rescore product popularity every hour; changed scores reach search through the outbox
+  tasks.push(cron.schedule('45 * * * *', () => runJob('recompute-popularity', async () => {
+    const { scored, zoneScores, changed } = await recomputePopularity();
+    console.log(`Popularity: ${scored} products scored, ${zoneScores} zone scores, ${changed} products changed`);
+  })));
+
+  // Drop product events that fell out of the popularity window
+  tasks.push(cron.schedule('0 4 * * *', () => runJob('purge-product-events', async () => {
+    const purged = await purgeProductEvents();
+    console.log(`Purged ${purged} product events`);
+  })));
+
+  // Mine products bought together from order history every night
+  tasks.push(cron.schedule('15 2 * * *', () => runJob('mine-product-associations', async () => {
+    const { orders, products, associations } = await mineProductAssociations();
+    console.log(`Recommendations: ${associations} associations for ${products} products from ${orders} orders`);
+  })));
+
+  return tasks;
+}
+
+module.exports = { startScheduledJobs, runJob };
@@ -0,0 +1,83 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Body fields never written to the audit trail
+const REDACTED_FIELDS = ['password', 'passwordHash'];
+
+/**
+ * Copy a request body without secrets
+ * @param {Object} body - Request body
+ * @returns {Object} Body safe to store
+ */
+function redact(body = {}) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([key]) => !REDACTED_FIELDS.includes(key))
+  );
+}
+
+/**
+ * Record that a staff member performed an action
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.staffId - Staff member ID
+ * @param {string} entry.action - Action name, e.g. "order.status_updated"
+ * @param {string} entry.entityType - Entity type, e.g. "order"
+ * @param {string} entry.entityId - Entity ID (optional)
+ * @param {Object} entry.metadata - Extra details (optional)
+ * @param {string} entry.ip - Client IP (optional)
+ * @returns {Promise<Object>} Audit log entry
+ */
+async function recordAudit({ staffId, action, entityType, entityId = null, metadata = null, ip = null }) {
+  return prisma.auditLog.create({
+    data: {
+      staffId,
+      action,
+      entityType,
+      entityId,
+      metadata,
+      ip
+    }
+  });
+}
+
+/**
+ * Audit middleware for staff endpoints. Once the response has been sent
+ * successfully, the acting staff member, route params and request body are
+ * written to the audit trail. Use after authenticateStaffToken and requireRole.
+ * @param {string} action - Action name, e.g. "order.status_updated"
+ * @param {string} entityType - Entity type, e.g. "order"
+ * @param {string} idParam - Route param holding the entity ID (default: "id")
+ * @returns {Function} Express middleware
+ */
+function auditTrail(action, entityType, idParam = 'id') {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || !req.user) {
+        return;
+      }
+
+      recordAudit({
+        staffId: req.user.id,
+        action,
+        entityType,
+        entityId: req.params[idParam] || res.locals.auditEntityId || null,
+        metadata: {
+          role: req.user.role,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          params: req.params,
+          body: redact(req.body),
+          statusCode: res.statusCode
+        },
+        ip: req.ip
+      }).catch(error => console.error('Record audit error:', error));
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  recordAudit,
+  auditTrail
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint of a request: method, path and body
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Drop a key so the next request with it runs again
+ * @param {string} id - Idempotency key record ID
+ * @returns {Promise<void>}
+ */
+async function releaseKey(id) {
+  await prisma.idempotencyKey.deleteMany({ where: { id } }).catch(error => {
+    console.error('Clear idempotency key error:', error);
+  });
+}
+
+/**
+ * Store the first response for a key. Server errors drop the key so the client
+ * can retry; if storing fails the key is dropped too, rather than left looking
+ * in flight until it expires.
+ * @param {string} id - Idempotency key record ID
+ * @param {number} statusCode - Response status code
+ * @param {*} responseBody - JSON body, text body or null
+ * @returns {Promise<void>}
+ */
+async function storeResponse(id, statusCode, responseBody) {
+  try {
+    if (statusCode >= 500) {
+      await prisma.idempotencyKey.deleteMany({ where: { id } });
+      return;
+    }
+
+    await prisma.idempotencyKey.update({
+      where: { id },
+      data: {
+        statusCode,
+        // Left unset (SQL NULL) for bodiless responses: Prisma rejects a plain null for Json
+        ...(responseBody !== null && { responseBody }),
+        completedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Store idempotent response error:', error);
+
+    await releaseKey(id);
+  }
+}
+
+/**
+ * Send a stored response again
+ * @param {Object} res - Express response object
+ * @param {Object} record - Completed idempotency key record
+ * @returns {Object} Express response
+ */
+function replayResponse(res, record) {
+  res.status(record.statusCode);
+
+  if (record.responseBody === null) {
+    return res.end();
+  }
+
+  return typeof record.responseBody === 'string'
+    ? res.send(record.responseBody)
+    : res.json(record.responseBody);
+}
+
+/**
+ * Idempotency-Key middleware. The first response for a key is stored and
+ * replayed for repeats within the TTL; reusing a key with a different request
+ * is rejected. Keys are scoped to the caller (customer or guest session) and
+ * the endpoint. Requests without the header pass through untouched.
+ * @returns {Function} Express middleware
+ */
+function idempotency() {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const owner = req.user?.id || req.headers['x-session-id'] || req.query.sessionId || 'anonymous';
+    const scope = `${owner}:${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const requestHash = hashRequest(req);
+
+    try {
+      let record = await prisma.idempotencyKey.findUnique({
+        where: { key_scope: { key, scope } }
+      });
+
+      if (record && record.expiresAt < new Date()) {
+        await prisma.idempotencyKey.deleteMany({ where: { id: record.id } });
+        record = null;
+      }
+
+      if (record) {
+        if (record.requestHash !== requestHash) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+        }
+
+        if (!record.completedAt) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return replayResponse(res, record);
+      }
+
+      record = await prisma.idempotencyKey.create({
+        data: {
+          key,
+          scope,
+          requestHash,
+          expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+        }
+      });
+
+      // Capture the first response so repeats can be replayed. json() ends in
+      // send(), so the body is taken from whichever runs first; end() alone
+      // (e.g. a 204) stores no body.
+      let responseBody = null;
+      const json = res.json.bind(res);
+      const send = res.send.bind(res);
+
+      res.json = (body) => {
+        responseBody = body === undefined ? null : body;
+        return json(body);
+      };
+
+      res.send = (body) => {
+        if (responseBody === null && body !== undefined && body !== null) {
+          responseBody = Buffer.isBuffer(body) ? body.toString() : body;
+        }
+        return send(body);
+      };
+
+      res.on('finish', () => {
+        storeResponse(record.id, res.statusCode, responseBody);
+      });
+
+      // A client that disconnects before the response is written never gets a
+      // finish event; release the key so its retry is not refused until expiry
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          releaseKey(record.id);
+        }
+      });
+
+      next();
+    } catch (error) {
+      if (error.code === 'P2002') {
+        // A concurrent request with the same key won the insert
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      console.error('Idempotency error:', error);
+      res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+    }
+  };
+}
+
+/**
+ * Delete stored responses past their TTL
+ * @returns {Promise<number>} Number of deleted keys
+ */
+async function purgeExpiredIdempotencyKeys() {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  return count;
+}
+
+module.exports = {
+  idempotency,
+  purgeExpiredIdempotencyKeys
+};
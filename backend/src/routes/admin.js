@@ -0,0 +1,739 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Import auth middleware
+const { authenticateStaffToken, requireRole, STAFF_ROLES } = require('./auth');
+const { auditTrail } = require('../middleware/audit');
+const { enqueueProductChanges } = require('../utils/searchOutbox');
+const { getTopQueries, getZeroResultQueries, getLowCtrQueries } = require('../utils/searchAnalytics');
+const {
+  getCurrentSearchSettings,
+  withSynonym,
+  withoutSynonym,
+  withStopWords,
+  withRankingRules,
+  saveSearchSettings,
+  rollbackSearchSettings,
+  getSearchSettingsHistory
+} = require('../utils/searchSettings');
+
+// Validation schemas
+const createStaffSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  email: Joi.string().email().required(),
+  password: Joi.string().min(12).max(128).required(),
+  role: Joi.string().valid(...STAFF_ROLES).required()
+});
+
+const updateStaffSchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  password: Joi.string().min(12).max(128).optional(),
+  role: Joi.string().valid(...STAFF_ROLES).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Fields shared by product create, replace and patch
+const productFields = {
+  name: Joi.string().min(1).max(200),
+  description: Joi.string().max(2000).allow('', null),
+  category: Joi.string().min(1).max(100),
+  image: Joi.string().uri().allow('', null),
+  allergens: Joi.array().items(Joi.string().max(50)),
+  origin: Joi.string().max(100).allow('', null),
+  availability: Joi.boolean()
+};
+
+// Fields shared by variant create and patch
+const variantFields = {
+  size: Joi.string().max(50).allow('', null),
+  weight: Joi.number().min(0).allow(null),
+  unit: Joi.string().max(20).allow('', null),
+  price: Joi.number().precision(2).min(0),
+  unitPrice: Joi.number().precision(2).min(0).allow(null),
+  stock: Joi.number().integer().min(0),
+  image: Joi.string().uri().allow('', null),
+  availability: Joi.boolean(),
+  position: Joi.number().integer().min(0)
+};
+
+const variantSchema = Joi.object({
+  ...variantFields,
+  price: variantFields.price.required(),
+  stock: variantFields.stock.default(0),
+  availability: variantFields.availability.default(true),
+  position: variantFields.position.default(0)
+});
+
+const variantPatchSchema = Joi.object(variantFields).min(1);
+
+const productSchema = Joi.object({
+  ...productFields,
+  name: productFields.name.required(),
+  category: productFields.category.required(),
+  allergens: productFields.allergens.default([]),
+  availability: productFields.availability.default(true)
+});
+
+// A new product comes with the sizes it is sold in
+const productCreateSchema = productSchema.keys({
+  variants: Joi.array().items(variantSchema).min(1).max(20).required()
+});
+
+const productPatchSchema = Joi.object(productFields).min(1);
+
+const productQuerySchema = Joi.object({
+  q: Joi.string().max(100).optional(),
+  category: Joi.string().optional(),
+  availability: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Optional product fields cleared by a full replace (PUT)
+const PRODUCT_NULLABLE_FIELDS = ['description', 'image', 'origin'];
+
+// Variants listed in admin, including sizes withdrawn from sale
+const adminVariantInclude = {
+  orderBy: [
+    { position: 'asc' },
+    { price: 'asc' }
+  ]
+};
+
+const searchReportSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  minSearches: Joi.number().integer().min(1).default(10)
+});
+
+// Search analytics reports by URL segment
+const SEARCH_REPORTS = {
+  'top-queries': getTopQueries,
+  'zero-results': getZeroResultQueries,
+  'low-ctr': getLowCtrQueries
+};
+
+const settingsNote = Joi.string().max(500).optional();
+
+const synonymSchema = Joi.object({
+  synonyms: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(20).required(),
+  note: settingsNote
+});
+
+const stopWordsSchema = Joi.object({
+  stopWords: Joi.array().items(Joi.string().trim().min(1).max(30)).max(200).required(),
+  note: settingsNote
+});
+
+const rankingRulesSchema = Joi.object({
+  rankingRules: Joi.array().items(Joi.string()).min(1).max(20).required(),
+  note: settingsNote
+});
+
+const rollbackSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  note: settingsNote
+});
+
+const historyQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const auditQuerySchema = Joi.object({
+  staffId: Joi.string().optional(),
+  action: Joi.string().optional(),
+  entityType: Joi.string().optional(),
+  entityId: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const staffSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  isActive: true,
+  lastLoginAt: true,
+  createdAt: true
+};
+
+// Helper function to format a staff member for responses
+function formatStaff(staff) {
+  return {
+    ...staff,
+    role: staff.role.toLowerCase()
+  };
+}
+
+// Helper function to turn validated product or variant input into Prisma data
+function productData(value) {
+  const data = { ...value };
+
+  // Withdrawing from sale is remembered so restocks don't undo it
+  if (value.availability === false) {
+    data.retiredAt = new Date();
+  } else if (value.availability === true) {
+    data.retiredAt = null;
+  }
+
+  return data;
+}
+
+// Helper function to save a product change; the search worker picks it up from the outbox
+async function saveProduct(req, res, data, message, operation = 'UPDATE') {
+  const product = await prisma.$transaction(async (tx) => {
+    const updated = await tx.product.update({
+      where: { id: req.params.id },
+      data,
+      include: { variants: adminVariantInclude }
+    });
+
+    await enqueueProductChanges(tx, [updated.id], operation);
+    return updated;
+  });
+
+  res.json({
+    success: true,
+    message,
+    product
+  });
+}
+
+// Helper function to send a search settings error
+function sendSearchSettingsError(res, error, fallbackMessage) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  console.error('Search settings error:', error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Helper function to save a search settings change and respond with the new version
+async function saveSettingsChange(req, res, change, note) {
+  const version = await saveSearchSettings({
+    change,
+    note,
+    staffId: req.user.id
+  });
+
+  res.locals.auditEntityId = version.id;
+
+  res.json({
+    success: true,
+    version: version.version,
+    applied: Boolean(version.appliedAt),
+    settings: await getCurrentSearchSettings({ fresh: true })
+  });
+}
+
+// Every admin endpoint needs a signed-in staff member
+router.use(authenticateStaffToken);
+
+// GET /api/admin/staff
+router.get('/staff', requireRole('admin'), async (req, res) => {
+  try {
+    const staff = await prisma.staffMember.findMany({
+      select: staffSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      staff: staff.map(formatStaff)
+    });
+
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ error: 'Failed to fetch staff' });
+  }
+});
+
+// POST /api/admin/staff
+router.post('/staff', requireRole('admin'), auditTrail('staff.created', 'staff'), async (req, res) => {
+  try {
+    const { error, value } = createStaffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const staff = await prisma.staffMember.create({
+      data: {
+        name: value.name,
+        email: value.email.toLowerCase(),
+        passwordHash: await bcrypt.hash(value.password, 12),
+        role: value.role.toUpperCase()
+      },
+      select: staffSelect
+    });
+
+    res.locals.auditEntityId = staff.id;
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member created successfully',
+      staff: formatStaff(staff)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A staff member with this email already exists' });
+    }
+
+    console.error('Create staff error:', error);
+    res.status(500).json({ error: 'Failed to create staff member' });
+  }
+});
+
+// PATCH /api/admin/staff/:id
+router.patch('/staff/:id', requireRole('admin'), auditTrail('staff.updated', 'staff'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = updateStaffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (id === req.user.id && (value.isActive === false || (value.role && value.role !== 'admin'))) {
+      return res.status(400).json({ error: 'You cannot deactivate or demote your own account' });
+    }
+
+    const data = {};
+    if (value.name) data.name = value.name;
+    if (value.role) data.role = value.role.toUpperCase();
+    if (value.isActive !== undefined) data.isActive = value.isActive;
+    if (value.password) data.passwordHash = await bcrypt.hash(value.password, 12);
+
+    const staff = await prisma.staffMember.update({
+      where: { id },
+      data,
+      select: staffSelect
+    });
+
+    res.json({
+      success: true,
+      message: 'Staff member updated successfully',
+      staff: formatStaff(staff)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    console.error('Update staff error:', error);
+    res.status(500).json({ error: 'Failed to update staff member' });
+  }
+});
+
+// GET /api/admin/products
+router.get('/products', requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = productQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { q, category, availability, page, limit } = value;
+    const where = {};
+    if (q) where.name = { contains: q, mode: 'insensitive' };
+    if (category) where.category = category;
+    if (availability !== undefined) where.availability = availability;
+
+    const [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        include: { variants: adminVariantInclude },
+        orderBy: { name: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.product.count({ where })
+    ]);
+
+    res.json({
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin products error:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// POST /api/admin/products
+router.post('/products', requireRole('admin'), auditTrail('product.created', 'product'), async (req, res) => {
+  try {
+    const { error, value } = productCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { variants, ...fields } = value;
+    const product = await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({
+        data: {
+          ...productData(fields),
+          variants: { create: variants.map(productData) }
+        },
+        include: { variants: adminVariantInclude }
+      });
+
+      await enqueueProductChanges(tx, [created.id], 'CREATE');
+      return created;
+    });
+
+    res.locals.auditEntityId = product.id;
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      product
+    });
+
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// PUT /api/admin/products/:id
+router.put('/products/:id', requireRole('admin'), auditTrail('product.replaced', 'product'), async (req, res) => {
+  try {
+    const { error, value } = productSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const cleared = Object.fromEntries(PRODUCT_NULLABLE_FIELDS.map(field => [field, null]));
+    await saveProduct(req, res, { ...cleared, ...productData(value) }, 'Product updated successfully');
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    console.error('Replace product error:', error);
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// PATCH /api/admin/products/:id
+router.patch('/products/:id', requireRole('admin'), auditTrail('product.updated', 'product'), async (req, res) => {
+  try {
+    const { error, value } = productPatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await saveProduct(req, res, productData(value), 'Product updated successfully');
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    console.error('Update product error:', error);
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// DELETE /api/admin/products/:id
+// Soft delete: the row stays so order history keeps pointing at it
+router.delete('/products/:id', requireRole('admin'), auditTrail('product.retired', 'product'), async (req, res) => {
+  try {
+    await saveProduct(req, res, productData({ availability: false }), 'Product retired successfully', 'DELETE');
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    console.error('Retire product error:', error);
+    res.status(500).json({ error: 'Failed to retire product' });
+  }
+});
+
+// POST /api/admin/products/:id/variants
+router.post('/products/:id/variants', requireRole('admin'), auditTrail('product.variant_created', 'product'), async (req, res) => {
+  try {
+    const { error, value } = variantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await saveProduct(req, res, { variants: { create: productData(value) } }, 'Variant created successfully');
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    console.error('Create variant error:', error);
+    res.status(500).json({ error: 'Failed to create variant' });
+  }
+});
+
+// PATCH /api/admin/products/:id/variants/:variantId
+router.patch('/products/:id/variants/:variantId', requireRole('admin'), auditTrail('product.variant_updated', 'product'), async (req, res) => {
+  try {
+    const { error, value } = variantPatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await saveProduct(req, res, {
+      variants: {
+        update: {
+          where: { id: req.params.variantId },
+          data: productData(value)
+        }
+      }
+    }, 'Variant updated successfully');
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    console.error('Update variant error:', error);
+    res.status(500).json({ error: 'Failed to update variant' });
+  }
+});
+
+// DELETE /api/admin/products/:id/variants/:variantId
+// Soft delete: order and basket lines keep pointing at the variant
+router.delete('/products/:id/variants/:variantId', requireRole('admin'), auditTrail('product.variant_retired', 'product'), async (req, res) => {
+  try {
+    await saveProduct(req, res, {
+      variants: {
+        update: {
+          where: { id: req.params.variantId },
+          data: productData({ availability: false })
+        }
+      }
+    }, 'Variant retired successfully');
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    console.error('Retire variant error:', error);
+    res.status(500).json({ error: 'Failed to retire variant' });
+  }
+});
+
+// GET /api/admin/search/:report (top-queries, zero-results, low-ctr)
+router.get('/search/:report', requireRole('admin'), async (req, res) => {
+  try {
+    const report = SEARCH_REPORTS[req.params.report];
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const { error, value } = searchReportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const since = new Date(Date.now() - value.days * 24 * 60 * 60 * 1000);
+    const rows = await report({ since, limit: value.limit, minSearches: value.minSearches });
+
+    res.json({
+      report: req.params.report,
+      since,
+      rows
+    });
+
+  } catch (error) {
+    console.error('Search report error:', error);
+    res.status(500).json({ error: 'Failed to build search report' });
+  }
+});
+
+// GET /api/admin/search-settings
+router.get('/search-settings', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      settings: await getCurrentSearchSettings({ fresh: true })
+    });
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to fetch search settings');
+  }
+});
+
+// GET /api/admin/search-settings/history
+router.get('/search-settings/history', requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { versions, total } = await getSearchSettingsHistory(value);
+
+    res.json({
+      versions,
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        pages: Math.ceil(total / value.limit)
+      }
+    });
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to fetch search settings history');
+  }
+});
+
+// PUT /api/admin/search-settings/synonyms/:language/:term
+router.put('/search-settings/synonyms/:language/:term', requireRole('admin'), auditTrail('search_settings.synonym_saved', 'search_settings'), async (req, res) => {
+  try {
+    const { error, value } = synonymSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { language, term } = req.params;
+    await saveSettingsChange(req, res, settings => withSynonym(settings, language, term, value.synonyms), value.note);
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to save synonym');
+  }
+});
+
+// DELETE /api/admin/search-settings/synonyms/:language/:term
+router.delete('/search-settings/synonyms/:language/:term', requireRole('admin'), auditTrail('search_settings.synonym_deleted', 'search_settings'), async (req, res) => {
+  try {
+    const { language, term } = req.params;
+    await saveSettingsChange(req, res, settings => withoutSynonym(settings, language, term), req.body?.note);
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to delete synonym');
+  }
+});
+
+// PUT /api/admin/search-settings/stop-words/:language
+router.put('/search-settings/stop-words/:language', requireRole('admin'), auditTrail('search_settings.stop_words_saved', 'search_settings'), async (req, res) => {
+  try {
+    const { error, value } = stopWordsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { language } = req.params;
+    await saveSettingsChange(req, res, settings => withStopWords(settings, language, value.stopWords), value.note);
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to save stop words');
+  }
+});
+
+// PUT /api/admin/search-settings/ranking-rules
+router.put('/search-settings/ranking-rules', requireRole('admin'), auditTrail('search_settings.ranking_rules_saved', 'search_settings'), async (req, res) => {
+  try {
+    const { error, value } = rankingRulesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await saveSettingsChange(req, res, settings => withRankingRules(settings, value.rankingRules), value.note);
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to save ranking rules');
+  }
+});
+
+// POST /api/admin/search-settings/rollback
+router.post('/search-settings/rollback', requireRole('admin'), auditTrail('search_settings.rolled_back', 'search_settings'), async (req, res) => {
+  try {
+    const { error, value } = rollbackSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const version = await rollbackSearchSettings({
+      version: value.version,
+      note: value.note,
+      staffId: req.user.id
+    });
+
+    res.locals.auditEntityId = version.id;
+
+    res.json({
+      success: true,
+      version: version.version,
+      restoredFrom: version.restoredFrom,
+      applied: Boolean(version.appliedAt),
+      settings: await getCurrentSearchSettings({ fresh: true })
+    });
+
+  } catch (error) {
+    sendSearchSettingsError(res, error, 'Failed to roll back search settings');
+  }
+});
+
+// GET /api/admin/audit-logs
+router.get('/audit-logs', requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { page, limit, ...filters } = value;
+    const where = Object.fromEntries(
+      Object.entries(filters).filter(([, filterValue]) => filterValue !== undefined)
+    );
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          staff: {
+            select: { name: true, email: true, role: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+module.exports = router;
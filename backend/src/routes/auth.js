@@ -1,12 +1,15 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const Joi = require('joi');
 const twilio = require('twilio');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const { mergeGuestBasket } = require('../utils/basket');
+
 // Initialize Twilio
 const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
@@ -17,9 +20,18 @@ const sendOtpSchema = Joi.object({
 
 const verifyOtpSchema = Joi.object({
   phone: Joi.string().pattern(/^\+[1-9]\d{1,14}$/).required(),
-  code: Joi.string().length(6).pattern(/^\d+$/).required()
+  code: Joi.string().length(6).pattern(/^\d+$/).required(),
+  sessionId: Joi.string().max(255).optional()
+});
+
+const staffLoginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
 });
 
+// Staff roles carried in the JWT `role` claim; customers get "customer"
+const STAFF_ROLES = ['admin', 'picker', 'driver', 'support'];
+
 // Rate limiting for OTP requests
 const otpRateLimit = require('express-rate-limit')({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -29,6 +41,15 @@ const otpRateLimit = require('express-rate-limit')({
   legacyHeaders: false,
 });
 
+// Rate limiting for staff sign-in
+const staffLoginRateLimit = require('express-rate-limit')({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 sign-in attempts per windowMs
+  message: 'Too many sign-in attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Store OTP codes in memory (in production, use Redis)
 const otpStore = new Map();
 
@@ -44,20 +65,97 @@ function createToken(payload) {
   });
 }
 
-// Middleware to verify JWT token
-function authenticateToken(req, res, next) {
+// Helper function to read the bearer token of a request
+function getBearerToken(req) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Helper function to build middleware that verifies the JWT and only accepts
+// customer or staff tokens. Both share the secret and the `id` claim, so a
+// staff ID must never reach customer routes (or the reverse).
+function verifyTokenFor(audience) {
+  return (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+      if (err) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+      }
+
+      const isStaff = STAFF_ROLES.includes(user.role);
+      if (audience === 'staff' && !isStaff) {
+        return res.status(403).json({ error: 'Staff access required' });
+      }
+      if (audience === 'customer' && isStaff) {
+        return res.status(403).json({ error: 'Customer access required' });
+      }
+
+      req.user = user;
+      next();
+    });
+  };
+}
+
+// Middleware to verify a customer's JWT token
+const authenticateToken = verifyTokenFor('customer');
+
+// Middleware to verify a staff member's JWT token; follow with requireRole
+const authenticateStaffToken = verifyTokenFor('staff');
+
+// Middleware that only lets active staff with one of the given roles through (admins always pass).
+// Use after authenticateStaffToken.
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    const role = req.user?.role;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'Staff access required' });
+    }
+
+    if (role !== 'admin' && !roles.includes(role)) {
+      return res.status(403).json({ 
+        error: 'Insufficient permissions',
+        requiredRoles: roles
+      });
+    }
+
+    try {
+      // Deactivated or re-assigned staff lose access without waiting for the token to expire
+      const staff = await prisma.staffMember.findUnique({
+        where: { id: req.user.id },
+        select: { isActive: true, role: true }
+      });
+
+      if (!staff || !staff.isActive || staff.role !== role.toUpperCase()) {
+        return res.status(403).json({ error: 'Staff account is not active for this role' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Require role error:', error);
+      res.status(500).json({ error: 'Failed to verify permissions' });
+    }
+  };
+}
+
+// Middleware that identifies the customer when a valid token is sent, but lets guests through.
+// Staff tokens are treated as guests.
+function optionalAuthenticateToken(req, res, next) {
+  const token = getBearerToken(req);
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return next();
   }
 
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+    if (!err && !STAFF_ROLES.includes(user.role)) {
+      req.user = user;
     }
-    req.user = user;
     next();
   });
 }
@@ -126,6 +224,7 @@ router.post('/verify-otp', async (req, res) => {
     }
 
     const { phone, code } = value;
+    const sessionId = value.sessionId || req.headers['x-session-id'];
 
     // Check if OTP exists and is not expired
     const storedOtp = otpStore.get(phone);
@@ -169,10 +268,29 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
+    // Carry the guest basket over to the customer. A failed merge leaves the
+    // guest basket untouched, so sign-in still succeeds and the app retries
+    // with POST /api/cart/merge.
+    let cart = null;
+    if (sessionId) {
+      try {
+        cart = await mergeGuestBasket(sessionId, customer.id);
+      } catch (mergeError) {
+        console.error('Guest basket merge error:', mergeError);
+        cart = {
+          merged: false,
+          basketId: null,
+          adjustments: [],
+          error: 'merge_failed'
+        };
+      }
+    }
+
     // Create JWT token
     const token = createToken({
       id: customer.id,
-      phone: customer.phone
+      phone: customer.phone,
+      role: 'customer'
     });
 
     res.json({
@@ -184,7 +302,8 @@ router.post('/verify-otp', async (req, res) => {
         phone: customer.phone,
         name: customer.name,
         email: customer.email
-      }
+      },
+      cart
     });
 
   } catch (error) {
@@ -193,6 +312,55 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
+// POST /api/auth/staff/login
+router.post('/staff/login', staffLoginRateLimit, async (req, res) => {
+  try {
+    const { error, value } = staffLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const staff = await prisma.staffMember.findUnique({
+      where: { email: value.email.toLowerCase() }
+    });
+
+    const validPassword = staff && await bcrypt.compare(value.password, staff.passwordHash);
+    if (!validPassword || !staff.isActive) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await prisma.staffMember.update({
+      where: { id: staff.id },
+      data: { lastLoginAt: new Date() }
+    });
+
+    const role = staff.role.toLowerCase();
+    const token = jwt.sign({
+      id: staff.id,
+      email: staff.email,
+      role
+    }, process.env.JWT_SECRET, {
+      expiresIn: process.env.STAFF_JWT_EXPIRES_IN || '12h'
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed in successfully',
+      token,
+      staff: {
+        id: staff.id,
+        name: staff.name,
+        email: staff.email,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Staff login error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
 // GET /api/auth/me
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -268,5 +436,9 @@ router.post('/logout', authenticateToken, (req, res) => {
 
 // Export middleware for use in other routes
 router.authenticateToken = authenticateToken;
+router.authenticateStaffToken = authenticateStaffToken;
+router.optionalAuthenticateToken = optionalAuthenticateToken;
+router.requireRole = requireRole;
+router.STAFF_ROLES = STAFF_ROLES;
 
 module.exports = router;
@@ -5,113 +5,49 @@ const Joi = require('joi');
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Import auth middleware
+const { optionalAuthenticateToken } = require('./auth');
+
+const { getAvailableStock } = require('../utils/stock');
+const { getOrCreateBasket, calculateBasketTotal, getBasketProductIds, mergeGuestBasket } = require('../utils/basket');
+const { findDeliveryZone, getCustomerPostalCode, getDeliveryQuote, roundCurrency } = require('../utils/delivery');
+const { getNextAvailableSlot } = require('../utils/slots');
+const { findPromotionByCode, PROMOTION_MESSAGES } = require('../utils/promotions');
+const { idempotency } = require('../middleware/idempotency');
+const { recordSearchInteraction } = require('../utils/searchAnalytics');
+const { recordProductEvent } = require('../utils/popularity');
+const { getBasketRecommendations } = require('../utils/recommendations');
+const { resolveVariant } = require('../utils/variants');
+
 // Validation schemas
 const addToCartSchema = Joi.object({
-  productId: Joi.string().required(),
-  quantity: Joi.number().integer().min(1).max(10).required()
-});
+  productId: Joi.string().optional(),
+  variantId: Joi.string().optional(), // required for products sold in several sizes
+  quantity: Joi.number().integer().min(1).max(10).required(),
+  searchQueryId: Joi.string().max(100).optional(), // queryId of the search the product was added from
+  position: Joi.number().integer().min(1).optional()
+}).or('productId', 'variantId');
 
 const updateCartItemSchema = Joi.object({
   quantity: Joi.number().integer().min(0).max(10).required()
 });
 
 const removeFromCartSchema = Joi.object({
-  productId: Joi.string().required()
+  variantId: Joi.string().required()
 });
 
-// Helper function to get or create basket
-async function getOrCreateBasket(sessionId, customerId = null) {
-  let basket = await prisma.basket.findFirst({
-    where: {
-      OR: [
-        { sessionId },
-        { customerId }
-      ]
-    },
-    include: {
-      items: {
-        include: {
-          product: {
-            select: {
-              id: true,
-              name: true,
-              image: true,
-              size: true,
-              price: true,
-              unitPrice: true,
-              availability: true,
-              stock: true
-            }
-          }
-        }
-      }
-    }
-  });
-
-  if (!basket) {
-    basket = await prisma.basket.create({
-      data: {
-        sessionId,
-        customerId,
-        subtotal: 0
-      },
-      include: {
-        items: {
-          include: {
-            product: {
-              select: {
-                id: true,
-                name: true,
-                image: true,
-                size: true,
-                price: true,
-                unitPrice: true,
-                availability: true,
-                stock: true
-              }
-            }
-          }
-        }
-      }
-    });
-  }
-
-  return basket;
-}
-
-// Helper function to calculate basket total
-async function calculateBasketTotal(basketId) {
-  const items = await prisma.basketItem.findMany({
-    where: { basketId },
-    include: {
-      product: {
-        select: { price: true, availability: true, stock: true }
-      }
-    }
-  });
-
-  let subtotal = 0;
-  const unavailableItems = [];
+const postalCodeSchema = Joi.string().pattern(/^\d{4}$/);
 
-  for (const item of items) {
-    if (!item.product.availability || item.product.stock < item.quantity) {
-      unavailableItems.push({
-        productId: item.productId,
-        name: item.product.name,
-        reason: !item.product.availability ? 'out_of_stock' : 'insufficient_stock'
-      });
-    } else {
-      subtotal += item.price * item.quantity;
-    }
-  }
+const promoCodeSchema = Joi.object({
+  code: Joi.string().trim().min(1).max(50).required()
+});
 
-  await prisma.basket.update({
-    where: { id: basketId },
-    data: { subtotal }
-  });
+const recommendationsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(20).default(6)
+});
 
-  return { subtotal, unavailableItems };
-}
+// Identify signed-in customers so they get their own basket
+router.use(optionalAuthenticateToken);
 
 // GET /api/cart
 router.get('/', async (req, res) => {
@@ -123,13 +59,27 @@ router.get('/', async (req, res) => {
       return res.status(400).json({ error: 'Session ID or authentication required' });
     }
 
-    const basket = await getOrCreateBasket(sessionId, customerId);
-    const { subtotal, unavailableItems } = await calculateBasketTotal(basket.id);
+    const { error: postalCodeError } = postalCodeSchema.validate(req.query.postalCode);
+    if (postalCodeError) {
+      return res.status(400).json({ error: 'Invalid postal code' });
+    }
 
-    // Get delivery zone info (simplified for MVP)
-    const deliveryFee = 3.99;
-    const freeDeliveryThreshold = 40.00;
-    const total = subtotal + (subtotal >= freeDeliveryThreshold ? 0 : deliveryFee);
+    const basket = await getOrCreateBasket(sessionId, customerId);
+    const {
+      subtotal,
+      discount,
+      freeDelivery,
+      promotion,
+      promotionError,
+      unavailableItems
+    } = await calculateBasketTotal(basket.id);
+
+    // Delivery zone from the requested postcode, else the customer's default address
+    const postalCode = req.query.postalCode || await getCustomerPostalCode(customerId);
+    const deliveryZone = await findDeliveryZone(postalCode);
+    const quote = getDeliveryQuote(deliveryZone, subtotal, { freeDelivery });
+    const nextSlot = deliveryZone ? await getNextAvailableSlot(deliveryZone) : null;
+    const total = roundCurrency(subtotal - discount + quote.deliveryFee);
 
     res.json({
       basket: {
@@ -137,15 +87,28 @@ router.get('/', async (req, res) => {
         items: basket.items.map(item => ({
           id: item.id,
           productId: item.productId,
+          variantId: item.variantId,
           quantity: item.quantity,
           price: item.price,
-          product: item.product
+          product: item.product,
+          variant: item.variant
         })),
         subtotal,
-        deliveryFee: subtotal >= freeDeliveryThreshold ? 0 : deliveryFee,
-        freeDeliveryThreshold,
+        discount,
+        deliveryFee: quote.deliveryFee,
+        freeDeliveryThreshold: quote.freeDeliveryThreshold,
         total,
+        promotion,
+        promotionError,
         unavailableItems
+      },
+      delivery: {
+        postalCode: postalCode || null,
+        available: postalCode ? Boolean(deliveryZone) : null, // null until a postcode is known
+        zone: deliveryZone ? { name: deliveryZone.name } : null,
+        ...quote,
+        etaBand: nextSlot ? nextSlot.label : null,
+        nextSlot
       }
     });
 
@@ -155,15 +118,41 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/cart/recommendations
+router.get('/recommendations', async (req, res) => {
+  try {
+    const sessionId = req.headers['x-session-id'] || req.query.sessionId;
+    const customerId = req.user?.id;
+
+    if (!sessionId && !customerId) {
+      return res.status(400).json({ error: 'Session ID or authentication required' });
+    }
+
+    const { error, value } = recommendationsSchema.validate({ limit: req.query.limit });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const productIds = await getBasketProductIds(sessionId, customerId);
+    const products = await getBasketRecommendations(productIds, { limit: value.limit });
+
+    res.json({ products });
+
+  } catch (error) {
+    console.error('Cart recommendations error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+});
+
 // POST /api/cart/add
-router.post('/add', async (req, res) => {
+router.post('/add', idempotency(), async (req, res) => {
   try {
     const { error, value } = addToCartSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { productId, quantity } = value;
+    const { quantity } = value;
     const sessionId = req.headers['x-session-id'] || req.query.sessionId;
     const customerId = req.user?.id;
 
@@ -171,40 +160,31 @@ router.post('/add', async (req, res) => {
       return res.status(400).json({ error: 'Session ID or authentication required' });
     }
 
-    // Check if product exists and is available
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: {
-        id: true,
-        name: true,
-        price: true,
-        availability: true,
-        stock: true
-      }
-    });
-
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
+    // Check the picked size exists and is available
+    const variant = await resolveVariant(value);
+    const productId = variant.productId;
 
-    if (!product.availability) {
+    if (!variant.product.availability || !variant.availability) {
       return res.status(400).json({ error: 'Product is not available' });
     }
 
-    if (product.stock < quantity) {
+    const basket = await getOrCreateBasket(sessionId, customerId);
+
+    // Units held for other shoppers' payments cannot be added
+    const availableStock = await getAvailableStock(variant, basket.id);
+
+    if (availableStock < quantity) {
       return res.status(400).json({ 
         error: 'Insufficient stock',
-        availableStock: product.stock
+        availableStock
       });
     }
 
-    const basket = await getOrCreateBasket(sessionId, customerId);
-
     // Check if item already exists in basket
     const existingItem = await prisma.basketItem.findFirst({
       where: {
         basketId: basket.id,
-        productId
+        variantId: variant.id
       }
     });
 
@@ -212,10 +192,10 @@ router.post('/add', async (req, res) => {
       // Update quantity
       const newQuantity = existingItem.quantity + quantity;
       
-      if (product.stock < newQuantity) {
+      if (availableStock < newQuantity) {
         return res.status(400).json({ 
           error: 'Insufficient stock for requested quantity',
-          availableStock: product.stock,
+          availableStock,
           currentQuantity: existingItem.quantity
         });
       }
@@ -224,7 +204,7 @@ router.post('/add', async (req, res) => {
         where: { id: existingItem.id },
         data: { 
           quantity: newQuantity,
-          price: product.price // Update price in case it changed
+          price: variant.price // Update price in case it changed
         }
       });
     } else {
@@ -233,12 +213,29 @@ router.post('/add', async (req, res) => {
         data: {
           basketId: basket.id,
           productId,
+          variantId: variant.id,
           quantity,
-          price: product.price
+          price: variant.price
         }
       });
     }
 
+    recordProductEvent({
+      productId,
+      type: 'ADD_TO_CART',
+      customerId,
+      sessionId
+    }).catch(eventError => console.error('Record add-to-cart event error:', eventError.message));
+
+    if (value.searchQueryId) {
+      recordSearchInteraction({
+        searchQueryId: value.searchQueryId,
+        productId,
+        type: 'ADD_TO_CART',
+        position: value.position
+      }).catch(searchError => console.error('Record search add-to-cart error:', searchError.message));
+    }
+
     // Recalculate basket total
     const { subtotal } = await calculateBasketTotal(basket.id);
 
@@ -249,15 +246,23 @@ router.post('/add', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Add to cart error:', error);
     res.status(500).json({ error: 'Failed to add item to cart' });
   }
 });
 
 // PUT /api/cart/update
-router.put('/update/:productId', async (req, res) => {
+router.put('/update/:variantId', idempotency(), async (req, res) => {
   try {
-    const { productId } = req.params;
+    const { variantId } = req.params;
     const { error, value } = updateCartItemSchema.validate(req.body);
     
     if (error) {
@@ -279,24 +284,32 @@ router.put('/update/:productId', async (req, res) => {
       await prisma.basketItem.deleteMany({
         where: {
           basketId: basket.id,
-          productId
+          variantId
         }
       });
     } else {
       // Check stock availability
-      const product = await prisma.product.findUnique({
-        where: { id: productId },
-        select: { stock: true, price: true, availability: true }
+      const variant = await prisma.productVariant.findUnique({
+        where: { id: variantId },
+        select: {
+          id: true,
+          stock: true,
+          price: true,
+          availability: true,
+          product: { select: { availability: true } }
+        }
       });
 
-      if (!product || !product.availability) {
+      if (!variant || !variant.availability || !variant.product.availability) {
         return res.status(400).json({ error: 'Product not available' });
       }
 
-      if (product.stock < quantity) {
+      const availableStock = await getAvailableStock(variant, basket.id);
+
+      if (availableStock < quantity) {
         return res.status(400).json({ 
           error: 'Insufficient stock',
-          availableStock: product.stock
+          availableStock
         });
       }
 
@@ -304,11 +317,11 @@ router.put('/update/:productId', async (req, res) => {
       await prisma.basketItem.updateMany({
         where: {
           basketId: basket.id,
-          productId
+          variantId
         },
         data: {
           quantity,
-          price: product.price
+          price: variant.price
         }
       });
     }
@@ -329,9 +342,9 @@ router.put('/update/:productId', async (req, res) => {
 });
 
 // DELETE /api/cart/remove
-router.delete('/remove/:productId', async (req, res) => {
+router.delete('/remove/:variantId', async (req, res) => {
   try {
-    const { productId } = req.params;
+    const { variantId } = req.params;
     const sessionId = req.headers['x-session-id'] || req.query.sessionId;
     const customerId = req.user?.id;
 
@@ -344,7 +357,7 @@ router.delete('/remove/:productId', async (req, res) => {
     await prisma.basketItem.deleteMany({
       where: {
         basketId: basket.id,
-        productId
+        variantId
       }
     });
 
@@ -381,7 +394,7 @@ router.delete('/clear', async (req, res) => {
 
     await prisma.basket.update({
       where: { id: basket.id },
-      data: { subtotal: 0 }
+      data: { subtotal: 0, discount: 0 }
     });
 
     res.json({
@@ -395,4 +408,121 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
+// POST /api/cart/merge
+router.post('/merge', async (req, res) => {
+  try {
+    const sessionId = req.headers['x-session-id'] || req.body.sessionId;
+    const customerId = req.user?.id;
+
+    if (!customerId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID required' });
+    }
+
+    const cart = await mergeGuestBasket(sessionId, customerId);
+
+    res.json({ success: true, cart });
+
+  } catch (error) {
+    console.error('Merge cart error:', error);
+    res.status(500).json({ error: 'Failed to merge guest basket' });
+  }
+});
+
+// POST /api/cart/promo
+router.post('/promo', async (req, res) => {
+  try {
+    const { error, value } = promoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const sessionId = req.headers['x-session-id'] || req.query.sessionId;
+    const customerId = req.user?.id;
+
+    if (!sessionId && !customerId) {
+      return res.status(400).json({ error: 'Session ID or authentication required' });
+    }
+
+    const promotion = await findPromotionByCode(value.code);
+    if (!promotion) {
+      return res.status(404).json({ 
+        error: PROMOTION_MESSAGES.not_found,
+        reason: 'not_found'
+      });
+    }
+
+    const basket = await getOrCreateBasket(sessionId, customerId);
+
+    await prisma.basket.update({
+      where: { id: basket.id },
+      data: { promotionId: promotion.id }
+    });
+
+    const totals = await calculateBasketTotal(basket.id);
+
+    // Do not keep a code that does not apply to this basket
+    if (totals.promotionError) {
+      await prisma.basket.update({
+        where: { id: basket.id },
+        data: { promotionId: basket.promotionId }
+      });
+      await calculateBasketTotal(basket.id);
+
+      return res.status(400).json({ 
+        error: totals.promotionError.message,
+        reason: totals.promotionError.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code applied',
+      promotion: totals.promotion,
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      freeDelivery: totals.freeDelivery
+    });
+
+  } catch (error) {
+    console.error('Apply promo code error:', error);
+    res.status(500).json({ error: 'Failed to apply promo code' });
+  }
+});
+
+// DELETE /api/cart/promo
+router.delete('/promo', async (req, res) => {
+  try {
+    const sessionId = req.headers['x-session-id'] || req.query.sessionId;
+    const customerId = req.user?.id;
+
+    if (!sessionId && !customerId) {
+      return res.status(400).json({ error: 'Session ID or authentication required' });
+    }
+
+    const basket = await getOrCreateBasket(sessionId, customerId);
+
+    await prisma.basket.update({
+      where: { id: basket.id },
+      data: { promotionId: null }
+    });
+
+    const { subtotal, discount } = await calculateBasketTotal(basket.id);
+
+    res.json({
+      success: true,
+      message: 'Promo code removed',
+      subtotal,
+      discount
+    });
+
+  } catch (error) {
+    console.error('Remove promo code error:', error);
+    res.status(500).json({ error: 'Failed to remove promo code' });
+  }
+});
+
 module.exports = router;
@@ -9,6 +9,19 @@ const prisma = new PrismaClient();
 
 // Import auth middleware
 const { authenticateToken } = require('./auth');
+const {
+  listAvailableSlots,
+  getNextAvailableSlot,
+  holdSlot,
+  attachPaymentIntent,
+  releaseSlotReservation,
+  formatSlotLabel
+} = require('../utils/slots');
+const { reserveBasketStock, linkStockReservations, releaseStockReservations } = require('../utils/stock');
+const { placeOrderForPaymentIntent } = require('../utils/orders');
+const { findDeliveryZone, getDeliveryQuote, roundCurrency } = require('../utils/delivery');
+const { calculateBasketTotal } = require('../utils/basket');
+const { idempotency } = require('../middleware/idempotency');
 
 // Validation schemas
 const addressSchema = Joi.object({
@@ -31,36 +44,7 @@ const paymentSchema = Joi.object({
   substitutionAllowed: Joi.boolean().default(false)
 });
 
-// Helper function to validate delivery zone
-async function validateDeliveryZone(postalCode) {
-  const deliveryZone = await prisma.deliveryZone.findFirst({
-    where: {
-      postalCodes: {
-        has: postalCode
-      },
-      isActive: true
-    }
-  });
-
-  return deliveryZone;
-}
-
-// Helper function to get ETA band
-function getETABand() {
-  const now = new Date();
-  const hour = now.getHours();
-  
-  // Simple ETA logic - in production, this would be more sophisticated
-  if (hour < 12) {
-    return "12:00-13:00";
-  } else if (hour < 16) {
-    return "16:00-17:00";
-  } else if (hour < 20) {
-    return "20:00-21:00";
-  } else {
-    return "12:00-13:00"; // Next day
-  }
-}
+const slotKeySchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}:[\w-]+$/);
 
 // Helper function to validate Google Places address
 async function validateAddressWithGooglePlaces(address) {
@@ -102,7 +86,7 @@ router.get('/delivery-info', async (req, res) => {
       return res.status(400).json({ error: 'Postal code required' });
     }
 
-    const deliveryZone = await validateDeliveryZone(postalCode);
+    const deliveryZone = await findDeliveryZone(postalCode);
 
     if (!deliveryZone) {
       return res.status(400).json({ 
@@ -111,13 +95,15 @@ router.get('/delivery-info', async (req, res) => {
       });
     }
 
-    const etaBand = getETABand();
+    const nextSlot = await getNextAvailableSlot(deliveryZone);
 
     res.json({
       available: true,
       deliveryFee: deliveryZone.deliveryFee,
       freeDeliveryThreshold: deliveryZone.freeDeliveryThreshold,
-      etaBand,
+      minimumOrderValue: deliveryZone.minimumOrderValue || 0,
+      etaBand: nextSlot ? nextSlot.label : null,
+      nextSlot,
       zone: {
         name: deliveryZone.name,
         postalCodes: deliveryZone.postalCodes
@@ -130,6 +116,39 @@ router.get('/delivery-info', async (req, res) => {
   }
 });
 
+// GET /api/checkout/slots
+router.get('/slots', async (req, res) => {
+  try {
+    const { postalCode } = req.query;
+
+    if (!postalCode) {
+      return res.status(400).json({ error: 'Postal code required' });
+    }
+
+    const deliveryZone = await findDeliveryZone(postalCode);
+
+    if (!deliveryZone) {
+      return res.status(400).json({ 
+        error: 'Delivery not available in this area',
+        available: false
+      });
+    }
+
+    const slots = await listAvailableSlots(deliveryZone);
+
+    res.json({
+      zone: {
+        name: deliveryZone.name
+      },
+      slots
+    });
+
+  } catch (error) {
+    console.error('Delivery slots error:', error);
+    res.status(500).json({ error: 'Failed to get delivery slots' });
+  }
+});
+
 // POST /api/checkout/validate-address
 router.post('/validate-address', async (req, res) => {
   try {
@@ -150,7 +169,7 @@ router.post('/validate-address', async (req, res) => {
     }
 
     // Check delivery zone
-    const deliveryZone = await validateDeliveryZone(address.postalCode);
+    const deliveryZone = await findDeliveryZone(address.postalCode);
     if (!deliveryZone) {
       return res.status(400).json({ 
         error: 'Delivery not available in this area',
@@ -164,7 +183,8 @@ router.post('/validate-address', async (req, res) => {
       deliveryZone: {
         name: deliveryZone.name,
         deliveryFee: deliveryZone.deliveryFee,
-        freeDeliveryThreshold: deliveryZone.freeDeliveryThreshold
+        freeDeliveryThreshold: deliveryZone.freeDeliveryThreshold,
+        minimumOrderValue: deliveryZone.minimumOrderValue || 0
       }
     });
 
@@ -175,12 +195,16 @@ router.post('/validate-address', async (req, res) => {
 });
 
 // POST /api/checkout/create-payment-intent
-router.post('/create-payment-intent', authenticateToken, async (req, res) => {
+router.post('/create-payment-intent', authenticateToken, idempotency(), async (req, res) => {
+  let slotHold = null;
+  let stockHeldForBasket = null;
+
   try {
     const { error, value } = Joi.object({
       address: addressSchema.required(),
       contact: contactSchema.required(),
-      payment: paymentSchema.required()
+      payment: paymentSchema.required(),
+      slotKey: slotKeySchema.optional()
     }).validate(req.body);
 
     if (error) {
@@ -200,6 +224,12 @@ router.post('/create-payment-intent', authenticateToken, async (req, res) => {
               select: {
                 id: true,
                 name: true,
+                availability: true
+              }
+            },
+            variant: {
+              select: {
+                id: true,
                 price: true,
                 availability: true,
                 stock: true
@@ -219,11 +249,14 @@ router.post('/create-payment-intent', authenticateToken, async (req, res) => {
     let subtotal = 0;
 
     for (const item of basket.items) {
-      if (!item.product.availability || item.product.stock < item.quantity) {
+      const onSale = item.product.availability && item.variant.availability;
+
+      if (!onSale || item.variant.stock < item.quantity) {
         unavailableItems.push({
           productId: item.productId,
+          variantId: item.variantId,
           name: item.product.name,
-          reason: !item.product.availability ? 'out_of_stock' : 'insufficient_stock'
+          reason: !onSale ? 'out_of_stock' : 'insufficient_stock'
         });
       } else {
         subtotal += item.price * item.quantity;
@@ -237,15 +270,75 @@ router.post('/create-payment-intent', authenticateToken, async (req, res) => {
       });
     }
 
+    // Re-check the applied promo code against the final basket
+    const { discount, freeDelivery, promotion, promotionError } = await calculateBasketTotal(basket.id);
+    if (promotionError) {
+      return res.status(400).json({ 
+        error: promotionError.message,
+        code: 'PROMOTION_INVALID',
+        promotion: promotionError
+      });
+    }
+
     // Check delivery zone
-    const deliveryZone = await validateDeliveryZone(address.postalCode);
+    const deliveryZone = await findDeliveryZone(address.postalCode);
     if (!deliveryZone) {
       return res.status(400).json({ error: 'Delivery not available in this area' });
     }
 
+    // Enforce the zone's minimum order value
+    const quote = getDeliveryQuote(deliveryZone, subtotal, { freeDelivery });
+    if (!quote.meetsMinimumOrder) {
+      return res.status(400).json({ 
+        error: 'Minimum order value not reached',
+        code: 'MINIMUM_ORDER_NOT_MET',
+        minimumOrderValue: quote.minimumOrderValue,
+        subtotal,
+        amountToMinimumOrder: quote.amountToMinimumOrder
+      });
+    }
+
+    // Hold the chosen delivery slot (or the next free one) for the payment window
+    let slotKey = value.slotKey;
+    if (!slotKey) {
+      const nextSlot = await getNextAvailableSlot(deliveryZone);
+      if (!nextSlot) {
+        return res.status(409).json({ error: 'No delivery slots available' });
+      }
+      slotKey = nextSlot.slotKey;
+    }
+
+    slotHold = await holdSlot(deliveryZone, slotKey, customerId);
+    if (slotHold.error) {
+      const reason = slotHold.error;
+      slotHold = null;
+      return res.status(409).json({ 
+        error: 'Selected delivery slot is no longer available',
+        reason,
+        slotKey
+      });
+    }
+
+    // Hold basket stock so nobody else can buy it while the customer pays
+    const stockHold = await reserveBasketStock({
+      basketId: basket.id,
+      customerId,
+      items: basket.items
+    });
+
+    if (stockHold.unavailableItems) {
+      await releaseSlotReservation(slotHold.reservation.id);
+      slotHold = null;
+      return res.status(400).json({ 
+        error: 'Some items are no longer available',
+        unavailableItems: stockHold.unavailableItems
+      });
+    }
+    stockHeldForBasket = basket.id;
+
     // Calculate totals
-    const deliveryFee = subtotal >= deliveryZone.freeDeliveryThreshold ? 0 : deliveryZone.deliveryFee;
-    const total = subtotal + deliveryFee;
+    const deliveryFee = quote.deliveryFee;
+    const total = roundCurrency(subtotal - discount + deliveryFee);
 
     // Create or update customer address
     const customerAddress = await prisma.address.upsert({
@@ -295,10 +388,17 @@ router.post('/create-payment-intent', authenticateToken, async (req, res) => {
         customerId,
         basketId: basket.id,
         addressId: customerAddress.id,
-        substitutionAllowed: payment.substitutionAllowed.toString()
+        substitutionAllowed: payment.substitutionAllowed.toString(),
+        slotReservationId: slotHold.reservation.id,
+        promotionId: promotion ? promotion.id : '',
+        discount: discount.toString(),
+        deliveryFee: deliveryFee.toString()
       }
     });
 
+    await attachPaymentIntent(slotHold.reservation.id, paymentIntent.id);
+    await linkStockReservations(basket.id, paymentIntent.id);
+
     res.json({
       paymentIntent: {
         id: paymentIntent.id,
@@ -307,14 +407,34 @@ router.post('/create-payment-intent', authenticateToken, async (req, res) => {
       },
       order: {
         subtotal,
+        discount,
         deliveryFee,
         total,
-        etaBand: getETABand()
+        promotion,
+        etaBand: formatSlotLabel(slotHold.slot),
+        slot: {
+          slotKey,
+          startsAt: slotHold.slot.startsAt,
+          endsAt: slotHold.slot.endsAt,
+          heldUntil: slotHold.reservation.expiresAt
+        }
       }
     });
 
   } catch (error) {
     console.error('Create payment intent error:', error);
+
+    if (slotHold) {
+      await releaseSlotReservation(slotHold.reservation.id).catch(releaseError => {
+        console.error('Release slot hold error:', releaseError);
+      });
+    }
+
+    if (stockHeldForBasket) {
+      await releaseStockReservations({ basketId: stockHeldForBasket }).catch(releaseError => {
+        console.error('Release stock hold error:', releaseError);
+      });
+    }
     
     if (error.type === 'StripeCardError') {
       res.status(400).json({ error: error.message });
@@ -325,7 +445,7 @@ router.post('/create-payment-intent', authenticateToken, async (req, res) => {
 });
 
 // POST /api/checkout/confirm-payment
-router.post('/confirm-payment', authenticateToken, async (req, res) => {
+router.post('/confirm-payment', authenticateToken, idempotency(), async (req, res) => {
   try {
     const { paymentIntentId } = req.body;
 
@@ -343,87 +463,13 @@ router.post('/confirm-payment', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get customer and basket info
-    const customerId = req.user.id;
-    const basket = await prisma.basket.findFirst({
-      where: { customerId },
-      include: {
-        items: {
-          include: {
-            product: {
-              select: {
-                id: true,
-                name: true,
-                price: true,
-                size: true
-              }
-            }
-          }
-        }
-      }
-    });
-
-    if (!basket) {
-      return res.status(400).json({ error: 'Basket not found' });
+    // The payment must belong to the authenticated customer
+    if (paymentIntent.metadata.customerId !== req.user.id) {
+      return res.status(403).json({ error: 'Payment does not belong to this customer' });
     }
 
-    // Create order
-    const orderNumber = `FEY-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
-    
-    const order = await prisma.order.create({
-      data: {
-        orderNumber,
-        customerId,
-        addressId: paymentIntent.metadata.addressId,
-        basketId: basket.id,
-        status: 'CONFIRMED',
-        subtotal: basket.subtotal,
-        deliveryFee: paymentIntent.amount / 100 - basket.subtotal,
-        total: paymentIntent.amount / 100,
-        etaBand: getETABand(),
-        substitutionAllowed: paymentIntent.metadata.substitutionAllowed === 'true',
-        paymentIntentId,
-        paymentStatus: 'PAID'
-      }
-    });
-
-    // Create order items
-    const orderItems = await Promise.all(
-      basket.items.map(item =>
-        prisma.orderItem.create({
-          data: {
-            orderId: order.id,
-            productId: item.productId,
-            quantity: item.quantity,
-            price: item.price,
-            name: item.product.name,
-            size: item.product.size
-          }
-        })
-      )
-    );
-
-    // Create order event
-    await prisma.orderEvent.create({
-      data: {
-        orderId: order.id,
-        event: 'confirmed',
-        metadata: {
-          paymentIntentId,
-          total: order.total
-        }
-      }
-    });
-
-    // Clear basket
-    await prisma.basketItem.deleteMany({
-      where: { basketId: basket.id }
-    });
-
-    await prisma.basket.update({
-      where: { id: basket.id },
-      data: { subtotal: 0 }
-    });
+    // Create the order (or return the one the webhook already created)
+    const { order } = await placeOrderForPaymentIntent(paymentIntent);
 
     res.json({
       success: true,
@@ -433,7 +479,7 @@ router.post('/confirm-payment', authenticateToken, async (req, res) => {
         status: order.status,
         total: order.total,
         etaBand: order.etaBand,
-        items: orderItems.map(item => ({
+        items: order.items.map(item => ({
           name: item.name,
           size: item.size,
           quantity: item.quantity,
@@ -444,7 +490,19 @@ router.post('/confirm-payment', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Confirm payment error:', error);
-    res.status(500).json({ error: 'Failed to confirm payment' });
+
+    if (error.unavailableItems) {
+      res.status(409).json({ 
+        error: error.message,
+        unavailableItems: error.unavailableItems
+      });
+    } else if (error.name === 'ConflictError') {
+      res.status(409).json({ error: error.message });
+    } else if (error.name === 'ValidationError') {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to confirm payment' });
+    }
   }
 });
 
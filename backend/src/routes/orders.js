@@ -6,7 +6,21 @@ const router = express.Router();
 const prisma = new PrismaClient();
 
 // Import auth middleware
-const { authenticateToken } = require('./auth');
+const { authenticateToken, authenticateStaffToken, requireRole } = require('./auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+  getSubstitutableItem,
+  getSubstitutionCandidates,
+  substituteOrderItem,
+  respondToSubstitution
+} = require('../utils/substitutions');
+const { adjustOrder } = require('../utils/adjustments');
+const { cancelOrder } = require('../utils/orders');
+const { ORDER_TRANSITIONS, transitionOrder } = require('../utils/orderStatus');
+const { buildTrackingTimeline, normalizeEventName } = require('../utils/orderEvents');
+const { subscribeToOrderEvents } = require('../utils/orderEventBus');
+
+const STREAM_HEARTBEAT_SECONDS = parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 25;
 
 // Validation schemas
 const orderStatusSchema = Joi.object({
@@ -14,6 +28,80 @@ const orderStatusSchema = Joi.object({
   metadata: Joi.object().optional()
 });
 
+// Staff roles that may move an order into each status (admins may do all)
+const STATUS_UPDATE_ROLES = {
+  CONFIRMED: [],
+  PREPARING: ['picker'],
+  OUT_FOR_DELIVERY: ['picker', 'driver'],
+  DELIVERED: ['driver'],
+  CANCELLED: ['support']
+};
+
+const substituteSchema = Joi.object({
+  substituteId: Joi.string().optional()
+});
+
+const substitutionResponseSchema = Joi.object({
+  approved: Joi.boolean().required()
+});
+
+const adjustmentSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    itemId: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).default([]),
+  note: Joi.string().max(500).optional()
+});
+
+// Helper function to fetch an order's events written after a cursor event
+async function findOrderEventsAfter(orderId, cursor) {
+  const where = cursor
+    ? {
+      orderId,
+      OR: [
+        { timestamp: { gt: cursor.timestamp } },
+        { timestamp: cursor.timestamp, id: { gt: cursor.id } }
+      ]
+    }
+    : { orderId };
+
+  return prisma.orderEvent.findMany({
+    where,
+    orderBy: [{ timestamp: 'asc' }, { id: 'asc' }],
+    take: 100
+  });
+}
+
+// Helper function to write one order event as an SSE message
+function writeStreamEvent(res, orderEvent) {
+  const data = {
+    id: orderEvent.id,
+    event: normalizeEventName(orderEvent.event),
+    timestamp: orderEvent.timestamp,
+    metadata: orderEvent.metadata
+  };
+
+  res.write(`id: ${orderEvent.id}\nevent: order_event\ndata: ${JSON.stringify(data)}\n\n`);
+  res.flush?.(); // push through the compression middleware
+}
+
+// Helper function to send fulfilment errors
+function sendOrderError(res, error, fallbackMessage) {
+  if (['ValidationError', 'NotFoundError', 'ConflictError'].includes(error.name)) {
+    return res.status(error.status).json({ 
+      error: error.message,
+      ...(error.details && { details: error.details }),
+      ...(error.allowedTransitions && {
+        currentStatus: error.currentStatus,
+        allowedTransitions: error.allowedTransitions
+      }),
+      ...(error.alternatives && { alternatives: error.alternatives })
+    });
+  }
+
+  res.status(500).json({ error: fallbackMessage });
+}
+
 // GET /api/orders
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -114,14 +202,19 @@ router.get('/:id', authenticateToken, async (req, res) => {
         },
         items: {
           select: {
+            id: true,
             name: true,
             size: true,
             quantity: true,
+            missingQuantity: true,
             price: true
           }
         },
         events: {
           orderBy: { timestamp: 'asc' }
+        },
+        substitutions: {
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -140,14 +233,27 @@ router.get('/:id', authenticateToken, async (req, res) => {
         deliveryFee: order.deliveryFee,
         discount: order.discount,
         total: order.total,
+        refundedAmount: order.refundedAmount,
         etaBand: order.etaBand,
         substitutionAllowed: order.substitutionAllowed,
         createdAt: order.createdAt,
         updatedAt: order.updatedAt,
         address: order.address,
         items: order.items,
+        substitutions: order.substitutions.map(substitution => ({
+          id: substitution.id,
+          orderItemId: substitution.orderItemId,
+          substituteName: substitution.substituteName,
+          substituteSize: substitution.substituteSize,
+          quantity: substitution.quantity,
+          originalPrice: substitution.originalPrice,
+          substitutePrice: substitution.substitutePrice,
+          refundAmount: substitution.refundAmount,
+          status: substitution.status,
+          createdAt: substitution.createdAt
+        })),
         timeline: order.events.map(event => ({
-          event: event.event,
+          event: normalizeEventName(event.event),
           timestamp: event.timestamp,
           metadata: event.metadata
         }))
@@ -181,6 +287,12 @@ router.get('/:id/track', authenticateToken, async (req, res) => {
             city: true
           }
         },
+        deliverySlot: {
+          select: {
+            startsAt: true,
+            endsAt: true
+          }
+        },
         events: {
           orderBy: { timestamp: 'asc' }
         }
@@ -191,35 +303,20 @@ router.get('/:id/track', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Define status timeline
-    const statusTimeline = [
-      { status: 'CONFIRMED', label: 'Order Confirmed', description: 'Your order has been confirmed and payment processed' },
-      { status: 'PREPARING', label: 'Preparing', description: 'We are preparing your order' },
-      { status: 'OUT_FOR_DELIVERY', label: 'Out for Delivery', description: 'Your order is on its way' },
-      { status: 'DELIVERED', label: 'Delivered', description: 'Your order has been delivered' }
-    ];
-
-    // Map events to timeline
-    const timeline = statusTimeline.map(statusInfo => {
-      const event = order.events.find(e => e.event === statusInfo.status.toLowerCase().replace('_', ' '));
-      return {
-        status: statusInfo.status,
-        label: statusInfo.label,
-        description: statusInfo.description,
-        completed: order.events.some(e => e.event === statusInfo.status.toLowerCase().replace('_', ' ')),
-        timestamp: event?.timestamp || null,
-        metadata: event?.metadata || null
-      };
-    });
+    const { timeline, updates, eta, delayed } = buildTrackingTimeline(order);
 
     res.json({
       order: {
         id: order.id,
         orderNumber: order.orderNumber,
         status: order.status,
+        paymentStatus: order.paymentStatus,
         etaBand: order.etaBand,
+        eta,
+        delayed,
         address: order.address,
-        timeline
+        timeline,
+        updates
       }
     });
 
@@ -229,8 +326,8 @@ router.get('/:id/track', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/orders/:id/cancel
-router.post('/:id/cancel', authenticateToken, async (req, res) => {
+// GET /api/orders/:id/stream (Server-Sent Events)
+router.get('/:id/stream', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const customerId = req.user.id;
@@ -239,52 +336,120 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
       where: {
         id,
         customerId
-      }
+      },
+      select: { id: true }
     });
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    if (order.status === 'DELIVERED') {
-      return res.status(400).json({ error: 'Cannot cancel delivered order' });
+    // Resume after the last event the client saw, otherwise start from now
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    let cursor;
+
+    if (lastEventId) {
+      cursor = await prisma.orderEvent.findFirst({
+        where: { id: lastEventId, orderId: id },
+        select: { id: true, timestamp: true }
+      });
+    } else {
+      cursor = await prisma.orderEvent.findFirst({
+        where: { orderId: id },
+        orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+        select: { id: true, timestamp: true }
+      });
     }
 
-    if (order.status === 'CANCELLED') {
-      return res.status(400).json({ error: 'Order already cancelled' });
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+    res.flush?.();
+
+    // Send events one batch at a time so messages never interleave
+    let sending = Promise.resolve();
+    const sendNewEvents = () => {
+      sending = sending
+        .then(async () => {
+          const events = await findOrderEventsAfter(id, cursor);
+          for (const orderEvent of events) {
+            writeStreamEvent(res, orderEvent);
+            cursor = orderEvent;
+          }
+        })
+        .catch(error => console.error('Order stream error:', error));
+    };
+
+    // Replay anything missed since Last-Event-ID (or an unknown ID)
+    if (lastEventId) {
+      sendNewEvents();
     }
 
-    // Update order status
-    await prisma.order.update({
-      where: { id },
-      data: { status: 'CANCELLED' }
+    const unsubscribe = subscribeToOrderEvents(id, sendNewEvents);
+
+    // Heartbeats keep proxies from closing the connection and catch events
+    // published by other instances
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat\n\n`);
+      res.flush?.();
+      sendNewEvents();
+    }, STREAM_HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
 
-    // Create cancellation event
-    await prisma.orderEvent.create({
-      data: {
-        orderId: id,
-        event: 'cancelled',
-        metadata: {
-          cancelledBy: 'customer',
-          cancelledAt: new Date().toISOString()
-        }
-      }
+  } catch (error) {
+    console.error('Stream order error:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Failed to stream order' });
+    }
+  }
+});
+
+// POST /api/orders/:id/cancel
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const customerId = req.user.id;
+
+    const { order, refund } = await cancelOrder({
+      orderId: id,
+      customerId,
+      cancelledBy: 'customer'
     });
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully'
+      message: 'Order cancelled successfully',
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus
+      },
+      refund: refund ? {
+        id: refund.id,
+        amount: refund.amount / 100,
+        status: refund.status
+      } : null
     });
 
   } catch (error) {
     console.error('Cancel order error:', error);
-    res.status(500).json({ error: 'Failed to cancel order' });
+    sendOrderError(res, error, 'Failed to cancel order');
   }
 });
 
-// POST /api/orders/:id/update-status (Admin only - for order management)
-router.post('/:id/update-status', async (req, res) => {
+// POST /api/orders/:id/update-status (Staff only - for order management)
+router.post('/:id/update-status', authenticateStaffToken, requireRole('picker', 'driver', 'support'), auditTrail('order.status_updated', 'order'), async (req, res) => {
   try {
     const { id } = req.params;
     const { error, value } = orderStatusSchema.validate(req.body);
@@ -294,30 +459,21 @@ router.post('/:id/update-status', async (req, res) => {
     }
 
     const { status, metadata } = value;
+    const { role } = req.user;
 
-    // Check if order exists
-    const order = await prisma.order.findUnique({
-      where: { id }
-    });
-
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (role !== 'admin' && !STATUS_UPDATE_ROLES[status].includes(role)) {
+      return res.status(403).json({ error: `Role ${role} cannot set status ${status}` });
     }
 
-    // Update order status
-    await prisma.order.update({
-      where: { id },
-      data: { status }
-    });
-
-    // Create status update event
-    await prisma.orderEvent.create({
-      data: {
+    // Cancelling refunds, restocks and frees the slot
+    const order = status === 'CANCELLED'
+      ? (await cancelOrder({ orderId: id, cancelledBy: 'staff', staffId: req.user.id })).order
+      : await transitionOrder({
         orderId: id,
-        event: status.toLowerCase().replace('_', ' '),
-        metadata: metadata || {}
-      }
-    });
+        to: status,
+        metadata: { ...metadata, staffId: req.user.id },
+        actor: 'staff'
+      });
 
     res.json({
       success: true,
@@ -325,13 +481,136 @@ router.post('/:id/update-status', async (req, res) => {
       order: {
         id: order.id,
         orderNumber: order.orderNumber,
-        status
+        status: order.status,
+        allowedTransitions: ORDER_TRANSITIONS[order.status]
       }
     });
 
   } catch (error) {
     console.error('Update order status error:', error);
-    res.status(500).json({ error: 'Failed to update order status' });
+    sendOrderError(res, error, 'Failed to update order status');
+  }
+});
+
+// GET /api/orders/:id/items/:itemId/substitutes (Picker only - ranked alternatives)
+router.get('/:id/items/:itemId/substitutes', authenticateStaffToken, requireRole('picker'), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const { item } = await getSubstitutableItem(id, itemId);
+    const alternatives = await getSubstitutionCandidates(item);
+
+    res.json({
+      item: {
+        id: item.id,
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        size: item.size,
+        quantity: item.quantity,
+        price: item.price
+      },
+      alternatives
+    });
+
+  } catch (error) {
+    console.error('Get substitutes error:', error);
+    sendOrderError(res, error, 'Failed to fetch substitutes');
+  }
+});
+
+// POST /api/orders/:id/items/:itemId/substitute (Picker only - for order fulfilment)
+router.post('/:id/items/:itemId/substitute', authenticateStaffToken, requireRole('picker'), auditTrail('order.item_substituted', 'order'), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const { error, value } = substituteSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { substitution, alternatives } = await substituteOrderItem({
+      orderId: id,
+      itemId,
+      substituteId: value.substituteId
+    });
+
+    const pending = substitution.status === 'PENDING_APPROVAL';
+
+    res.status(pending ? 202 : 200).json({
+      success: true,
+      message: pending ? 'Substitution awaiting customer approval' : 'Item substituted',
+      substitution,
+      alternatives
+    });
+
+  } catch (error) {
+    console.error('Substitute item error:', error);
+    sendOrderError(res, error, 'Failed to substitute item');
+  }
+});
+
+// POST /api/orders/:id/substitutions/:substitutionId (customer approval)
+router.post('/:id/substitutions/:substitutionId', authenticateToken, async (req, res) => {
+  try {
+    const { id, substitutionId } = req.params;
+    const { error, value } = substitutionResponseSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const substitution = await respondToSubstitution({
+      orderId: id,
+      substitutionId,
+      customerId: req.user.id,
+      approved: value.approved
+    });
+
+    res.json({
+      success: true,
+      message: value.approved ? 'Substitution approved' : 'Substitution rejected',
+      substitution
+    });
+
+  } catch (error) {
+    console.error('Respond to substitution error:', error);
+    sendOrderError(res, error, 'Failed to update substitution');
+  }
+});
+
+// POST /api/orders/:id/adjustments (Staff only - short picks and refunds)
+router.post('/:id/adjustments', authenticateStaffToken, requireRole('picker', 'support'), auditTrail('order.adjusted', 'order'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = adjustmentSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { adjustment, paymentStatus, refundedAmount } = await adjustOrder({
+      orderId: id,
+      items: value.items,
+      note: value.note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: adjustment.amount === 0
+        ? 'Order adjusted, nothing to refund'
+        : adjustment.stripeRefundId ? 'Refund issued' : 'Order adjusted, refund pending',
+      adjustment,
+      order: {
+        id,
+        paymentStatus,
+        refundedAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Adjust order error:', error);
+    sendOrderError(res, error, 'Failed to adjust order');
   }
 });
 
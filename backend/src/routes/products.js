@@ -1,7 +1,28 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { MeiliSearch } = require('meilisearch');
 const Joi = require('joi');
+const crypto = require('crypto');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const { searchProductsInPostgres } = require('../utils/fallbackSearch');
+const { SEARCH_FACETS, getSearchSuggestions, buildSearchFilter } = require('../utils/search');
+const { findDeliveryZone, getCustomerPostalCode } = require('../utils/delivery');
+const { getNextAvailableSlot } = require('../utils/slots');
+const {
+  resolveLanguage,
+  expandSynonyms,
+  removeStopWords,
+  blendSuggestions,
+  getPopularQueries,
+  getCategoryNames
+} = require('../utils/suggestions');
+const { logSearchQuery, recordSearchInteraction, getDidYouMean } = require('../utils/searchAnalytics');
+const { getCurrentSearchSettings } = require('../utils/searchSettings');
+const { recordProductEvent, getPopularProducts } = require('../utils/popularity');
+const { getRelatedProducts } = require('../utils/recommendations');
+const { getBasketProductIds } = require('../utils/basket');
+const { pickerVariants, productOnSale, withVariantSummary } = require('../utils/variants');
+const { optionalAuthenticateToken } = require('./auth');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,22 +31,60 @@ const prisma = new PrismaClient();
 const meilisearch = new MeiliSearch({
   host: process.env.MEILISEARCH_HOST,
   apiKey: process.env.MEILISEARCH_API_KEY,
+  timeout: parseInt(process.env.MEILISEARCH_TIMEOUT_MS) || 2000
+});
+
+// Falls back to Postgres full-text search while Meilisearch is failing.
+// Meilisearch 4xx responses are our own bad requests and don't count.
+const searchBreaker = createCircuitBreaker({
+  name: 'meilisearch',
+  failureThreshold: parseInt(process.env.SEARCH_BREAKER_THRESHOLD) || 5,
+  resetTimeoutMs: (parseInt(process.env.SEARCH_BREAKER_RESET_SECONDS) || 30) * 1000,
+  isFailure: (error) => !(error.httpStatus >= 400 && error.httpStatus < 500)
 });
 
 // Validation schemas
 const searchSchema = Joi.object({
   q: Joi.string().min(1).max(100).required(),
+  lang: Joi.string().optional(),
   category: Joi.string().optional(),
+  postalCode: Joi.string().pattern(/^\d{4}$/).optional(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(20),
+  sort: Joi.string().valid('relevance', 'popularity', 'price_asc', 'price_desc', 'unit_price_asc', 'unit_price_desc').default('relevance'),
   filters: Joi.object({
     priceMin: Joi.number().min(0).optional(),
     priceMax: Joi.number().min(0).optional(),
+    unitPriceMin: Joi.number().min(0).optional(),
+    unitPriceMax: Joi.number().min(0).optional(),
     dietary: Joi.array().items(Joi.string().valid('halal', 'vegan', 'vegetarian')).optional(),
-    allergens: Joi.array().items(Joi.string()).optional()
+    allergens: Joi.array().items(Joi.string()).optional(),
+    origin: Joi.array().items(Joi.string()).single().optional(),
+    inStock: Joi.boolean().optional(),
+    nextSlot: Joi.boolean().optional()
   }).optional()
 });
 
+// Search sort options and their Meilisearch sort rules (relevance sorts nothing)
+const SEARCH_SORTS = {
+  popularity: ['popularity:desc'],
+  price_asc: ['price:asc'],
+  price_desc: ['price:desc'],
+  unit_price_asc: ['unitPrice:asc'],
+  unit_price_desc: ['unitPrice:desc']
+};
+
+const searchClickSchema = Joi.object({
+  productId: Joi.string().required(),
+  position: Joi.number().integer().min(1).optional()
+});
+
+const suggestSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  lang: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(15).default(8)
+});
+
 const categorySchema = Joi.object({
   category: Joi.string().required(),
   page: Joi.number().integer().min(1).default(1),
@@ -33,101 +92,155 @@ const categorySchema = Joi.object({
   sort: Joi.string().valid('name', 'price_asc', 'price_desc', 'popularity').default('name')
 });
 
+const relatedSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(20).default(6)
+});
+
+const popularSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  postalCode: Joi.string().pattern(/^\d{4}$/).optional()
+});
+
+// Helper function to search with Meilisearch and load the hits from the database
+async function searchWithMeilisearch({ q, category, page, limit, sort, filters, zoneId }) {
+  const offset = (page - 1) * limit;
+
+  // Build Meilisearch query
+  const searchQuery = {
+    q,
+    limit,
+    offset,
+    filter: buildSearchFilter({ category, filters }),
+    facets: SEARCH_FACETS,
+    attributesToRetrieve: ['id', 'name', 'category', 'price', 'unitPrice', 'sizes', 'image', 'availability'],
+    attributesToHighlight: ['name', 'description']
+  };
+
+  if (sort === 'popularity' && zoneId) {
+    // The zone's favourites first, then overall popularity
+    searchQuery.sort = [`zonePopularity.${zoneId}:desc`, ...SEARCH_SORTS.popularity];
+  } else if (SEARCH_SORTS[sort]) {
+    searchQuery.sort = SEARCH_SORTS[sort];
+  }
+
+  // Search in Meilisearch
+  const searchResults = await meilisearch.index('products').search(searchQuery);
+
+  // Get full product details from database
+  const productIds = searchResults.hits.map(hit => hit.id);
+  const products = await prisma.product.findMany({
+    where: {
+      id: { in: productIds },
+      ...productOnSale
+    },
+    select: {
+      id: true,
+      name: true,
+      description: true,
+      category: true,
+      image: true,
+      allergens: true,
+      origin: true,
+      variants: pickerVariants
+    }
+  });
+
+  // Maintain search result order
+  const orderedProducts = productIds.map(id => 
+    products.find(product => product.id === id)
+  ).filter(Boolean).map(withVariantSummary);
+
+  return {
+    products: orderedProducts,
+    total: searchResults.estimatedTotalHits,
+    facets: searchResults.facetDistribution
+  };
+}
+
 // GET /api/products/search
-router.get('/search', async (req, res) => {
+router.get('/search', optionalAuthenticateToken, async (req, res) => {
   try {
+    const startedAt = Date.now();
     const { error, value } = searchSchema.validate(req.query);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { q, category, page, limit, filters } = value;
-    const offset = (page - 1) * limit;
-
-    // Build Meilisearch query
-    let searchQuery = {
-      q,
-      limit,
-      offset,
-      attributesToRetrieve: ['id', 'name', 'category', 'price', 'unitPrice', 'size', 'image', 'availability'],
-      attributesToHighlight: ['name', 'description']
-    };
-
-    // Add filters
-    if (category) {
-      searchQuery.filter = `category = "${category}"`;
+    const { q, category, filters, page, limit } = value;
+    const language = resolveLanguage(req);
+    const settings = await getCurrentSearchSettings();
+
+    // Shopper's zone, for the next-slot filter and zone popularity
+    let searchParams = { ...value, q: removeStopWords(q, language, settings.stopWords) };
+    let deliveryZone = null;
+    const postalCode = filters?.nextSlot || value.sort === 'popularity'
+      ? value.postalCode || await getCustomerPostalCode(req.user?.id)
+      : null;
+    if (postalCode) {
+      deliveryZone = await findDeliveryZone(postalCode);
+      searchParams = { ...searchParams, zoneId: deliveryZone?.id };
     }
 
-    if (filters) {
-      const filterArray = [];
-      
-      if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
-        const priceFilter = [];
-        if (filters.priceMin !== undefined) {
-          priceFilter.push(`price >= ${filters.priceMin}`);
-        }
-        if (filters.priceMax !== undefined) {
-          priceFilter.push(`price <= ${filters.priceMax}`);
-        }
-        filterArray.push(`(${priceFilter.join(' AND ')})`);
-      }
-
-      if (filters.dietary && filters.dietary.length > 0) {
-        const dietaryFilter = filters.dietary.map(diet => `dietary = "${diet}"`).join(' OR ');
-        filterArray.push(`(${dietaryFilter})`);
+    // "Deliverable in next slot": in stock, for a zone with a slot still open
+    let delivery;
+    if (filters?.nextSlot) {
+      if (!postalCode) {
+        return res.status(400).json({ error: 'Postal code required to filter by next delivery slot' });
       }
 
-      if (filters.allergens && filters.allergens.length > 0) {
-        const allergenFilter = filters.allergens.map(allergen => `allergens NOT CONTAINS "${allergen}"`).join(' AND ');
-        filterArray.push(`(${allergenFilter})`);
-      }
-
-      if (filterArray.length > 0) {
-        searchQuery.filter = filterArray.join(' AND ');
-      }
+      const nextSlot = deliveryZone ? await getNextAvailableSlot(deliveryZone) : null;
+      delivery = { postalCode, available: Boolean(deliveryZone), nextSlot };
+      searchParams = { ...searchParams, filters: { ...filters, inStock: true } };
     }
 
-    // Search in Meilisearch
-    const searchResults = await meilisearch.index('products').search(searchQuery);
-
-    // Get full product details from database
-    const productIds = searchResults.hits.map(hit => hit.id);
-    const products = await prisma.product.findMany({
-      where: {
-        id: { in: productIds },
-        availability: true
-      },
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        category: true,
-        image: true,
-        size: true,
-        weight: true,
-        unit: true,
-        price: true,
-        unitPrice: true,
-        allergens: true,
-        origin: true,
-        stock: true
-      }
-    });
+    const { result, fallback } = delivery && !delivery.nextSlot
+      ? { result: { products: [], total: 0, facets: {} }, fallback: false }
+      : await searchBreaker.execute(
+        () => searchWithMeilisearch(searchParams),
+        () => searchProductsInPostgres(searchParams)
+      );
+
+    const backend = fallback ? 'postgres' : 'meilisearch';
+    res.set('X-Search-Backend', backend);
+
+    // Empty state: suggest what others searched instead
+    let didYouMean = [];
+    if (result.total === 0) {
+      didYouMean = await getDidYouMean(q, language)
+        .catch(suggestError => {
+          console.error('Did you mean error:', suggestError);
+          return [];
+        });
+    }
 
-    // Maintain search result order
-    const orderedProducts = productIds.map(id => 
-      products.find(product => product.id === id)
-    ).filter(Boolean);
+    // Clicks and add-to-carts refer back to the search through this ID
+    const queryId = crypto.randomUUID();
+    logSearchQuery({
+      id: queryId,
+      query: q,
+      language,
+      filters: category || filters ? { category, ...filters } : null,
+      resultCount: result.total,
+      productIds: result.products.map(product => product.id),
+      latencyMs: Date.now() - startedAt,
+      backend,
+      customerId: req.user?.id,
+      sessionId: req.headers['x-session-id'] || null
+    }).catch(logError => console.error('Log search query error:', logError));
 
     res.json({
-      products: orderedProducts,
+      queryId,
+      products: result.products,
       pagination: {
         page,
         limit,
-        total: searchResults.estimatedTotalHits,
-        pages: Math.ceil(searchResults.estimatedTotalHits / limit)
+        total: result.total,
+        pages: Math.ceil(result.total / limit)
       },
-      facets: searchResults.facetDistribution
+      facets: result.facets,
+      delivery,
+      didYouMean,
+      searchBackend: backend
     });
 
   } catch (error) {
@@ -136,6 +249,92 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// POST /api/products/search/:queryId/click
+router.post('/search/:queryId/click', async (req, res) => {
+  try {
+    const { error, value } = searchClickSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await recordSearchInteraction({
+      searchQueryId: req.params.queryId,
+      productId: value.productId,
+      type: 'CLICK',
+      position: value.position
+    });
+
+    res.status(201).json({ success: true });
+
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Record search click error:', error);
+    res.status(500).json({ error: 'Failed to record click' });
+  }
+});
+
+// Helper function to find product-name suggestions in Postgres while Meilisearch is down
+async function suggestFromDatabase(terms, limit) {
+  const products = await prisma.product.findMany({
+    where: {
+      ...productOnSale,
+      OR: terms.map(term => ({ name: { contains: term, mode: 'insensitive' } }))
+    },
+    select: { id: true, name: true, category: true },
+    orderBy: { name: 'asc' },
+    take: limit
+  });
+
+  return products;
+}
+
+// GET /api/products/suggest
+router.get('/suggest', async (req, res) => {
+  try {
+    const { error, value } = suggestSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { q, limit } = value;
+    const language = resolveLanguage(req);
+    const settings = await getCurrentSearchSettings();
+    const synonyms = expandSynonyms(q, language, settings.synonyms);
+
+    const [queries, categories, { result: products, fallback }] = await Promise.all([
+      getPopularQueries(q, language),
+      getCategoryNames(),
+      searchBreaker.execute(
+        () => getSearchSuggestions(q, limit, { synonyms }),
+        () => suggestFromDatabase([q, ...synonyms], limit)
+      )
+    ]);
+
+    const backend = fallback ? 'postgres' : 'meilisearch';
+    res.set('X-Search-Backend', backend);
+    res.set('Cache-Control', 'public, max-age=60');
+    res.vary('Accept-Language');
+
+    res.json({
+      query: q,
+      language,
+      suggestions: blendSuggestions({ query: q, queries, categories, products, limit }),
+      searchBackend: backend
+    });
+
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({ error: 'Failed to get suggestions' });
+  }
+});
+
 // GET /api/products/categories
 router.get('/categories', async (req, res) => {
   try {
@@ -153,6 +352,26 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// Helper function to page a category by the price of each product's cheapest size on sale
+async function getCategoryPageByPrice({ category, descending, offset, limit, select }) {
+  const rows = await prisma.$queryRaw`
+    SELECT p.id
+    FROM products p
+    JOIN product_variants v ON v."productId" = p.id AND v.availability = true
+    WHERE p.category = ${category} AND p.availability = true
+    GROUP BY p.id
+    ORDER BY min(v.price) ${descending ? Prisma.sql`DESC` : Prisma.sql`ASC`}, p.name ASC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+
+  const products = await prisma.product.findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    select
+  });
+
+  return rows.map(row => products.find(product => product.id === row.id)).filter(Boolean);
+}
+
 // GET /api/products/category/:category
 router.get('/category/:category', async (req, res) => {
   try {
@@ -167,59 +386,43 @@ router.get('/category/:category', async (req, res) => {
 
     const { category, page, limit, sort } = value;
     const offset = (page - 1) * limit;
+    const where = { category, ...productOnSale };
+    const select = {
+      id: true,
+      name: true,
+      description: true,
+      category: true,
+      image: true,
+      allergens: true,
+      origin: true,
+      variants: pickerVariants
+    };
 
     // Build orderBy clause
     let orderBy = {};
     switch (sort) {
-      case 'price_asc':
-        orderBy = { price: 'asc' };
-        break;
-      case 'price_desc':
-        orderBy = { price: 'desc' };
-        break;
       case 'popularity':
-        // For now, order by name. In production, you'd track popularity
-        orderBy = { name: 'asc' };
+        orderBy = [{ popularity: 'desc' }, { name: 'asc' }];
         break;
       default:
         orderBy = { name: 'asc' };
     }
 
     const [products, total] = await Promise.all([
-      prisma.product.findMany({
-        where: {
-          category,
-          availability: true
-        },
-        select: {
-          id: true,
-          name: true,
-          description: true,
-          category: true,
-          image: true,
-          size: true,
-          weight: true,
-          unit: true,
-          price: true,
-          unitPrice: true,
-          allergens: true,
-          origin: true,
-          stock: true
-        },
-        orderBy,
-        skip: offset,
-        take: limit
-      }),
-      prisma.product.count({
-        where: {
-          category,
-          availability: true
-        }
-      })
+      sort === 'price_asc' || sort === 'price_desc'
+        ? getCategoryPageByPrice({ category, descending: sort === 'price_desc', offset, limit, select })
+        : prisma.product.findMany({
+          where,
+          select,
+          orderBy,
+          skip: offset,
+          take: limit
+        }),
+      prisma.product.count({ where })
     ]);
 
     res.json({
-      products,
+      products: products.map(withVariantSummary),
       pagination: {
         page,
         limit,
@@ -234,8 +437,45 @@ router.get('/category/:category', async (req, res) => {
   }
 });
 
+// GET /api/products/popular
+router.get('/popular', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { error, value } = popularSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Zone from the requested postcode, else the customer's default address
+    const postalCode = value.postalCode || await getCustomerPostalCode(req.user?.id);
+    const deliveryZone = await findDeliveryZone(postalCode);
+
+    const products = await getPopularProducts({
+      zoneId: deliveryZone?.id,
+      limit: value.limit,
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        category: true,
+        image: true,
+        allergens: true,
+        origin: true,
+        variants: pickerVariants
+      }
+    });
+
+    res.json({
+      products: products.map(withVariantSummary),
+      zone: deliveryZone ? { name: deliveryZone.name } : null
+    });
+  } catch (error) {
+    console.error('Popular products error:', error);
+    res.status(500).json({ error: 'Failed to fetch popular products' });
+  }
+});
+
 // GET /api/products/:id
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -247,15 +487,10 @@ router.get('/:id', async (req, res) => {
         description: true,
         category: true,
         image: true,
-        size: true,
-        weight: true,
-        unit: true,
-        price: true,
-        unitPrice: true,
         allergens: true,
         origin: true,
-        stock: true,
-        availability: true
+        availability: true,
+        variants: pickerVariants
       }
     });
 
@@ -263,44 +498,44 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json({ product });
+    recordProductEvent({
+      productId: product.id,
+      type: 'VIEW',
+      customerId: req.user?.id,
+      sessionId: req.headers['x-session-id'] || null
+    }).catch(eventError => console.error('Record product view error:', eventError.message));
+
+    res.json({ product: withVariantSummary(product) });
   } catch (error) {
     console.error('Product detail error:', error);
     res.status(500).json({ error: 'Failed to fetch product' });
   }
 });
 
-// GET /api/products/popular
-router.get('/popular', async (req, res) => {
+// GET /api/products/:id/related
+router.get('/:id/related', optionalAuthenticateToken, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const { error, value } = relatedSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
 
-    // For MVP, return random products. In production, track popularity
-    const products = await prisma.product.findMany({
-      where: { availability: true },
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        category: true,
-        image: true,
-        size: true,
-        weight: true,
-        unit: true,
-        price: true,
-        unitPrice: true,
-        allergens: true,
-        origin: true,
-        stock: true
-      },
-      take: limit,
-      orderBy: { createdAt: 'desc' }
+    // Skip what the shopper already has in their basket
+    const inBasket = await getBasketProductIds(req.headers['x-session-id'], req.user?.id);
+
+    const products = await getRelatedProducts(req.params.id, {
+      excludeIds: inBasket,
+      limit: value.limit
     });
 
     res.json({ products });
   } catch (error) {
-    console.error('Popular products error:', error);
-    res.status(500).json({ error: 'Failed to fetch popular products' });
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    console.error('Related products error:', error);
+    res.status(500).json({ error: 'Failed to fetch related products' });
   }
 });
 
@@ -5,6 +5,14 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const { createRefund } = require('../utils/payment');
+const { releaseStockReservations } = require('../utils/stock');
+const { releaseSlotHoldForPaymentIntent } = require('../utils/slots');
+const { isCheckoutPaymentIntent, placeOrderForPaymentIntent, reconcileChargeRefund } = require('../utils/orders');
+const { transitionOrder } = require('../utils/orderStatus');
+const { ORDER_EVENTS } = require('../utils/orderEvents');
+const { publishOrderEvents } = require('../utils/orderEventBus');
+
 // Stripe webhook endpoint
 router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -32,6 +40,10 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
         await handlePaymentCanceled(event.data.object);
         break;
       
+      case 'charge.refunded':
+        await handleChargeRefunded(event.data.object);
+        break;
+      
       case 'charge.dispute.created':
         await handleChargeDispute(event.data.object);
         break;
@@ -49,49 +61,109 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
 
 // Handle successful payment
 async function handlePaymentSucceeded(paymentIntent) {
+  // Payments taken outside checkout are acknowledged without an order or a refund
+  if (!isCheckoutPaymentIntent(paymentIntent)) {
+    console.log(`Ignoring payment intent ${paymentIntent.id} without checkout metadata`);
+    return;
+  }
+
   try {
-    const { customerId, basketId, addressId, substitutionAllowed } = paymentIntent.metadata;
+    // Create the order if the client never called confirm-payment
+    const { order, created } = await placeOrderForPaymentIntent(paymentIntent);
 
-    // Find the order
-    const order = await prisma.order.findFirst({
+    if (!created && order.paymentStatus !== 'PAID') {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { paymentStatus: 'PAID' }
+      });
+    }
+
+    // Stripe may deliver the same event more than once
+    const alreadyRecorded = await prisma.orderEvent.findFirst({
       where: {
-        paymentIntentId: paymentIntent.id
+        orderId: order.id,
+        event: ORDER_EVENTS.PAYMENT_SUCCEEDED
       }
     });
 
-    if (!order) {
-      console.error('Order not found for payment intent:', paymentIntent.id);
+    if (alreadyRecorded) {
       return;
     }
 
-    // Update order payment status
-    await prisma.order.update({
-      where: { id: order.id },
-      data: { paymentStatus: 'PAID' }
-    });
-
     // Create payment success event
     await prisma.orderEvent.create({
       data: {
         orderId: order.id,
-        event: 'payment_succeeded',
+        event: ORDER_EVENTS.PAYMENT_SUCCEEDED,
         metadata: {
           paymentIntentId: paymentIntent.id,
           amount: paymentIntent.amount,
-          currency: paymentIntent.currency
+          currency: paymentIntent.currency,
+          orderCreatedByWebhook: created
         }
       }
     });
 
-    console.log(`Payment succeeded for order ${order.orderNumber}`);
+    publishOrderEvents(order.id);
+    console.log(`Payment succeeded for order ${order.orderNumber}${created ? ' (created from webhook)' : ''}`);
+  } catch (error) {
+    // Anything else is transient: rethrow so the webhook answers 5xx and Stripe retries
+    if (error.name !== 'ConflictError') {
+      throw error;
+    }
+
+    await refundUnfulfilledPayment(paymentIntent, error);
+  }
+}
+
+// Refund a payment that can never become an order (stock gone, basket changed, no slot left)
+async function refundUnfulfilledPayment(paymentIntent, error) {
+  console.error(`Paid payment intent ${paymentIntent.id} could not be fulfilled: ${error.message}`,
+    error.unavailableItems || error.amountMismatch || '');
+
+  const refund = await createRefund(paymentIntent.id, null, 'requested_by_customer', {
+    idempotencyKey: `unfulfilled-${paymentIntent.id}`
+  });
+
+  await releaseCheckoutHolds(paymentIntent.id);
+  console.log(`Refunded unfulfilled payment intent ${paymentIntent.id} (refund ${refund.id})`);
+}
+
+// Return stock and delivery slot held for a payment that will not complete
+async function releaseCheckoutHolds(paymentIntentId) {
+  const releasedStock = await releaseStockReservations({ paymentIntentId });
+  const releasedSlot = await releaseSlotHoldForPaymentIntent(paymentIntentId);
+
+  if (releasedStock > 0 || releasedSlot) {
+    console.log(`Released checkout holds for payment intent ${paymentIntentId}`);
+  }
+}
+
+// Cancel an order whose payment did not go through, if its status still allows it
+async function cancelUnpaidOrder(order, reason) {
+  try {
+    await transitionOrder({
+      orderId: order.id,
+      to: 'CANCELLED',
+      actor: 'system',
+      metadata: {
+        cancelledBy: 'system',
+        reason
+      }
+    });
   } catch (error) {
-    console.error('Handle payment succeeded error:', error);
+    if (error.name !== 'ConflictError') {
+      throw error;
+    }
+    console.error(`Order ${order.orderNumber} not cancelled after ${reason}: ${error.message}`);
   }
 }
 
 // Handle failed payment
 async function handlePaymentFailed(paymentIntent) {
   try {
+    await releaseCheckoutHolds(paymentIntent.id);
+
     const order = await prisma.order.findFirst({
       where: {
         paymentIntentId: paymentIntent.id
@@ -107,16 +179,17 @@ async function handlePaymentFailed(paymentIntent) {
     await prisma.order.update({
       where: { id: order.id },
       data: { 
-        paymentStatus: 'FAILED',
-        status: 'CANCELLED'
+        paymentStatus: 'FAILED'
       }
     });
 
+    await cancelUnpaidOrder(order, ORDER_EVENTS.PAYMENT_FAILED);
+
     // Create payment failed event
     await prisma.orderEvent.create({
       data: {
         orderId: order.id,
-        event: 'payment_failed',
+        event: ORDER_EVENTS.PAYMENT_FAILED,
         metadata: {
           paymentIntentId: paymentIntent.id,
           failureCode: paymentIntent.last_payment_error?.code,
@@ -125,6 +198,7 @@ async function handlePaymentFailed(paymentIntent) {
       }
     });
 
+    publishOrderEvents(order.id);
     console.log(`Payment failed for order ${order.orderNumber}`);
   } catch (error) {
     console.error('Handle payment failed error:', error);
@@ -134,6 +208,8 @@ async function handlePaymentFailed(paymentIntent) {
 // Handle canceled payment
 async function handlePaymentCanceled(paymentIntent) {
   try {
+    await releaseCheckoutHolds(paymentIntent.id);
+
     const order = await prisma.order.findFirst({
       where: {
         paymentIntentId: paymentIntent.id
@@ -145,31 +221,61 @@ async function handlePaymentCanceled(paymentIntent) {
       return;
     }
 
-    // Update order status
-    await prisma.order.update({
-      where: { id: order.id },
-      data: { 
-        status: 'CANCELLED'
-      }
-    });
+    await cancelUnpaidOrder(order, ORDER_EVENTS.PAYMENT_CANCELED);
 
     // Create payment canceled event
     await prisma.orderEvent.create({
       data: {
         orderId: order.id,
-        event: 'payment_canceled',
+        event: ORDER_EVENTS.PAYMENT_CANCELED,
         metadata: {
           paymentIntentId: paymentIntent.id
         }
       }
     });
 
+    publishOrderEvents(order.id);
     console.log(`Payment canceled for order ${order.orderNumber}`);
   } catch (error) {
     console.error('Handle payment canceled error:', error);
   }
 }
 
+// Handle refunds issued on a charge (cancellations, adjustments or the Stripe dashboard)
+async function handleChargeRefunded(charge) {
+  try {
+    const result = await reconcileChargeRefund(charge);
+
+    if (!result) {
+      console.error('Order not found for refunded charge:', charge.id);
+      return;
+    }
+
+    if (!result.updated) {
+      return;
+    }
+
+    // Create refund reconciled event
+    await prisma.orderEvent.create({
+      data: {
+        orderId: result.order.id,
+        event: ORDER_EVENTS.REFUND_RECONCILED,
+        metadata: {
+          chargeId: charge.id,
+          amountRefunded: charge.amount_refunded,
+          currency: charge.currency,
+          paymentStatus: result.order.paymentStatus
+        }
+      }
+    });
+
+    publishOrderEvents(result.order.id);
+    console.log(`Refund reconciled for order ${result.order.orderNumber}`);
+  } catch (error) {
+    console.error('Handle charge refunded error:', error);
+  }
+}
+
 // Handle charge dispute
 async function handleChargeDispute(dispute) {
   try {
@@ -190,7 +296,7 @@ async function handleChargeDispute(dispute) {
     await prisma.orderEvent.create({
       data: {
         orderId: order.id,
-        event: 'dispute_created',
+        event: ORDER_EVENTS.DISPUTE_CREATED,
         metadata: {
           disputeId: dispute.id,
           reason: dispute.reason,
@@ -200,6 +306,7 @@ async function handleChargeDispute(dispute) {
       }
     });
 
+    publishOrderEvents(order.id);
     console.log(`Dispute created for order ${order.orderNumber}`);
   } catch (error) {
     console.error('Handle charge dispute error:', error);
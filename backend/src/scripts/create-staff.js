@@ -0,0 +1,53 @@
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+const ROLES = ['ADMIN', 'PICKER', 'DRIVER', 'SUPPORT'];
+
+// Usage: npm run create-staff -- <email> <password> <role> [name]
+async function createStaff(email, password, role = 'ADMIN', name = 'Administrator') {
+  if (!email || !password) {
+    throw new Error('Usage: npm run create-staff -- <email> <password> <role> [name]');
+  }
+
+  if (password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+
+  const staffRole = role.toUpperCase();
+  if (!ROLES.includes(staffRole)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ').toLowerCase()}`);
+  }
+
+  const passwordHash = await bcrypt.hash(password, 12);
+
+  return prisma.staffMember.upsert({
+    where: { email: email.toLowerCase() },
+    update: { passwordHash, role: staffRole, isActive: true },
+    create: {
+      email: email.toLowerCase(),
+      name,
+      passwordHash,
+      role: staffRole
+    }
+  });
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const [email, password, role, ...name] = process.argv.slice(2);
+
+  createStaff(email, password, role, name.length > 0 ? name.join(' ') : undefined)
+    .then((staff) => {
+      console.log(`✅ ${staff.role.toLowerCase()} account ready for ${staff.email}`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Failed to create staff member:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createStaff };
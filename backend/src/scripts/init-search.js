@@ -1,9 +1,16 @@
 const { initializeSearchIndexes } = require('../utils/search');
+const { ensureFallbackSearchIndex } = require('../utils/fallbackSearch');
+const { getCurrentSearchSettings } = require('../utils/searchSettings');
 
 async function initializeSearch() {
   try {
+    console.log('🔍 Creating Postgres full-text index for fallback search...');
+    await ensureFallbackSearchIndex();
+
     console.log('🔍 Initializing Meilisearch...');
-    await initializeSearchIndexes();
+    const settings = await getCurrentSearchSettings({ fresh: true });
+    console.log(`Using search settings version ${settings.version || 'defaults'}`);
+    await initializeSearchIndexes(settings);
     console.log('✅ Meilisearch initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize Meilisearch:', error);
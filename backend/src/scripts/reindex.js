@@ -0,0 +1,54 @@
+const { PrismaClient } = require('@prisma/client');
+require('dotenv').config();
+
+const { reindexAllProducts, PRODUCT_DOCUMENT_INCLUDE } = require('../utils/search');
+const { reconcileSearchIndex } = require('../utils/searchSync');
+const { productOnSale } = require('../utils/variants');
+
+const prisma = new PrismaClient();
+
+// Usage:
+//   npm run reindex                      rebuild the products index from scratch
+//   npm run reindex -- --diff            report and fix missing, stale and orphaned documents
+//   npm run reindex -- --diff --dry-run  report only
+async function reindex({ diff = false, dryRun = false } = {}) {
+  if (!diff) {
+    const products = await prisma.product.findMany({
+      where: productOnSale,
+      include: PRODUCT_DOCUMENT_INCLUDE
+    });
+
+    await reindexAllProducts(products);
+    console.log(`✅ Reindexed ${products.length} products`);
+    return;
+  }
+
+  const result = await reconcileSearchIndex({ fix: !dryRun });
+
+  for (const [kind, ids] of Object.entries(result)) {
+    console.log(`${kind}: ${ids.length}${ids.length > 0 ? ` (${ids.join(', ')})` : ''}`);
+  }
+
+  const total = result.missing.length + result.stale.length + result.orphaned.length;
+  if (total === 0) {
+    console.log('✅ Search index matches the database');
+  } else if (dryRun) {
+    console.log(`⚠️  ${total} documents differ (dry run, nothing changed)`);
+  } else {
+    console.log(`✅ Fixed ${total} documents`);
+  }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  reindex({ diff: args.includes('--diff'), dryRun: args.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Reindex failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { reindex };
@@ -0,0 +1,99 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../utils/payment', () => ({
+  createRefund: jest.fn()
+}));
+
+const { createRefund } = require('../utils/payment');
+const { calculateRefund, retryPendingAdjustmentRefunds } = require('../utils/adjustments');
+
+describe('Order adjustments', () => {
+  const zone = { deliveryFee: 3.99, freeDeliveryThreshold: 40 };
+  const order = { subtotal: 45, discount: 0, deliveryFee: 0, total: 45, refundedAmount: 0 };
+  const items = [
+    { price: 15, quantity: 1, missingQuantity: 0 },
+    { price: 10, quantity: 3, missingQuantity: 0 }
+  ];
+
+  test('should refund short-picked units', () => {
+    const result = calculateRefund({
+      order: { ...order, subtotal: 30, total: 33.99, deliveryFee: 3.99 },
+      items: [{ price: 10, quantity: 3, missingQuantity: 1 }],
+      zone
+    });
+
+    expect(result.refund).toBe(10);
+    expect(result.deliveryFeeAdjustment).toBe(0);
+  });
+
+  test('should charge the delivery fee when the order drops below the free-delivery threshold', () => {
+    const result = calculateRefund({
+      order,
+      items: [items[0], { ...items[1], missingQuantity: 1 }],
+      zone
+    });
+
+    expect(result.deliveredSubtotal).toBe(35);
+    expect(result.deliveryFeeAdjustment).toBe(3.99);
+    expect(result.refund).toBe(6.01);
+  });
+
+  test('should keep free delivery granted by a promotion', () => {
+    const result = calculateRefund({
+      order,
+      items: [items[0], { ...items[1], missingQuantity: 1 }],
+      zone,
+      freeDelivery: true
+    });
+
+    expect(result.refund).toBe(10);
+  });
+
+  test('should scale the promo discount and skip what was already refunded', () => {
+    const result = calculateRefund({
+      order: { ...order, discount: 4.5, total: 40.5, refundedAmount: 1 },
+      items: [{ ...items[0], missingQuantity: 1 }, items[1]],
+      zone: { ...zone, freeDeliveryThreshold: 20 }
+    });
+
+    expect(result.discount).toBe(3);
+    expect(result.refund).toBe(12.5);
+  });
+});
+
+describe('Pending adjustment refunds', () => {
+  beforeEach(() => {
+    createRefund.mockReset();
+    mockPrisma.orderAdjustment = {
+      findMany: jest.fn().mockResolvedValue([
+        { id: 'adj-1', amount: 4.5, stripeRefundId: null, order: { paymentIntentId: 'pi_1' } },
+        { id: 'adj-2', amount: 2, stripeRefundId: null, order: { paymentIntentId: 'pi_2' } }
+      ]),
+      update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data }))
+    };
+  });
+
+  test('should retry with an idempotency key per adjustment and keep failures pending', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    createRefund
+      .mockResolvedValueOnce({ id: 're_1' })
+      .mockRejectedValueOnce(new Error('Failed to create refund'));
+
+    const issued = await retryPendingAdjustmentRefunds();
+
+    expect(issued).toBe(1);
+    expect(createRefund).toHaveBeenCalledWith('pi_1', 450, 'requested_by_customer', { idempotencyKey: 'adjustment-adj-1' });
+    expect(createRefund).toHaveBeenCalledWith('pi_2', 200, 'requested_by_customer', { idempotencyKey: 'adjustment-adj-2' });
+    expect(mockPrisma.orderAdjustment.update).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.orderAdjustment.update).toHaveBeenCalledWith({
+      where: { id: 'adj-1' },
+      data: { stripeRefundId: 're_1' }
+    });
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,123 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { join: jest.fn(values => values) }
+}));
+
+jest.mock('twilio', () => jest.fn(() => ({})));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const adminRoutes = require('../routes/admin');
+
+describe('Admin product endpoints', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+
+  const token = jwt.sign({ id: 'staff-1', role: 'admin' }, process.env.JWT_SECRET);
+  const variant = { size: '1kg', price: 4.99, stock: 20 };
+
+  let tx;
+
+  const send = (method, path, body) => request(app)[method](`/api/admin${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeEach(() => {
+    tx = {
+      product: {
+        create: jest.fn(async ({ data }) => ({ id: 'p1', ...data, variants: [] })),
+        update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data, variants: [] }))
+      },
+      searchOutbox: { createMany: jest.fn().mockResolvedValue({ count: 1 }) }
+    };
+
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+    mockPrisma.staffMember = {
+      findUnique: jest.fn().mockResolvedValue({ isActive: true, role: 'ADMIN' })
+    };
+    mockPrisma.auditLog = { create: jest.fn().mockResolvedValue({}) };
+  });
+
+  test('should reject invalid products before touching the database', async () => {
+    const missingVariants = await send('post', '/products', { name: 'Garri', category: 'Flours' });
+    const negativePrice = await send('post', '/products', {
+      name: 'Garri',
+      category: 'Flours',
+      variants: [{ ...variant, price: -1 }]
+    });
+    const emptyPatch = await send('patch', '/products/p1', {});
+
+    expect(missingVariants.status).toBe(400);
+    expect(missingVariants.body.error).toMatch(/variants/);
+    expect(negativePrice.status).toBe(400);
+    expect(emptyPatch.status).toBe(400);
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('should create a product with its sizes and queue it for search', async () => {
+    const response = await send('post', '/products', {
+      name: 'Garri',
+      category: 'Flours',
+      variants: [variant]
+    });
+
+    expect(response.status).toBe(201);
+    const { data } = tx.product.create.mock.calls[0][0];
+    expect(data).toMatchObject({ availability: true, allergens: [], retiredAt: null });
+    expect(data.variants.create).toEqual([
+      expect.objectContaining({ ...variant, availability: true, position: 0, retiredAt: null })
+    ]);
+    expect(tx.searchOutbox.createMany).toHaveBeenCalledWith({
+      data: [{ entityType: 'product', entityId: 'p1', operation: 'CREATE' }]
+    });
+  });
+
+  test('PUT should clear optional fields left out of the replacement', async () => {
+    const response = await send('put', '/products/p1', { name: 'Garri', category: 'Flours' });
+
+    expect(response.status).toBe(200);
+    expect(tx.product.update.mock.calls[0][0].data).toMatchObject({
+      name: 'Garri',
+      description: null,
+      image: null,
+      origin: null
+    });
+  });
+
+  test('PATCH should only touch the fields sent', async () => {
+    await send('patch', '/products/p1', { origin: 'Ghana' });
+
+    expect(tx.product.update.mock.calls[0][0].data).toEqual({ origin: 'Ghana' });
+  });
+
+  test('DELETE should retire the product and keep the row', async () => {
+    const response = await send('delete', '/products/p1');
+
+    expect(response.status).toBe(200);
+    const { data } = tx.product.update.mock.calls[0][0];
+    expect(data.availability).toBe(false);
+    expect(data.retiredAt).toBeInstanceOf(Date);
+    expect(tx.searchOutbox.createMany.mock.calls[0][0].data[0].operation).toBe('DELETE');
+  });
+
+  test('availability:true should restore a retired product', async () => {
+    await send('patch', '/products/p1', { availability: true });
+
+    expect(tx.product.update.mock.calls[0][0].data).toEqual({ availability: true, retiredAt: null });
+  });
+
+  test('should answer 404 for unknown products', async () => {
+    tx.product.update.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'P2025' }));
+
+    const response = await send('delete', '/products/missing');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -111,12 +111,12 @@ describe('Feeya API Tests', () => {
         .expect(200);
 
       if (productsResponse.body.products.length > 0) {
-        const productId = productsResponse.body.products[0].id;
+        const { id: productId, variants } = productsResponse.body.products[0];
 
         const response = await request(app)
           .post('/api/cart/add')
           .set('Authorization', `Bearer ${authToken}`)
-          .send({ productId, quantity: 1 })
+          .send({ productId, variantId: variants[0].id, quantity: 1 })
           .expect(200);
 
         expect(response.body.success).toBe(true);
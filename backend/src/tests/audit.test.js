@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+
+const mockCreate = jest.fn(() => Promise.resolve({}));
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({ auditLog: { create: mockCreate } }))
+}));
+
+const { auditTrail } = require('../middleware/audit');
+
+function runAudited(statusCode) {
+  const req = {
+    user: { id: 'staff-1', role: 'picker' },
+    params: { id: 'order-1' },
+    body: { status: 'PREPARING', password: 'secret' },
+    method: 'POST',
+    baseUrl: '/api/orders',
+    path: '/order-1/update-status',
+    ip: '127.0.0.1'
+  };
+  const res = Object.assign(new EventEmitter(), { statusCode, locals: {} });
+  const next = jest.fn();
+
+  auditTrail('order.status_updated', 'order')(req, res, next);
+  res.emit('finish');
+
+  return next;
+}
+
+describe('Audit trail', () => {
+  beforeEach(() => mockCreate.mockClear());
+
+  test('should record successful staff actions without secrets', () => {
+    const next = runAudited(200);
+
+    expect(next).toHaveBeenCalled();
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+
+    const { data } = mockCreate.mock.calls[0][0];
+    expect(data).toMatchObject({
+      staffId: 'staff-1',
+      action: 'order.status_updated',
+      entityType: 'order',
+      entityId: 'order-1',
+      ip: '127.0.0.1'
+    });
+    expect(data.metadata.body).toEqual({ status: 'PREPARING' });
+  });
+
+  test('should skip failed requests', () => {
+    runAudited(409);
+    expect(mockCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('twilio', () => jest.fn(() => ({})));
+
+const jwt = require('jsonwebtoken');
+const { authenticateToken, authenticateStaffToken, optionalAuthenticateToken } = require('../routes/auth');
+
+/**
+ * Run a middleware with a bearer token
+ * @param {Function} middleware - Express middleware
+ * @param {Object} claims - JWT claims
+ * @returns {Promise<Object>} { status, user } where status is null when the request passed
+ */
+function run(middleware, claims) {
+  const req = { headers: { authorization: `Bearer ${jwt.sign(claims, process.env.JWT_SECRET)}` } };
+
+  return new Promise((resolve) => {
+    const res = {
+      status: (status) => ({ json: () => resolve({ status, user: req.user }) })
+    };
+    middleware(req, res, () => resolve({ status: null, user: req.user }));
+  });
+}
+
+describe('Token audiences', () => {
+  const customer = { id: 'customer-1', role: 'customer' };
+  const staff = { id: 'staff-1', role: 'picker' };
+
+  test('customer routes should reject staff tokens', async () => {
+    expect((await run(authenticateToken, customer)).status).toBeNull();
+    expect((await run(authenticateToken, staff)).status).toBe(403);
+  });
+
+  test('staff routes should reject customer tokens', async () => {
+    expect((await run(authenticateStaffToken, staff)).status).toBeNull();
+    expect((await run(authenticateStaffToken, customer)).status).toBe(403);
+  });
+
+  test('optional authentication should treat staff as guests', async () => {
+    expect((await run(optionalAuthenticateToken, customer)).user.id).toBe('customer-1');
+    expect((await run(optionalAuthenticateToken, staff)).user).toBeUndefined();
+  });
+});
@@ -0,0 +1,143 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { mergeGuestBasket, MAX_ITEM_QUANTITY } = require('../utils/basket');
+
+const line = (id, variant, overrides = {}) => ({
+  id,
+  productId: `product-${variant.id}`,
+  variantId: variant.id,
+  quantity: 1,
+  price: variant.price,
+  product: { id: `product-${variant.id}`, name: `Item ${variant.id}`, availability: true },
+  variant,
+  ...overrides
+});
+
+/**
+ * Transaction client holding a guest and a customer basket
+ * @param {Object} params - Fixture
+ * @param {Array} params.guestItems - Guest basket lines
+ * @param {Array} params.customerItems - Customer basket lines
+ * @param {Object} params.reserved - Units held for other baskets, keyed by variant ID
+ * @returns {Object} Mock transaction client
+ */
+function mockTransaction({ guestItems, customerItems = [], reserved = {} }) {
+  const guestBasket = { id: 'guest-basket', items: guestItems };
+  const customerBasket = { id: 'customer-basket', items: customerItems };
+
+  return {
+    basket: {
+      findFirst: jest.fn(async ({ where }) => (where.customerId ? customerBasket : guestBasket)),
+      findUnique: jest.fn().mockResolvedValue(guestBasket),
+      delete: jest.fn().mockResolvedValue(guestBasket)
+    },
+    $queryRaw: jest.fn().mockResolvedValue([{ id: 'guest-basket' }]),
+    stockReservation: {
+      groupBy: jest.fn(async ({ where }) => where.variantId.in
+        .filter(variantId => reserved[variantId])
+        .map(variantId => ({ variantId, _sum: { quantity: reserved[variantId] } })))
+    },
+    basketItem: {
+      create: jest.fn().mockResolvedValue({}),
+      update: jest.fn().mockResolvedValue({}),
+      delete: jest.fn().mockResolvedValue({})
+    }
+  };
+}
+
+describe('Guest basket merge', () => {
+  const rice = { id: 'rice-1kg', price: 4.99, stock: 20, availability: true };
+  const oil = { id: 'oil-1l', price: 6.50, stock: 3, availability: true };
+  const yam = { id: 'yam-2kg', price: 8.00, stock: 10, availability: true };
+
+  let tx;
+
+  const merge = (fixture) => {
+    tx = mockTransaction(fixture);
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+    return mergeGuestBasket('session-1', 'customer-1');
+  };
+
+  beforeEach(() => {
+    mockPrisma.basket = {
+      findUnique: jest.fn().mockResolvedValue({ customerId: 'customer-1', promotion: null, items: [] }),
+      update: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  test('should sum quantities of the same size, capped at MAX_ITEM_QUANTITY', async () => {
+    const { merged, basketId, adjustments } = await merge({
+      guestItems: [line('g1', rice, { quantity: 6 })],
+      customerItems: [line('c1', rice, { quantity: 7 })]
+    });
+
+    expect(merged).toBe(true);
+    expect(basketId).toBe('customer-basket');
+    expect(tx.basketItem.update).toHaveBeenCalledWith({
+      where: { id: 'c1' },
+      data: { quantity: MAX_ITEM_QUANTITY, price: 4.99 }
+    });
+    expect(adjustments).toEqual([
+      expect.objectContaining({ variantId: 'rice-1kg', requested: 13, quantity: 10, reason: 'max_quantity' })
+    ]);
+    expect(tx.basket.delete).toHaveBeenCalledWith({ where: { id: 'guest-basket' } });
+  });
+
+  test('should cap quantities at stock not held for other baskets', async () => {
+    const { adjustments } = await merge({
+      guestItems: [line('g1', oil, { quantity: 3 })],
+      reserved: { 'oil-1l': 1 }
+    });
+
+    expect(tx.basketItem.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ basketId: 'customer-basket', variantId: 'oil-1l', quantity: 2 })
+    });
+    expect(adjustments[0]).toMatchObject({ requested: 3, quantity: 2, reason: 'insufficient_stock' });
+  });
+
+  test('should drop sizes taken off sale and keep the customer\'s own line', async () => {
+    const offSale = { ...oil, availability: false };
+    const { adjustments } = await merge({
+      guestItems: [line('g1', offSale, { quantity: 2 })],
+      customerItems: [line('c1', offSale, { quantity: 1 })]
+    });
+
+    expect(tx.basketItem.create).not.toHaveBeenCalled();
+    expect(tx.basketItem.update).not.toHaveBeenCalled();
+    expect(tx.basketItem.delete).not.toHaveBeenCalled();
+    expect(adjustments[0]).toMatchObject({ requested: 3, quantity: 1, reason: 'out_of_stock' });
+  });
+
+  test('should re-price every line, including ones only in the customer\'s basket', async () => {
+    const { adjustments } = await merge({
+      guestItems: [line('g1', rice, { price: 4.49 })],
+      customerItems: [line('c2', yam, { price: 7.50 })]
+    });
+
+    expect(tx.basketItem.create.mock.calls[0][0].data.price).toBe(4.99);
+    expect(tx.basketItem.update).toHaveBeenCalledWith({
+      where: { id: 'c2' },
+      data: { price: 8.00 }
+    });
+    expect(adjustments).toEqual([
+      expect.objectContaining({ variantId: 'rice-1kg', previousPrice: 4.49, price: 4.99, reason: 'price_changed' }),
+      expect.objectContaining({ variantId: 'yam-2kg', previousPrice: 7.50, price: 8.00, reason: 'price_changed' })
+    ]);
+  });
+
+  test('should do nothing when another sign-in already merged the guest basket', async () => {
+    tx = mockTransaction({ guestItems: [] });
+    tx.basket.findUnique.mockResolvedValue(null);
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+
+    const result = await mergeGuestBasket('session-1', 'customer-1');
+
+    expect(result).toEqual({ merged: false, basketId: null, adjustments: [] });
+    expect(tx.basket.delete).not.toHaveBeenCalled();
+    expect(mockPrisma.basket.update).not.toHaveBeenCalled();
+  });
+});
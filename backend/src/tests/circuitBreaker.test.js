@@ -0,0 +1,58 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const { createCircuitBreaker, CIRCUIT_STATES } = require('../utils/circuitBreaker');
+const { buildTsQuery } = require('../utils/fallbackSearch');
+
+describe('Circuit breaker', () => {
+  const down = () => Promise.reject(new Error('connect ECONNREFUSED'));
+  const fallback = () => Promise.resolve('postgres');
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should open after consecutive failures and skip the primary', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 2 });
+    const primary = jest.fn(down);
+
+    expect(await breaker.execute(primary, fallback)).toEqual({ result: 'postgres', fallback: true });
+    await breaker.execute(primary, fallback);
+    expect(breaker.getState().state).toBe(CIRCUIT_STATES.OPEN);
+
+    await breaker.execute(primary, fallback);
+    expect(primary).toHaveBeenCalledTimes(2);
+  });
+
+  test('should close again after a successful trial call', async () => {
+    let time = 0;
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 1000, now: () => time });
+
+    await breaker.execute(down, fallback);
+    time = 1000;
+
+    expect(await breaker.execute(() => Promise.resolve('meilisearch'), fallback))
+      .toEqual({ result: 'meilisearch', fallback: false });
+    expect(breaker.getState()).toEqual({ state: CIRCUIT_STATES.CLOSED, failures: 0 });
+  });
+
+  test('should rethrow errors that are not failures of the primary', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', isFailure: (error) => error.httpStatus !== 400 });
+    const badRequest = Object.assign(new Error('invalid filter'), { httpStatus: 400 });
+
+    await expect(breaker.execute(() => Promise.reject(badRequest), fallback)).rejects.toBe(badRequest);
+    expect(breaker.getState().failures).toBe(0);
+  });
+});
+
+describe('Fallback search query', () => {
+  test('should build a prefix tsquery from the words of the query', () => {
+    expect(buildTsQuery('Jollof ri')).toBe('jollof:* & ri:*');
+    expect(buildTsQuery("l'huile d'arachide")).toBe('l:* & huile:* & d:* & arachide:*');
+    expect(buildTsQuery('  !! ')).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+const {
+  DEFAULT_DELIVERY_FEE,
+  DEFAULT_FREE_DELIVERY_THRESHOLD,
+  roundCurrency,
+  calculateDeliveryFee,
+  getDeliveryQuote
+} = require('../utils/delivery');
+
+describe('Delivery fees', () => {
+  const zone = {
+    deliveryFee: 4.50,
+    freeDeliveryThreshold: 50,
+    minimumOrderValue: 15
+  };
+
+  test('roundCurrency should round to cents', () => {
+    expect(roundCurrency(0.1 + 0.2)).toBe(0.3);
+    expect(roundCurrency(12.345)).toBe(12.35);
+  });
+
+  test('calculateDeliveryFee should charge the zone fee below its threshold', () => {
+    expect(calculateDeliveryFee(zone, 49.99)).toBe(4.50);
+    expect(calculateDeliveryFee(zone, 50)).toBe(0);
+  });
+
+  test('calculateDeliveryFee should use the defaults without a zone', () => {
+    expect(calculateDeliveryFee(null, 10)).toBe(DEFAULT_DELIVERY_FEE);
+    expect(calculateDeliveryFee(null, DEFAULT_FREE_DELIVERY_THRESHOLD)).toBe(0);
+  });
+
+  test('calculateDeliveryFee should always charge zones without a threshold unless waived', () => {
+    const noThreshold = { ...zone, freeDeliveryThreshold: null };
+
+    expect(calculateDeliveryFee(noThreshold, 500)).toBe(4.50);
+    expect(calculateDeliveryFee(noThreshold, 500, { freeDelivery: true })).toBe(0);
+  });
+
+  test('getDeliveryQuote should report progress to free delivery and the minimum order', () => {
+    expect(getDeliveryQuote(zone, 12.3)).toEqual({
+      deliveryFee: 4.50,
+      freeDeliveryThreshold: 50,
+      amountToFreeDelivery: 37.7,
+      minimumOrderValue: 15,
+      amountToMinimumOrder: 2.7,
+      meetsMinimumOrder: false
+    });
+
+    const quote = getDeliveryQuote({ ...zone, freeDeliveryThreshold: null, minimumOrderValue: null }, 60);
+    expect(quote.amountToFreeDelivery).toBeNull();
+    expect(quote.minimumOrderValue).toBe(0);
+    expect(quote.meetsMinimumOrder).toBe(true);
+  });
+});
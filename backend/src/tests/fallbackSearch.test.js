@@ -0,0 +1,163 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+jest.mock('@prisma/client', () => {
+  const { sqltag, join, raw } = jest.requireActual('@prisma/client/runtime/library');
+  return {
+    PrismaClient: jest.fn(() => ({})),
+    Prisma: { sql: sqltag, join, raw }
+  };
+});
+
+const { Prisma } = require('@prisma/client');
+const { searchProductsInPostgres } = require('../utils/fallbackSearch');
+
+const variant = (id, overrides = {}) => ({
+  id,
+  size: '1kg',
+  price: 4.99,
+  unitPrice: 4.99,
+  stock: 10,
+  image: null,
+  availability: true,
+  ...overrides
+});
+
+/**
+ * Prisma client answering the fallback's three queries
+ * @param {Object} params - Fixture
+ * @param {Array<string>} params.hits - Matching product IDs, in result order
+ * @param {Array} params.products - Product rows with variants
+ * @param {Array} params.facetRows - Facet rows as returned by Postgres
+ * @returns {Object} Mock client; client.queries holds the SQL run
+ */
+function mockClient({ hits = [], products = [], facetRows = [] } = {}) {
+  const queries = [];
+
+  return {
+    queries,
+    $queryRaw: jest.fn(async (strings, ...values) => {
+      const query = Prisma.sql(strings, ...values);
+      queries.push(query);
+
+      if (query.sql.includes('AS facet')) return facetRows;
+      if (query.sql.includes('count(*) AS count FROM')) return [{ count: BigInt(hits.length) }];
+      return hits.map(id => ({ id }));
+    }),
+    product: {
+      findMany: jest.fn().mockResolvedValue(products)
+    }
+  };
+}
+
+// The query listing the matching IDs
+const hitsQuery = client => client.queries.find(query => query.sql.includes('LIMIT'));
+
+describe('Postgres fallback search', () => {
+  test('should turn every search filter into a condition on the cheapest size', async () => {
+    const client = mockClient();
+
+    await searchProductsInPostgres({
+      q: 'jollof ri',
+      category: 'Rice & Grains',
+      filters: {
+        priceMin: 2,
+        priceMax: 10,
+        unitPriceMax: 5,
+        dietary: ['vegan'],
+        allergens: ['Peanuts', 'Milk'],
+        origin: ['Ghana', 'Nigeria'],
+        inStock: true
+      }
+    }, client);
+
+    const { sql, values } = hitsQuery(client);
+    expect(sql).toContain("@@ to_tsquery('simple', ?)");
+    expect(sql).toContain('category = ?');
+    expect(sql).toContain('price >= ?');
+    expect(sql).toContain('price <= ?');
+    expect(sql).toContain('"unitPrice" <= ?');
+    expect(sql).toContain('(name ILIKE ? OR description ILIKE ?)');
+    expect(sql).toMatch(/NOT EXISTS \(\s+SELECT 1 FROM unnest\(allergens\) AS allergen WHERE lower\(allergen\) = ANY\(\?\)/);
+    expect(sql).toContain('origin = ANY(?)');
+    expect(sql).toContain('stock > 0');
+    expect(values).toEqual(expect.arrayContaining([
+      'jollof:* & ri:*',
+      'Rice & Grains',
+      2,
+      10,
+      5,
+      '%vegan%',
+      ['peanuts', 'milk'],
+      ['Ghana', 'Nigeria']
+    ]));
+  });
+
+  test('should leave out filters that were not sent', async () => {
+    const client = mockClient();
+
+    await searchProductsInPostgres({ q: 'rice', filters: { inStock: false } }, client);
+
+    const { sql } = hitsQuery(client);
+    expect(sql).not.toMatch(/price [<>]=|origin = ANY|stock > 0|NOT EXISTS|ILIKE/);
+  });
+
+  test.each([
+    ['relevance', 'ORDER BY ts_rank('],
+    ['popularity', 'ORDER BY popularity DESC, ts_rank('],
+    ['price_asc', 'ORDER BY price ASC, ts_rank('],
+    ['price_desc', 'ORDER BY price DESC, ts_rank('],
+    ['unit_price_asc', 'ORDER BY "unitPrice" ASC NULLS LAST, ts_rank('],
+    ['unit_price_desc', 'ORDER BY "unitPrice" DESC NULLS LAST, ts_rank(']
+  ])('should sort %s results like Meilisearch', async (sort, orderBy) => {
+    const client = mockClient();
+
+    await searchProductsInPostgres({ q: 'rice', sort }, client);
+
+    expect(hitsQuery(client).sql.replace(/\s+/g, ' ')).toContain(orderBy);
+  });
+
+  test('should sort by name when there is no text to rank', async () => {
+    const client = mockClient();
+
+    await searchProductsInPostgres({ q: '!!', sort: 'price_asc' }, client);
+
+    const { sql } = hitsQuery(client);
+    expect(sql.replace(/\s+/g, ' ')).toContain('ORDER BY price ASC, name ASC');
+    expect(sql).not.toContain('to_tsquery');
+  });
+
+  test('should answer in the same shape as the Meilisearch search', async () => {
+    const client = mockClient({
+      hits: ['p2', 'p1'],
+      products: [
+        { id: 'p1', name: 'Jollof Rice', variants: [variant('p1-1kg')] },
+        {
+          id: 'p2',
+          name: 'Rice Flour',
+          variants: [
+            variant('p2-1kg', { price: 3.5, unitPrice: 3.5 }),
+            variant('p2-5kg', { size: '5kg', price: 15, unitPrice: 3, stock: 0, availability: false })
+          ]
+        }
+      ],
+      facetRows: [
+        { facet: 'category', value: 'Rice & Grains', count: 2n },
+        { facet: 'dietary', value: 'halal', count: 0n },
+        { facet: 'priceBucket', value: 'under-5', count: 2n }
+      ]
+    });
+
+    const result = await searchProductsInPostgres({ q: 'rice', page: 2, limit: 2 }, client);
+
+    expect(Object.keys(result)).toEqual(['products', 'total', 'facets']);
+    expect(result.total).toBe(2);
+    expect(result.products.map(product => product.id)).toEqual(['p2', 'p1']);
+    expect(result.products[0]).toMatchObject({ price: 3.5, unitPrice: 3.5, stock: 10, sizes: ['1kg'] });
+    expect(result.facets).toEqual({
+      category: { 'Rice & Grains': 2 },
+      dietary: {},
+      priceBucket: { 'under-5': 2 }
+    });
+    expect(hitsQuery(client).values.slice(-2)).toEqual([2, 2]);
+  });
+});
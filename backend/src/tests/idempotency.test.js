@@ -0,0 +1,144 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../middleware/idempotency');
+
+/**
+ * In-memory stand-in for the idempotency_keys table
+ * @returns {Object} Mock idempotencyKey delegate with its rows
+ */
+function mockIdempotencyKeys() {
+  const rows = new Map();
+  let nextId = 1;
+
+  return {
+    rows,
+    findUnique: jest.fn(async ({ where }) => {
+      const { key, scope } = where.key_scope;
+      return [...rows.values()].find(row => row.key === key && row.scope === scope) || null;
+    }),
+    create: jest.fn(async ({ data }) => {
+      const row = { id: String(nextId++), completedAt: null, statusCode: null, responseBody: null, ...data };
+      rows.set(row.id, row);
+      return row;
+    }),
+    update: jest.fn(async ({ where, data }) => {
+      const row = { ...rows.get(where.id), ...data };
+      rows.set(where.id, row);
+      return row;
+    }),
+    deleteMany: jest.fn(async ({ where }) => ({ count: rows.delete(where.id) ? 1 : 0 }))
+  };
+}
+
+// Give the finish listener time to store the response
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency-Key middleware', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    mockPrisma.idempotencyKey = mockIdempotencyKeys();
+    handler = jest.fn((req, res) => res.status(201).json({ id: 'order-1', quantity: req.body.quantity }));
+
+    app = express();
+    app.use(express.json());
+    app.post('/orders', idempotency(), (req, res) => handler(req, res));
+  });
+
+  const post = (body, key = 'key-1') => request(app)
+    .post('/orders')
+    .set('Idempotency-Key', key)
+    .set('X-Session-Id', 'session-1')
+    .send(body);
+
+  test('should replay the first response for a repeated request', async () => {
+    const first = await post({ quantity: 2 });
+    await flush();
+    const repeat = await post({ quantity: 2 });
+
+    expect(first.status).toBe(201);
+    expect(repeat.status).toBe(201);
+    expect(repeat.body).toEqual({ id: 'order-1', quantity: 2 });
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject a key reused with a different body', async () => {
+    await post({ quantity: 2 });
+    await flush();
+    const response = await post({ quantity: 3 });
+
+    expect(response.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should answer 409 while the first request is still running', async () => {
+    let finish;
+    handler = jest.fn((req, res) => { finish = () => res.status(201).json({ ok: true }); });
+
+    // supertest only sends once then() is called
+    const first = post({ quantity: 2 }).then(response => response);
+    while (!finish) {
+      await flush();
+    }
+
+    const concurrent = await post({ quantity: 2 });
+    finish();
+
+    expect(concurrent.status).toBe(409);
+    expect((await first).status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release the key when the client disconnects before the response', async () => {
+    handler = jest.fn();
+
+    await expect(post({ quantity: 2 }).timeout(50)).rejects.toMatchObject({ timeout: 50 });
+
+    // The server sees the socket close a moment after the client gives up
+    while (mockPrisma.idempotencyKey.rows.size > 0) {
+      await flush();
+    }
+
+    handler = jest.fn((req, res) => res.status(201).json({ ok: true }));
+    const retry = await post({ quantity: 2 });
+
+    expect(retry.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should store responses sent without json()', async () => {
+    handler = jest.fn((req, res) => res.sendStatus(204));
+
+    await post({ quantity: 2 });
+    await flush();
+    const repeat = await post({ quantity: 2 });
+
+    expect(repeat.status).toBe(204);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should drop the key after a server error or a failed store', async () => {
+    handler = jest.fn((req, res) => res.status(500).send('boom'));
+    await post({ quantity: 2 });
+    await flush();
+    expect(mockPrisma.idempotencyKey.rows.size).toBe(0);
+
+    handler = jest.fn((req, res) => res.status(201).json({ ok: true }));
+    mockPrisma.idempotencyKey.update.mockRejectedValueOnce(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await post({ quantity: 2 });
+    await flush();
+    expect(mockPrisma.idempotencyKey.rows.size).toBe(0);
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,18 @@
+const { publishOrderEvents, subscribeToOrderEvents } = require('../utils/orderEventBus');
+
+describe('Order event bus', () => {
+  test('should notify subscribers of the order until they unsubscribe', () => {
+    const listener = jest.fn();
+    const other = jest.fn();
+    const unsubscribe = subscribeToOrderEvents('order-1', listener);
+    subscribeToOrderEvents('order-2', other);
+
+    publishOrderEvents('order-1');
+    unsubscribe();
+    publishOrderEvents('order-1');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ orderId: 'order-1' });
+    expect(other).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+const { buildTrackingTimeline, normalizeEventName } = require('../utils/orderEvents');
+
+describe('Order tracking timeline', () => {
+  const deliverySlot = {
+    startsAt: new Date(2025, 8, 20, 16, 0),
+    endsAt: new Date(2025, 8, 20, 20, 0)
+  };
+  const events = [
+    { event: 'confirmed', timestamp: new Date(2025, 8, 20, 9, 0) },
+    { event: 'payment_succeeded', timestamp: new Date(2025, 8, 20, 9, 0), metadata: { amount: 4599 } },
+    { event: 'out for_delivery', timestamp: new Date(2025, 8, 20, 15, 30) }
+  ];
+
+  test('normalizeEventName should map legacy names to the canonical vocabulary', () => {
+    expect(normalizeEventName('out for_delivery')).toBe('out_for_delivery');
+    expect(normalizeEventName('Out for delivery')).toBe('out_for_delivery');
+  });
+
+  test('should complete steps from their events and list payment events separately', () => {
+    const order = { status: 'OUT_FOR_DELIVERY', deliverySlot, events };
+    const { timeline, updates, eta } = buildTrackingTimeline(order, new Date(2025, 8, 20, 15, 0));
+
+    expect(timeline.map(step => step.completed)).toEqual([true, false, true, false]);
+    expect(timeline[2].current).toBe(true);
+    expect(timeline[2].timestamp).toEqual(events[2].timestamp);
+    expect(updates).toEqual([expect.objectContaining({ event: 'payment_succeeded', label: 'Payment received' })]);
+    expect(eta).toMatchObject({ state: 'upcoming', minutesUntilStart: 60, minutesUntilEnd: 300 });
+  });
+
+  test('should flag orders still undelivered after the slot ends', () => {
+    const order = { status: 'OUT_FOR_DELIVERY', deliverySlot, events };
+    const { delayed, eta } = buildTrackingTimeline(order, new Date(2025, 8, 20, 20, 45));
+
+    expect(delayed).toBe(true);
+    expect(eta.minutesLate).toBe(45);
+  });
+
+  test('should end the timeline with the cancellation', () => {
+    const order = {
+      status: 'CANCELLED',
+      deliverySlot: null,
+      events: [events[0], { event: 'cancelled', timestamp: new Date(2025, 8, 20, 10, 0) }]
+    };
+    const { timeline, eta, delayed } = buildTrackingTimeline(order);
+
+    expect(timeline.map(step => step.status)).toEqual(['CONFIRMED', 'CANCELLED']);
+    expect(eta).toBeNull();
+    expect(delayed).toBe(false);
+  });
+});
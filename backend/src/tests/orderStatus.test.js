@@ -0,0 +1,55 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+const { assertTransition, registerTransitionGuard } = require('../utils/orderStatus');
+
+describe('Order state machine', () => {
+  const client = {
+    orderSubstitution: { count: jest.fn().mockResolvedValue(0) }
+  };
+  const order = { id: 'order-1', status: 'PREPARING', paymentStatus: 'PAID' };
+  const unregisterGuards = [];
+
+  afterEach(() => {
+    unregisterGuards.splice(0).forEach(unregister => unregister());
+  });
+
+  test('should reject transitions that are not allowed and list the next states', async () => {
+    await expect(assertTransition({ ...order, status: 'DELIVERED' }, 'CONFIRMED', { client }))
+      .rejects.toMatchObject({ status: 409, allowedTransitions: [] });
+    await expect(assertTransition({ ...order, status: 'CANCELLED' }, 'DELIVERED', { client }))
+      .rejects.toMatchObject({ status: 409, currentStatus: 'CANCELLED' });
+  });
+
+  test('should require a driver for OUT_FOR_DELIVERY', async () => {
+    await expect(assertTransition(order, 'OUT_FOR_DELIVERY', { client }))
+      .rejects.toMatchObject({ status: 400, details: { missing: ['driverId'] } });
+    await expect(assertTransition(order, 'OUT_FOR_DELIVERY', { client, metadata: { driverId: 'driver-1' } }))
+      .resolves.toBeUndefined();
+  });
+
+  test('should only let customers cancel before preparation', async () => {
+    await expect(assertTransition(order, 'CANCELLED', { client, actor: 'customer' }))
+      .rejects.toMatchObject({ status: 409, allowedTransitions: ['OUT_FOR_DELIVERY', 'CANCELLED'] });
+    await expect(assertTransition(order, 'CANCELLED', { client, actor: 'staff' }))
+      .resolves.toBeUndefined();
+  });
+
+  test('should run registered guard hooks', async () => {
+    unregisterGuards.push(
+      registerTransitionGuard('DELIVERED', (o, { metadata }) => (metadata.proof === 'none' ? 'Proof is not valid' : null))
+    );
+
+    await expect(assertTransition({ ...order, status: 'OUT_FOR_DELIVERY' }, 'DELIVERED', { client, metadata: { proof: 'none' } }))
+      .rejects.toThrow('Proof is not valid');
+  });
+
+  test('should stop running a guard once it is unregistered', async () => {
+    const unregister = registerTransitionGuard('DELIVERED', () => 'Always refused');
+    unregister();
+
+    await expect(assertTransition({ ...order, status: 'OUT_FOR_DELIVERY' }, 'DELIVERED', { client, metadata: { proof: 'none' } }))
+      .resolves.toBeUndefined();
+  });
+});
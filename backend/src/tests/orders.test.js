@@ -0,0 +1,331 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { join: jest.fn(values => values) }
+}));
+
+jest.mock('../utils/orderEventBus', () => ({
+  publishOrderEvents: jest.fn()
+}));
+
+jest.mock('../utils/payment', () => ({
+  createRefund: jest.fn()
+}));
+
+const { createRefund } = require('../utils/payment');
+const { placeOrder, placeOrderForPaymentIntent, cancelOrder } = require('../utils/orders');
+
+/**
+ * Transaction client holding one basket and its variants
+ * @param {Object} params - Fixture
+ * @param {Array} params.basketItems - Basket lines with variantId, quantity and price
+ * @param {Array} params.variants - Locked variant rows with id, stock and availability
+ * @param {Object} params.reserved - Units held by other shoppers, keyed by variant ID
+ * @returns {Object} Mock transaction client
+ */
+function mockTransaction({ basketItems, variants, reserved = {} }) {
+  const stock = new Map(variants.map(variant => [variant.id, variant.stock]));
+
+  return {
+    basketItem: {
+      findMany: jest.fn().mockResolvedValue(basketItems.map(item => ({
+        productId: `product-${item.variantId}`,
+        product: { id: `product-${item.variantId}`, name: `Item ${item.variantId}` },
+        variant: { id: item.variantId, size: '1kg' },
+        ...item
+      }))),
+      deleteMany: jest.fn().mockResolvedValue({ count: basketItems.length })
+    },
+    $queryRaw: jest.fn().mockResolvedValue(variants),
+    stockReservation: {
+      groupBy: jest.fn().mockResolvedValue(
+        Object.entries(reserved).map(([variantId, quantity]) => ({ variantId, _sum: { quantity } }))
+      ),
+      updateMany: jest.fn().mockResolvedValue({ count: 0 })
+    },
+    productVariant: {
+      update: jest.fn(async ({ where, data }) => {
+        if (data.stock) {
+          stock.set(where.id, stock.get(where.id) - data.stock.decrement);
+        }
+        return { stock: stock.get(where.id) };
+      })
+    },
+    searchOutbox: {
+      createMany: jest.fn().mockResolvedValue({ count: 1 })
+    },
+    order: {
+      create: jest.fn(async ({ data }) => ({ id: 'order-1', ...data }))
+    },
+    orderItem: {
+      createMany: jest.fn().mockResolvedValue({ count: basketItems.length }),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    orderEvent: {
+      create: jest.fn().mockResolvedValue({})
+    },
+    basket: {
+      update: jest.fn().mockResolvedValue({})
+    }
+  };
+}
+
+describe('Placing orders', () => {
+  const params = {
+    customerId: 'customer-1',
+    basketId: 'basket-1',
+    addressId: 'address-1',
+    paymentIntentId: 'pi_1',
+    total: 13.99,
+    deliveryFee: 0
+  };
+
+  let tx;
+
+  const place = (fixture, overrides = {}) => {
+    tx = mockTransaction(fixture);
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+    return placeOrder({ ...params, ...overrides });
+  };
+
+  beforeEach(() => {
+    mockPrisma.order = { findUnique: jest.fn().mockResolvedValue(null) };
+  });
+
+  test('should decrement stock once per variant and take sold-out sizes off sale', async () => {
+    const { order, created } = await place({
+      basketItems: [
+        { variantId: 'v1', quantity: 2, price: 2.5 },
+        { variantId: 'v1', quantity: 1, price: 2.5 },
+        { variantId: 'v2', quantity: 1, price: 6.49 }
+      ],
+      variants: [
+        { id: 'v1', stock: 3, availability: true },
+        { id: 'v2', stock: 5, availability: true }
+      ]
+    });
+
+    expect(created).toBe(true);
+    expect(tx.productVariant.update).toHaveBeenCalledWith({
+      where: { id: 'v1' },
+      data: { stock: { decrement: 3 } },
+      select: { stock: true }
+    });
+    expect(tx.productVariant.update).toHaveBeenCalledWith({
+      where: { id: 'v1' },
+      data: { availability: false }
+    });
+    expect(tx.productVariant.update).not.toHaveBeenCalledWith({
+      where: { id: 'v2' },
+      data: { availability: false }
+    });
+    expect(order.subtotal).toBe(13.99);
+    expect(tx.basketItem.deleteMany).toHaveBeenCalledWith({ where: { basketId: 'basket-1' } });
+  });
+
+  test('should refuse to oversell units held for other shoppers', async () => {
+    const attempt = place({
+      basketItems: [
+        { variantId: 'v1', quantity: 2, price: 2.5 },
+        { variantId: 'v2', quantity: 1, price: 6.49 }
+      ],
+      variants: [
+        { id: 'v1', stock: 3, availability: true },
+        { id: 'v2', stock: 5, availability: false }
+      ],
+      reserved: { v1: 2 }
+    });
+
+    await expect(attempt).rejects.toMatchObject({
+      unavailableItems: [
+        { variantId: 'v1', reason: 'insufficient_stock' },
+        { variantId: 'v2', reason: 'out_of_stock' }
+      ]
+    });
+    expect(tx.productVariant.update).not.toHaveBeenCalled();
+    expect(tx.order.create).not.toHaveBeenCalled();
+  });
+
+  test('should not count the paying basket\'s own holds against it', async () => {
+    await place({
+      basketItems: [{ variantId: 'v1', quantity: 3, price: 2.5 }],
+      variants: [{ id: 'v1', stock: 3, availability: true }]
+    }, { total: 7.5 });
+
+    const { where } = tx.stockReservation.groupBy.mock.calls[0][0];
+    expect(where.basketId).toEqual({ not: 'basket-1' });
+    expect(where.OR).toEqual([
+      { paymentIntentId: null },
+      { paymentIntentId: { not: 'pi_1' } }
+    ]);
+  });
+
+  test('should refuse a basket that no longer adds up to the amount paid', async () => {
+    const attempt = place({
+      basketItems: [{ variantId: 'v1', quantity: 4, price: 2.5 }],
+      variants: [{ id: 'v1', stock: 10, availability: true }]
+    }, { total: 11.49, deliveryFee: 3.99 });
+
+    await expect(attempt).rejects.toMatchObject({
+      amountMismatch: { charged: 11.49, expected: 13.99 }
+    });
+    expect(tx.productVariant.update).not.toHaveBeenCalled();
+    expect(tx.order.create).not.toHaveBeenCalled();
+  });
+
+  test('should store the delivery fee that was charged', async () => {
+    const { order } = await place({
+      basketItems: [{ variantId: 'v1', quantity: 2, price: 2.5 }],
+      variants: [{ id: 'v1', stock: 10, availability: true }]
+    }, { total: 7.99, discount: 1, deliveryFee: 3.99 });
+
+    expect(order.deliveryFee).toBe(3.99);
+    expect(order.subtotal).toBe(5);
+  });
+
+  test('should return the existing order when the payment was already turned into one', async () => {
+    mockPrisma.order.findUnique.mockResolvedValue({ id: 'order-0', items: [] });
+    mockPrisma.$transaction = jest.fn();
+
+    const { order, created } = await placeOrder(params);
+
+    expect(created).toBe(false);
+    expect(order.id).toBe('order-0');
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no basket', { basketId: undefined }],
+    ['no delivery fee', { deliveryFee: undefined }]
+  ])('should not place an order for a payment intent with %s in its metadata', async (_, overrides) => {
+    mockPrisma.$transaction = jest.fn();
+    const metadata = { customerId: 'customer-1', basketId: 'basket-1', addressId: 'address-1', deliveryFee: '0', ...overrides };
+
+    const attempt = placeOrderForPaymentIntent({ id: 'pi_1', amount: 1399, metadata });
+
+    await expect(attempt).rejects.toMatchObject({ name: 'ValidationError' });
+    expect(mockPrisma.order.findUnique).not.toHaveBeenCalled();
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('Cancelling orders', () => {
+  const paidOrder = {
+    id: 'order-1',
+    status: 'CONFIRMED',
+    paymentStatus: 'PARTIALLY_REFUNDED',
+    paymentIntentId: 'pi_1',
+    total: 24.49,
+    refundedAmount: 4.5,
+    items: [
+      { productId: 'rice', variantId: 'rice-1kg', quantity: 3, missingQuantity: 1 },
+      { productId: 'rice', variantId: 'rice-1kg', quantity: 1, missingQuantity: 0 },
+      { productId: 'oil', variantId: 'oil-1l', quantity: 2, missingQuantity: 2 }
+    ]
+  };
+
+  let tx;
+
+  /**
+   * Transaction client holding one order with a booked delivery slot and no promotion
+   * @param {Object} order - Order to cancel
+   * @returns {Object} Mock transaction client
+   */
+  const mockCancelTransaction = (order) => ({
+    $queryRaw: jest.fn().mockResolvedValue([{ id: order.id }]),
+    order: {
+      findFirst: jest.fn().mockResolvedValue(order),
+      update: jest.fn(async ({ data }) => ({ ...order, ...data }))
+    },
+    productVariant: {
+      update: jest.fn(async ({ data }) => ({ stock: data.stock.increment })),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 })
+    },
+    searchOutbox: { createMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    slotReservation: {
+      findFirst: jest.fn().mockResolvedValue({ id: 'res-1' }),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      findUnique: jest.fn().mockResolvedValue({ slotId: 'slot-1' })
+    },
+    deliverySlot: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    promotionRedemption: { findUnique: jest.fn().mockResolvedValue(null) },
+    orderEvent: { create: jest.fn().mockResolvedValue({}) }
+  });
+
+  const cancel = (order = paidOrder) => {
+    tx = mockCancelTransaction(order);
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+    return cancelOrder({ orderId: order.id, customerId: 'customer-1' });
+  };
+
+  beforeEach(() => {
+    createRefund.mockReset();
+    mockPrisma.order = { update: jest.fn(async ({ data }) => ({ ...paidOrder, status: 'CANCELLED', ...data })) };
+    mockPrisma.orderEvent = { create: jest.fn().mockResolvedValue({}) };
+  });
+
+  test('should restock the units actually taken and free the slot', async () => {
+    createRefund.mockResolvedValue({ id: 're_1', amount: 1999 });
+
+    await cancel();
+
+    expect(tx.productVariant.update).toHaveBeenCalledTimes(1);
+    expect(tx.productVariant.update).toHaveBeenCalledWith({
+      where: { id: 'rice-1kg' },
+      data: { stock: { increment: 3 } },
+      select: { stock: true }
+    });
+    // The variant was sold out, so it goes back on sale unless an admin retired it
+    expect(tx.productVariant.updateMany).toHaveBeenCalledWith({
+      where: { id: 'rice-1kg', retiredAt: null },
+      data: { availability: true }
+    });
+    expect(tx.slotReservation.updateMany).toHaveBeenCalledWith({
+      where: { id: 'res-1', status: { in: ['HELD', 'COMMITTED'] } },
+      data: { status: 'RELEASED' }
+    });
+    expect(tx.deliverySlot.updateMany).toHaveBeenCalledWith({
+      where: { id: 'slot-1', booked: { gt: 0 } },
+      data: { booked: { decrement: 1 } }
+    });
+  });
+
+  test('should refund what is left after the commit, with an order-derived idempotency key', async () => {
+    createRefund.mockResolvedValue({ id: 're_1', amount: 1999 });
+
+    const { order, refund } = await cancel();
+
+    expect(createRefund).toHaveBeenCalledWith('pi_1', 1999, 'requested_by_customer', {
+      idempotencyKey: 'cancel-order-1-1999'
+    });
+    expect(tx.order.update.mock.calls[0][0].data).toEqual({ status: 'CANCELLED' });
+    expect(mockPrisma.order.update).toHaveBeenCalledWith({
+      where: { id: 'order-1' },
+      data: { paymentStatus: 'REFUNDED', refundedAmount: 24.49 }
+    });
+    expect(order.paymentStatus).toBe('REFUNDED');
+    expect(refund.id).toBe('re_1');
+  });
+
+  test('should keep the cancellation when Stripe refuses the refund', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    createRefund.mockRejectedValue(new Error('Failed to create refund'));
+
+    const { order, refund } = await cancel();
+
+    expect(refund).toBeNull();
+    expect(order.status).toBe('CANCELLED');
+    expect(order.paymentStatus).toBe('PARTIALLY_REFUNDED');
+    expect(mockPrisma.order.update).not.toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+
+  test('should not refund unpaid orders', async () => {
+    const { refund } = await cancel({ ...paidOrder, paymentStatus: 'PENDING', refundedAmount: 0 });
+
+    expect(refund).toBeNull();
+    expect(createRefund).not.toHaveBeenCalled();
+  });
+});
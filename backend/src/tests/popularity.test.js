@@ -0,0 +1,86 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const {
+  recordProductEvent,
+  purgeProductEvents,
+  decayFactor,
+  scorePopularity
+} = require('../utils/popularity');
+
+describe('Product popularity', () => {
+  const now = new Date('2025-09-20T12:00:00Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  test('should halve a signal every half-life', () => {
+    expect(decayFactor(0, 7)).toBe(1);
+    expect(decayFactor(7, 7)).toBe(0.5);
+    expect(decayFactor(14, 7)).toBe(0.25);
+    expect(decayFactor(-1, 7)).toBe(1);
+  });
+
+  test('should weigh orders, add-to-carts and views with decay', () => {
+    const { overall } = scorePopularity([
+      { productId: 'rice', zoneId: null, day: now, orderedUnits: 2, addToCarts: 0, views: 0 },
+      { productId: 'rice', zoneId: null, day: daysAgo(7), orderedUnits: 0, addToCarts: 1, views: 10 }
+    ], { now, halfLifeDays: 7 });
+
+    // 2 units * 5 + (1 add-to-cart * 2 + 10 views * 0.2) / 2
+    expect(overall.get('rice')).toBe(12);
+  });
+
+  test('should favour recent demand over older demand of the same size', () => {
+    const { overall } = scorePopularity([
+      { productId: 'fresh', zoneId: null, day: daysAgo(1), orderedUnits: 3, addToCarts: 0, views: 0 },
+      { productId: 'stale', zoneId: null, day: daysAgo(20), orderedUnits: 3, addToCarts: 0, views: 0 }
+    ], { now });
+
+    expect(overall.get('fresh')).toBeGreaterThan(overall.get('stale'));
+  });
+
+  test('should keep zone scores apart and count guests only overall', () => {
+    const { overall, zones } = scorePopularity([
+      { productId: 'gari', zoneId: 'brussels', day: now, orderedUnits: 1, addToCarts: 0, views: 0 },
+      { productId: 'gari', zoneId: 'antwerp', day: now, orderedUnits: 0, addToCarts: 2, views: 0 },
+      { productId: 'gari', zoneId: 'antwerp', day: now, orderedUnits: 0, addToCarts: 0, views: 5 },
+      { productId: 'gari', zoneId: null, day: now, orderedUnits: 0, addToCarts: 0, views: 5 }
+    ], { now });
+
+    expect(overall.get('gari')).toBe(11);
+    expect(zones).toEqual([
+      { productId: 'gari', zoneId: 'brussels', score: 5, orderedUnits: 1, addToCarts: 0, views: 0 },
+      { productId: 'gari', zoneId: 'antwerp', score: 5, orderedUnits: 0, addToCarts: 2, views: 5 }
+    ]);
+  });
+
+  test('should count a shopper\'s views of a product once a day', async () => {
+    mockPrisma.productEvent = { createMany: jest.fn().mockResolvedValue({ count: 1 }) };
+
+    await recordProductEvent({ productId: 'rice', type: 'VIEW', sessionId: 's1', now });
+    await recordProductEvent({ productId: 'rice', type: 'VIEW', customerId: 'c1', sessionId: 's1', now });
+    await recordProductEvent({ productId: 'rice', type: 'ADD_TO_CART', sessionId: 's1', now });
+    expect(await recordProductEvent({ productId: 'rice', type: 'VIEW', now })).toBe(false);
+
+    const rows = mockPrisma.productEvent.createMany.mock.calls.map(([{ data, skipDuplicates }]) => {
+      expect(skipDuplicates).toBe(true);
+      return data[0].dedupeKey;
+    });
+    expect(rows).toEqual([
+      'rice:session:s1:2025-09-20',
+      'rice:customer:c1:2025-09-20',
+      null
+    ]);
+  });
+
+  test('should purge events older than the popularity window', async () => {
+    mockPrisma.productEvent = { deleteMany: jest.fn().mockResolvedValue({ count: 12 }) };
+
+    expect(await purgeProductEvents(30)).toBe(12);
+
+    const { createdAt } = mockPrisma.productEvent.deleteMany.mock.calls[0][0].where;
+    expect(Date.now() - createdAt.lt.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+const {
+  evaluatePromotion,
+  normalizeCode,
+  redeemPromotion,
+  releasePromotionRedemption
+} = require('../utils/promotions');
+
+describe('Promotions', () => {
+  const items = [
+    { price: 4.50, quantity: 2, product: { category: 'Spices' } },
+    { price: 11.00, quantity: 1, product: { category: 'Rice' } }
+  ];
+  const base = {
+    isActive: true,
+    usageCount: 0,
+    usageLimit: null,
+    perCustomerLimit: null,
+    firstOrderOnly: false
+  };
+
+  test('normalizeCode should trim and upper-case codes', () => {
+    expect(normalizeCode('  welcome10 ')).toBe('WELCOME10');
+  });
+
+  test('percentage discount should respect maxDiscount and category scope', () => {
+    const promotion = { ...base, type: 'PERCENTAGE', value: 50, maxDiscount: 3, category: 'Spices' };
+    const result = evaluatePromotion(promotion, { items, subtotal: 20 });
+
+    expect(result.valid).toBe(true);
+    expect(result.discount).toBe(3);
+  });
+
+  test('fixed discount should never exceed the basket', () => {
+    const promotion = { ...base, type: 'FIXED_AMOUNT', value: 50 };
+
+    expect(evaluatePromotion(promotion, { items, subtotal: 20 }).discount).toBe(20);
+  });
+
+  test('should reject codes the customer cannot use', () => {
+    const firstOrder = { ...base, type: 'FREE_DELIVERY', firstOrderOnly: true };
+    const expired = { ...base, type: 'FREE_DELIVERY', endsAt: new Date(2020, 0, 1) };
+    const minimum = { ...base, type: 'FIXED_AMOUNT', value: 5, minimumBasketValue: 30 };
+
+    expect(evaluatePromotion(firstOrder, { items, subtotal: 20 }).reason).toBe('login_required');
+    expect(evaluatePromotion(firstOrder, { items, subtotal: 20, customerId: 'c1', orderCount: 1 }).reason)
+      .toBe('first_order_only');
+    expect(evaluatePromotion(expired, { items, subtotal: 20 }).reason).toBe('expired');
+    expect(evaluatePromotion(minimum, { items, subtotal: 20 }).reason).toBe('minimum_not_met');
+  });
+
+  describe('redemption limits', () => {
+    const mockClient = ({ promotion, updated = 1, customerRedemptions = 0, orderCount = 0, redemption = null }) => ({
+      order: {
+        count: jest.fn().mockResolvedValue(orderCount)
+      },
+      promotion: {
+        findUnique: jest.fn().mockResolvedValue(promotion),
+        updateMany: jest.fn().mockResolvedValue({ count: updated })
+      },
+      promotionRedemption: {
+        count: jest.fn().mockResolvedValue(customerRedemptions),
+        create: jest.fn(async ({ data }) => ({ id: 'r1', ...data })),
+        findUnique: jest.fn().mockResolvedValue(redemption),
+        delete: jest.fn().mockResolvedValue(redemption)
+      }
+    });
+    const params = { promotionId: 'p1', customerId: 'c1', orderId: 'o1', discount: 5 };
+
+    test('should only count a use while under the usage limit', async () => {
+      const client = mockClient({ promotion: { usageLimit: 100, perCustomerLimit: null } });
+
+      await redeemPromotion(client, params);
+
+      expect(client.promotion.updateMany).toHaveBeenCalledWith({
+        where: { id: 'p1', usageCount: { lt: 100 } },
+        data: { usageCount: { increment: 1 } }
+      });
+      expect(client.promotionRedemption.create).toHaveBeenCalled();
+    });
+
+    test('should fail once the usage or per-customer limit is reached', async () => {
+      const fullyUsed = mockClient({ promotion: { usageLimit: 100, perCustomerLimit: null }, updated: 0 });
+      const usedByCustomer = mockClient({ promotion: { usageLimit: null, perCustomerLimit: 1 }, customerRedemptions: 1 });
+
+      await expect(redeemPromotion(fullyUsed, params)).rejects.toMatchObject({
+        name: 'ConflictError',
+        promotionReason: 'usage_limit_reached'
+      });
+      await expect(redeemPromotion(usedByCustomer, params)).rejects.toMatchObject({
+        promotionReason: 'customer_limit_reached'
+      });
+      expect(usedByCustomer.promotion.updateMany.mock.calls[0][0].where).toEqual({ id: 'p1' });
+      expect(usedByCustomer.promotionRedemption.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a first-order code once another order went through', async () => {
+      const client = mockClient({ promotion: { usageLimit: null, perCustomerLimit: null, firstOrderOnly: true }, orderCount: 1 });
+
+      await expect(redeemPromotion(client, params)).rejects.toMatchObject({
+        promotionReason: 'first_order_only'
+      });
+      expect(client.order.count).toHaveBeenCalledWith({
+        where: { customerId: 'c1', status: { not: 'CANCELLED' }, id: { not: 'o1' } }
+      });
+      expect(client.promotionRedemption.create).not.toHaveBeenCalled();
+    });
+
+    test('should give the use back when an order is cancelled', async () => {
+      const client = mockClient({ promotion: null, redemption: { id: 'r1', promotionId: 'p1', orderId: 'o1' } });
+
+      await releasePromotionRedemption(client, 'o1');
+
+      expect(client.promotionRedemption.delete).toHaveBeenCalledWith({ where: { id: 'r1' } });
+      expect(client.promotion.updateMany).toHaveBeenCalledWith({
+        where: { id: 'p1', usageCount: { gt: 0 } },
+        data: { usageCount: { decrement: 1 } }
+      });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const { scoreAssociations } = require('../utils/recommendations');
+
+describe('Product recommendations', () => {
+  // 10 orders: egusi in 4, palm oil in 5, rice in 8
+  const productOrders = new Map([['egusi', 4], ['palm-oil', 5], ['rice', 8]]);
+
+  test('should rank related products by confidence', () => {
+    const associations = scoreAssociations({
+      pairs: [
+        { productId: 'egusi', relatedProductId: 'palm-oil', orders: 3 },
+        { productId: 'egusi', relatedProductId: 'rice', orders: 4 }
+      ],
+      productOrders,
+      totalOrders: 10
+    });
+
+    expect(associations).toEqual([
+      { productId: 'egusi', relatedProductId: 'rice', orders: 4, confidence: 1, lift: 1.25 },
+      { productId: 'egusi', relatedProductId: 'palm-oil', orders: 3, confidence: 0.75, lift: 1.5 }
+    ]);
+  });
+
+  test('should drop pairs bought together no more often than chance', () => {
+    const associations = scoreAssociations({
+      pairs: [
+        { productId: 'palm-oil', relatedProductId: 'rice', orders: 4 },
+        { productId: 'rice', relatedProductId: 'palm-oil', orders: 4 }
+      ],
+      productOrders,
+      totalOrders: 10
+    });
+
+    expect(associations).toEqual([]);
+  });
+
+  test('should keep at most the limit per product', () => {
+    const associations = scoreAssociations({
+      pairs: [
+        { productId: 'egusi', relatedProductId: 'palm-oil', orders: 3 },
+        { productId: 'egusi', relatedProductId: 'rice', orders: 4 },
+        { productId: 'palm-oil', relatedProductId: 'egusi', orders: 3 }
+      ],
+      productOrders,
+      totalOrders: 10,
+      limit: 1
+    });
+
+    expect(associations.map(a => `${a.productId}>${a.relatedProductId}`)).toEqual(['egusi>rice', 'palm-oil>egusi']);
+  });
+});
@@ -0,0 +1,58 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const {
+  recordSearchInteraction,
+  purgeSearchQueries,
+  levenshtein,
+  closestQueries
+} = require('../utils/searchAnalytics');
+
+describe('Search analytics', () => {
+  test('should count the edits between two queries', () => {
+    expect(levenshtein('plantain', 'plantain')).toBe(0);
+    expect(levenshtein('plantian', 'plantain')).toBe(2);
+    expect(levenshtein('gari', 'garri')).toBe(1);
+    expect(levenshtein('', 'egusi')).toBe(5);
+  });
+
+  test('should suggest close popular queries, closest and most popular first', () => {
+    const popular = [
+      { query: 'plantain chips', count: 40 },
+      { query: 'plantain', count: 25 },
+      { query: 'plantains', count: 30 },
+      { query: 'palm oil', count: 50 }
+    ];
+
+    expect(closestQueries('plantan', popular)).toEqual(['plantain', 'plantains']);
+    expect(closestQueries('gri', [{ query: 'gari', count: 5 }, { query: 'rice', count: 9 }])).toEqual(['gari']);
+  });
+
+  test('should only record interactions with products the search returned', async () => {
+    mockPrisma.searchQuery = {
+      findUnique: jest.fn().mockResolvedValue({ id: 'query-1', productIds: ['p1', 'p2'] })
+    };
+    mockPrisma.searchInteraction = { create: jest.fn().mockResolvedValue({}) };
+
+    await recordSearchInteraction({ searchQueryId: 'query-1', productId: 'p2', type: 'CLICK', position: 2 });
+    await expect(recordSearchInteraction({ searchQueryId: 'query-1', productId: 'p9', type: 'CLICK' }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+
+    expect(mockPrisma.searchInteraction.create).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.searchInteraction.create.mock.calls[0][0].data.productId).toBe('p2');
+  });
+
+  test('should purge searches older than the retention window', async () => {
+    mockPrisma.searchQuery = { deleteMany: jest.fn().mockResolvedValue({ count: 7 }) };
+
+    expect(await purgeSearchQueries(90)).toBe(7);
+
+    const { createdAt } = mockPrisma.searchQuery.deleteMany.mock.calls[0][0].where;
+    expect(Date.now() - createdAt.lt.getTime()).toBeGreaterThanOrEqual(90 * 24 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,54 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const { getPriceBucket, buildSearchFilter, buildProductDocument } = require('../utils/search');
+
+describe('Search facets and filters', () => {
+  test('should put prices in buckets with exclusive upper bounds', () => {
+    expect(getPriceBucket(0.99)).toBe('under-5');
+    expect(getPriceBucket(5)).toBe('5-10');
+    expect(getPriceBucket(19.99)).toBe('10-20');
+    expect(getPriceBucket(50)).toBe('50-plus');
+  });
+
+  test('should only match products on sale without filters', () => {
+    expect(buildSearchFilter({})).toBe('availability = true');
+  });
+
+  test('should combine category, origin, unit price and stock filters', () => {
+    const filter = buildSearchFilter({
+      category: 'Rice & Grains',
+      filters: {
+        unitPriceMax: 8,
+        origin: ['Ghana', 'Côte d\'Ivoire'],
+        dietary: ['halal', 'vegan'],
+        inStock: true
+      }
+    });
+
+    expect(filter).toBe(
+      'availability = true AND category = "Rice & Grains" AND unitPrice <= 8 ' +
+      'AND (dietary = "halal" OR dietary = "vegan") AND origin IN ["Ghana", "Côte d\'Ivoire"] AND stock > 0'
+    );
+  });
+
+  test('should escape quotes in filter values', () => {
+    expect(buildSearchFilter({ category: 'Say "cheese"' })).toBe('availability = true AND category = "Say \\"cheese\\""');
+  });
+
+  test('should index the price bucket and leave missing unit prices and origins empty', () => {
+    const document = buildProductDocument({
+      id: 'p1',
+      name: 'Palm Oil',
+      category: 'Oils',
+      allergens: [],
+      availability: true,
+      variants: [{ id: 'v1', size: '1L', price: 12.5, stock: 4, availability: true }]
+    });
+
+    expect(document.priceBucket).toBe('10-20');
+    expect(document.unitPrice).toBeNull();
+    expect(document.origin).toBeNull();
+  });
+});
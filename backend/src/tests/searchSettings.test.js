@@ -0,0 +1,114 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { meilisearch, DEFAULT_SEARCH_SETTINGS, toIndexSettings } = require('../utils/search');
+const { removeStopWords } = require('../utils/suggestions');
+const {
+  withSynonym,
+  withoutSynonym,
+  withStopWords,
+  withRankingRules,
+  saveSearchSettings
+} = require('../utils/searchSettings');
+
+describe('Search settings', () => {
+  const settings = { version: 1, ...DEFAULT_SEARCH_SETTINGS };
+
+  test('should add a synonym for one language without touching the others', () => {
+    const next = withSynonym(settings, 'en', ' Gari ', ['Cassava flakes', 'gari', 'cassava flakes']);
+
+    expect(next.synonyms.en.gari).toEqual(['cassava flakes']);
+    expect(next.synonyms.fr).toBe(settings.synonyms.fr);
+    expect(settings.synonyms.en.gari).toBeUndefined();
+  });
+
+  test('should refuse unknown languages, missing synonyms and bad ranking rules', () => {
+    expect(() => withSynonym(settings, 'de', 'reis', ['rice'])).toThrow('Language must be one of');
+    expect(() => withoutSynonym(settings, 'nl', 'unknown')).toThrow('Synonym not found');
+    expect(() => withRankingRules(settings, ['words', 'popularity'])).toThrow('Unknown ranking rules: popularity');
+    expect(() => withRankingRules(settings, ['words', 'words'])).toThrow('must not repeat');
+    expect(withRankingRules(settings, ['words', 'popularity:desc']).rankingRules).toEqual(['words', 'popularity:desc']);
+  });
+
+  test('should merge synonyms and keep only default-language stop words in Meilisearch settings', () => {
+    const next = withStopWords(settings, 'fr', ['le', 'la', 'le']);
+    const indexSettings = toIndexSettings(next);
+
+    expect(next.stopWords.fr).toEqual(['le', 'la']);
+    expect(indexSettings.stopWords).toEqual(settings.stopWords.en);
+    expect(indexSettings.synonyms.riz).toEqual(['rice']);
+    expect(indexSettings.synonyms.rice).toEqual(['riz']);
+  });
+
+  test('should drop other languages\' stop words at query time', () => {
+    const stopWords = { en: ['the'], fr: ['de', 'la'] };
+
+    expect(removeStopWords('Farine de manioc', 'fr', stopWords)).toBe('Farine manioc');
+    expect(removeStopWords('de la', 'fr', stopWords)).toBe('de la');
+    expect(removeStopWords('pain de mie', 'nl', stopWords)).toBe('pain de mie');
+    expect(removeStopWords('the rice', 'en', stopWords)).toBe('the rice');
+  });
+
+  describe('saving', () => {
+    const created = { id: 'v2', version: 2, appliedAt: null, ...DEFAULT_SEARCH_SETTINGS };
+    let tx;
+    let updateSettings;
+
+    beforeEach(() => {
+      tx = {
+        $executeRaw: jest.fn().mockResolvedValue(1),
+        searchSettingsVersion: {
+          findFirst: jest.fn().mockResolvedValue({ id: 'v1', version: 1, ...DEFAULT_SEARCH_SETTINGS }),
+          create: jest.fn().mockResolvedValue(created)
+        }
+      };
+      mockPrisma.$transaction = jest.fn(async (callback) => {
+        const result = await callback(tx);
+        expect(updateSettings).not.toHaveBeenCalled();
+        return result;
+      });
+      mockPrisma.searchSettingsVersion = {
+        findFirst: jest.fn().mockResolvedValue(created),
+        update: jest.fn(async ({ data }) => ({ ...created, ...data }))
+      };
+
+      updateSettings = jest.fn().mockResolvedValue({ taskUid: 7 });
+      jest.spyOn(meilisearch, 'index').mockReturnValue({ updateSettings });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('should push to Meilisearch after the commit and mark the version applied', async () => {
+      jest.spyOn(meilisearch, 'waitForTask').mockResolvedValue({ uid: 7, status: 'succeeded' });
+
+      const version = await saveSearchSettings({ change: current => current, staffId: 'staff-1' });
+
+      expect(updateSettings).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.searchSettingsVersion.update).toHaveBeenCalledWith({
+        where: { id: 'v2' },
+        data: { appliedAt: expect.any(Date) }
+      });
+      expect(version.appliedAt).toBeInstanceOf(Date);
+    });
+
+    test('should keep a version Meilisearch rejected, unapplied', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(meilisearch, 'waitForTask').mockResolvedValue({
+        uid: 7,
+        status: 'failed',
+        error: { message: 'Invalid ranking rule' }
+      });
+
+      const version = await saveSearchSettings({ change: current => current });
+
+      expect(version).toBe(created);
+      expect(version.appliedAt).toBeNull();
+      expect(mockPrisma.searchSettingsVersion.update).not.toHaveBeenCalled();
+    });
+  });
+});
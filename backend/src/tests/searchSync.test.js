@@ -0,0 +1,127 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { meilisearch, buildProductDocument } = require('../utils/search');
+const {
+  retryDelaySeconds,
+  planDocumentChanges,
+  processSearchOutbox,
+  diffProductDocuments
+} = require('../utils/searchSync');
+
+const variant = (id, overrides = {}) => ({
+  id: `${id}-1kg`,
+  size: '1kg',
+  price: 2.5,
+  unitPrice: 2.5,
+  stock: 10,
+  image: null,
+  availability: true,
+  ...overrides
+});
+
+const product = (id, overrides = {}) => ({
+  id,
+  name: `Product ${id}`,
+  category: 'Grains',
+  allergens: [],
+  availability: true,
+  variants: [variant(id)],
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('Search outbox sync', () => {
+  test('should back off exponentially up to an hour', () => {
+    expect(retryDelaySeconds(1)).toBe(5);
+    expect(retryDelaySeconds(2)).toBe(10);
+    expect(retryDelaySeconds(4)).toBe(40);
+    expect(retryDelaySeconds(20)).toBe(3600);
+  });
+
+  test('should index products on sale and remove the rest', () => {
+    const { upserts, deletes } = planDocumentChanges(
+      ['p1', 'p2', 'p3', 'p4'],
+      [
+        product('p1'),
+        product('p2', { availability: false }),
+        product('p4', { variants: [variant('p4', { availability: false })] })
+      ]
+    );
+
+    expect(upserts.map(document => document.id)).toEqual(['p1']);
+    expect(deletes).toEqual(['p2', 'p3', 'p4']);
+  });
+
+  test('should report missing, stale and orphaned documents', () => {
+    const products = [
+      product('p1'),
+      product('p2'),
+      product('p3', { variants: [variant('p3', { price: 3 })] }),
+      product('p4', { availability: false })
+    ];
+    const documents = [
+      buildProductDocument(product('p1')),
+      buildProductDocument(product('p3')),
+      buildProductDocument(product('p4')),
+      buildProductDocument(product('p5'))
+    ].map(document => JSON.parse(JSON.stringify(document)));
+
+    expect(diffProductDocuments(products, documents)).toEqual({
+      missing: ['p2'],
+      stale: ['p3'],
+      orphaned: ['p4', 'p5']
+    });
+  });
+
+  test('should claim entries with SKIP LOCKED and back off only the product that fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const now = new Date('2026-03-01T12:00:00Z');
+    const entries = ['p1', 'p2'].map(id => ({ id: `entry-${id}`, entityId: id, attempts: 0 }));
+    const tx = {
+      $queryRaw: jest.fn().mockResolvedValue(entries.map(entry => ({ id: entry.id }))),
+      searchOutbox: {
+        updateMany: jest.fn().mockResolvedValue({ count: 2 }),
+        findMany: jest.fn().mockResolvedValue(entries)
+      }
+    };
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+    mockPrisma.product = { findMany: jest.fn().mockResolvedValue([product('p1'), product('p2')]) };
+    mockPrisma.searchOutbox = {
+      updateMany: jest.fn().mockResolvedValue({}),
+      update: jest.fn().mockResolvedValue({})
+    };
+
+    // Any task that touches p2 fails
+    jest.spyOn(meilisearch, 'index').mockReturnValue({
+      addDocuments: async documents => ({ taskUid: documents.map(document => document.id).join(',') })
+    });
+    jest.spyOn(meilisearch, 'waitForTasks').mockImplementation(async uids => uids.map(uid => ({
+      uid,
+      status: uid.includes('p2') ? 'failed' : 'succeeded',
+      error: { message: 'Invalid document' }
+    })));
+
+    const result = await processSearchOutbox({ now });
+
+    expect(tx.$queryRaw.mock.calls[0][0].join('?')).toContain('FOR UPDATE SKIP LOCKED');
+    expect(tx.searchOutbox.updateMany.mock.calls[0][0].data.availableAt.getTime()).toBeGreaterThan(now.getTime());
+    expect(result).toEqual({ processed: 1, retried: 1, failed: 0 });
+    expect(mockPrisma.searchOutbox.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['entry-p1'] } },
+      data: { status: 'DONE', processedAt: expect.any(Date) }
+    });
+    expect(mockPrisma.searchOutbox.update).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.searchOutbox.update.mock.calls[0][0]).toMatchObject({
+      where: { id: 'entry-p2' },
+      data: { attempts: 1, status: 'PENDING', lastError: 'Invalid document' }
+    });
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,162 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const {
+  getSlotTemplates,
+  buildSlotCandidates,
+  formatSlotLabel,
+  holdSlot,
+  commitSlotReservation
+} = require('../utils/slots');
+
+describe('Delivery Slots', () => {
+  const zone = {
+    id: 'zone-1',
+    etaBands: {
+      evening: { start: '16:00', end: '20:00', available: true, capacity: 20 },
+      morning: { start: '09:00', end: '12:00', available: true, capacity: 15, cutoffMinutes: 120 },
+      closed: { start: '12:00', end: '16:00', available: false }
+    }
+  };
+
+  test('getSlotTemplates should skip unavailable bands and sort by start time', () => {
+    const templates = getSlotTemplates(zone);
+
+    expect(templates.map(t => t.band)).toEqual(['morning', 'evening']);
+    expect(templates[0].capacity).toBe(15);
+    expect(templates[1].cutoffMinutes).toBe(60);
+  });
+
+  test('buildSlotCandidates should drop slots past their cutoff', () => {
+    const now = new Date(2025, 8, 20, 8, 0); // 08:00, inside the morning 2h cutoff
+    const candidates = buildSlotCandidates(zone, { now, daysAhead: 2 });
+
+    expect(candidates.map(c => c.slotKey)).toEqual([
+      '2025-09-20:evening',
+      '2025-09-21:morning',
+      '2025-09-21:evening'
+    ]);
+    expect(candidates[0].label).toBe('16:00-20:00');
+  });
+
+  test('buildSlotCandidates should respect weekday restrictions', () => {
+    const weekdaysOnly = {
+      etaBands: {
+        evening: { start: '16:00', end: '20:00', days: [1, 2, 3, 4, 5] }
+      }
+    };
+    const saturday = new Date(2025, 8, 20, 8, 0);
+    const candidates = buildSlotCandidates(weekdaysOnly, { now: saturday, daysAhead: 3 });
+
+    expect(candidates.map(c => c.date)).toEqual(['2025-09-22']);
+  });
+
+  test('formatSlotLabel should pad hours and minutes', () => {
+    const label = formatSlotLabel({
+      startsAt: new Date(2025, 8, 20, 9, 5),
+      endsAt: new Date(2025, 8, 20, 10, 0)
+    });
+
+    expect(label).toBe('09:05-10:00');
+  });
+
+  describe('holdSlot', () => {
+    let tx;
+
+    beforeEach(() => {
+      tx = {
+        slotReservation: {
+          findMany: jest.fn().mockResolvedValue([{ id: 'res-0' }]),
+          updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+          findUnique: jest.fn().mockResolvedValue({ slotId: 'slot-0' }),
+          create: jest.fn(async ({ data }) => ({ id: 'res-1', ...data }))
+        },
+        deliverySlot: {
+          upsert: jest.fn(async ({ create }) => ({ id: 'slot-1', ...create, capacity: 20 })),
+          updateMany: jest.fn().mockResolvedValue({ count: 1 })
+        }
+      };
+
+      mockPrisma.slotReservation = { findMany: jest.fn().mockResolvedValue([]) };
+      mockPrisma.$transaction = jest.fn(callback => callback(tx));
+    });
+
+    test('should bring the slot up to the zone\'s current capacity when booking it', async () => {
+      const candidate = buildSlotCandidates(zone)[0];
+
+      const { reservation } = await holdSlot(zone, candidate.slotKey, 'customer-1');
+
+      expect(tx.deliverySlot.upsert.mock.calls[0][0].update).toEqual({ capacity: candidate.capacity });
+      expect(tx.slotReservation.updateMany.mock.calls[0][0].where.id).toBe('res-0');
+      expect(reservation.slotId).toBe('slot-1');
+    });
+
+    test('should roll back the release of earlier holds when the slot is full', async () => {
+      tx.deliverySlot.updateMany
+        .mockResolvedValueOnce({ count: 1 }) // capacity given back by the earlier hold
+        .mockResolvedValueOnce({ count: 0 }); // new slot full
+
+      const result = await holdSlot(zone, buildSlotCandidates(zone)[0].slotKey, 'customer-1');
+
+      expect(result).toEqual({ error: 'slot_full' });
+      expect(tx.slotReservation.updateMany).toHaveBeenCalled();
+      await expect(mockPrisma.$transaction.mock.results[0].value).rejects.toThrow('full');
+      expect(tx.slotReservation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commitSlotReservation', () => {
+    const lapsedSlot = { id: 'slot-1', zoneId: 'zone-1', capacity: 20, startsAt: new Date(2025, 8, 20, 16, 0) };
+
+    const mockClient = ({ bookedCounts }) => ({
+      slotReservation: {
+        findUnique: jest.fn().mockResolvedValue({ id: 'res-1', status: 'RELEASED', slotId: 'slot-1', slot: lapsedSlot }),
+        update: jest.fn().mockResolvedValue({})
+      },
+      deliverySlot: {
+        updateMany: jest.fn(async () => ({ count: bookedCounts.shift() })),
+        upsert: jest.fn(async ({ create }) => ({ id: `slot-${create.startsAt.getTime()}`, ...create }))
+      },
+      deliveryZone: {
+        findUnique: jest.fn().mockResolvedValue(zone)
+      }
+    });
+
+    test('should re-book a lapsed hold only while its slot has room', async () => {
+      const client = mockClient({ bookedCounts: [1] });
+
+      const slot = await commitSlotReservation('res-1', 'order-1', client);
+
+      expect(slot).toBe(lapsedSlot);
+      expect(client.deliverySlot.updateMany).toHaveBeenCalledWith({
+        where: { id: 'slot-1', booked: { lt: 20 } },
+        data: { booked: { increment: 1 } }
+      });
+      expect(client.slotReservation.update.mock.calls[0][0].data).toEqual({
+        status: 'COMMITTED',
+        slotId: 'slot-1',
+        orderId: 'order-1'
+      });
+    });
+
+    test('should move a lapsed hold to the next slot with room', async () => {
+      const client = mockClient({ bookedCounts: [0, 0, 1] });
+
+      const slot = await commitSlotReservation('res-1', 'order-1', client);
+
+      expect(client.deliverySlot.upsert).toHaveBeenCalledTimes(2);
+      expect(slot.startsAt > lapsedSlot.startsAt).toBe(true);
+      expect(client.slotReservation.update.mock.calls[0][0].data.slotId).toBe(slot.id);
+    });
+
+    test('should refuse to overbook when no later slot has room', async () => {
+      const client = mockClient({ bookedCounts: new Array(50).fill(0) });
+
+      await expect(commitSlotReservation('res-1', 'order-1', client)).rejects.toThrow('No delivery slot left');
+      expect(client.slotReservation.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { join: jest.fn(values => values) }
+}));
+
+const {
+  getReservedQuantities,
+  getAvailableStock,
+  releaseExpiredStockReservations
+} = require('../utils/stock');
+
+describe('Stock reservations', () => {
+  beforeEach(() => {
+    mockPrisma.stockReservation = {
+      groupBy: jest.fn().mockResolvedValue([
+        { variantId: 'v1', _sum: { quantity: 4 } },
+        { variantId: 'v2', _sum: { quantity: null } }
+      ]),
+      updateMany: jest.fn().mockResolvedValue({ count: 2 })
+    };
+  });
+
+  test('should sum live holds per variant', async () => {
+    const reserved = await getReservedQuantities(['v1', 'v2']);
+
+    expect(reserved.get('v1')).toBe(4);
+    expect(reserved.get('v2')).toBe(0);
+
+    const { where } = mockPrisma.stockReservation.groupBy.mock.calls[0][0];
+    expect(where.variantId).toEqual({ in: ['v1', 'v2'] });
+    expect(where.status).toBe('HELD');
+    expect(where.expiresAt.gt).toBeInstanceOf(Date);
+    expect(where.basketId).toBeUndefined();
+  });
+
+  test('should leave out the asking basket and payment intent', async () => {
+    await getReservedQuantities(['v1'], { excludeBasketId: 'basket-1', excludePaymentIntentId: 'pi_1' });
+
+    const { where } = mockPrisma.stockReservation.groupBy.mock.calls[0][0];
+    expect(where.basketId).toEqual({ not: 'basket-1' });
+    expect(where.OR).toEqual([
+      { paymentIntentId: null },
+      { paymentIntentId: { not: 'pi_1' } }
+    ]);
+  });
+
+  test('should subtract other shoppers\' holds from stock, never below zero', async () => {
+    expect(await getAvailableStock({ id: 'v1', stock: 10 }, 'basket-1')).toBe(6);
+    expect(await getAvailableStock({ id: 'v1', stock: 3 })).toBe(0);
+    expect(await getAvailableStock({ id: 'v3', stock: 3 })).toBe(3);
+    expect(mockPrisma.stockReservation.groupBy.mock.calls[0][0].where.basketId).toEqual({ not: 'basket-1' });
+  });
+
+  test('should release only held reservations past their TTL', async () => {
+    const released = await releaseExpiredStockReservations();
+
+    expect(released).toBe(2);
+
+    const { where, data } = mockPrisma.stockReservation.updateMany.mock.calls[0][0];
+    expect(where.status).toBe('HELD');
+    expect(where.expiresAt.lt).toBeInstanceOf(Date);
+    expect(data).toEqual({ status: 'RELEASED' });
+  });
+});
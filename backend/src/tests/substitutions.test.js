@@ -0,0 +1,109 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { evaluatePriceRule, pickSubstituteVariant, substituteOrderItem } = require('../utils/substitutions');
+
+describe('Substitution price rules', () => {
+  const line = { originalPrice: 3.00, quantity: 2 };
+
+  test('REFUND_DELTA should refund a cheaper substitute above the threshold', () => {
+    const result = evaluatePriceRule({ ...line, priceRule: 'REFUND_DELTA', substitutePrice: 2.50 });
+
+    expect(result.requiresApproval).toBe(false);
+    expect(result.refundAmount).toBe(1);
+    expect(result.chargedPrice).toBe(2.50);
+  });
+
+  test('REFUND_DELTA should absorb differences up to €0.20', () => {
+    const result = evaluatePriceRule({ ...line, priceRule: 'REFUND_DELTA', substitutePrice: 2.90 });
+
+    expect(result.refundAmount).toBe(0);
+    expect(result.chargedPrice).toBe(3.00);
+  });
+
+  test('APPROVE_DELTA should ask the customer when the difference is significant', () => {
+    const pricier = evaluatePriceRule({ ...line, priceRule: 'APPROVE_DELTA', substitutePrice: 3.50 });
+    const close = evaluatePriceRule({ ...line, priceRule: 'APPROVE_DELTA', substitutePrice: 3.05 });
+
+    expect(pricier.requiresApproval).toBe(true);
+    expect(pricier.chargedPrice).toBe(3.00);
+    expect(close.requiresApproval).toBe(false);
+  });
+
+  test('NO_CHANGE should keep the original price and maxDelta should exclude substitutes', () => {
+    const noChange = evaluatePriceRule({ ...line, priceRule: 'NO_CHANGE', substitutePrice: 1.00 });
+    const tooFar = evaluatePriceRule({ ...line, priceRule: 'REFUND_DELTA', substitutePrice: 6.00, maxDelta: 2 });
+
+    expect(noChange.refundAmount).toBe(0);
+    expect(noChange.chargedPrice).toBe(3.00);
+    expect(tooFar.allowed).toBe(false);
+  });
+});
+
+describe('Substitute variants', () => {
+  const variants = [
+    { id: 'v-1kg', price: 3.20, stock: 5 },
+    { id: 'v-500g', price: 1.80, stock: 10 },
+    { id: 'v-4kg', price: 11.00, stock: 20 }
+  ];
+
+  test('should pick the size closest in price with stock for the whole line', () => {
+    const item = { quantity: 4, price: 3.00 };
+
+    expect(pickSubstituteVariant(variants, new Map(), item).id).toBe('v-1kg');
+    expect(pickSubstituteVariant(variants, new Map([['v-1kg', 2]]), item).id).toBe('v-500g');
+    expect(pickSubstituteVariant(variants, new Map(), { ...item, quantity: 30 })).toBeNull();
+  });
+});
+
+describe('Substituting order lines', () => {
+  const item = { id: 'item-1', productId: 'rice', price: 3.00, quantity: 2, substitutions: [] };
+
+  beforeEach(() => {
+    mockPrisma.order = {
+      findUnique: jest.fn().mockResolvedValue({
+        id: 'order-1',
+        status: 'PREPARING',
+        substitutionAllowed: true,
+        items: [item]
+      })
+    };
+    mockPrisma.substitution = {
+      findMany: jest.fn().mockResolvedValue([
+        { substituteId: 'basmati', priority: 1, priceRule: 'NO_CHANGE', maxDelta: null }
+      ])
+    };
+    mockPrisma.product = {
+      findMany: jest.fn().mockResolvedValue([{
+        id: 'basmati',
+        name: 'Basmati Rice',
+        image: null,
+        variants: [{ id: 'basmati-1kg', size: '1kg', image: null, price: 3.10, stock: 10 }]
+      }])
+    };
+    mockPrisma.stockReservation = { groupBy: jest.fn().mockResolvedValue([]) };
+  });
+
+  test('should re-check for an earlier substitution with the line locked', async () => {
+    const tx = {
+      $queryRaw: jest.fn().mockResolvedValue([{ id: 'item-1' }]),
+      orderSubstitution: {
+        count: jest.fn().mockResolvedValue(1),
+        create: jest.fn()
+      }
+    };
+    mockPrisma.$transaction = jest.fn(callback => callback(tx));
+
+    await expect(substituteOrderItem({ orderId: 'order-1', itemId: 'item-1' }))
+      .rejects.toThrow('Item has already been substituted');
+
+    expect(tx.$queryRaw).toHaveBeenCalled();
+    expect(tx.orderSubstitution.count).toHaveBeenCalledWith({
+      where: { orderItemId: 'item-1', status: { in: ['PENDING_APPROVAL', 'APPLIED'] } }
+    });
+    expect(tx.orderSubstitution.create).not.toHaveBeenCalled();
+  });
+});
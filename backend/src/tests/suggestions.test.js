@@ -0,0 +1,94 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { queryClient, getSearchSuggestions } = require('../utils/search');
+const {
+  expandSynonyms,
+  highlightPrefix,
+  blendSuggestions,
+  getPopularQueryList
+} = require('../utils/suggestions');
+
+describe('Search suggestions', () => {
+  test('should expand partly typed terms with synonyms of the shopper language', () => {
+    expect(expandSynonyms('viand', 'fr')).toEqual(['meat']);
+    expect(expandSynonyms('viand', 'en')).toEqual([]);
+    expect(expandSynonyms('rijst', 'nl')).toEqual(['rice']);
+    expect(expandSynonyms('v', 'fr')).toEqual([]);
+  });
+
+  test('should highlight the word that starts with the query', () => {
+    expect(highlightPrefix('Jollof Rice Mix', 'ric')).toBe('Jollof <em>Ric</em>e Mix');
+    expect(highlightPrefix('Rice', 'ri')).toBe('<em>Ri</em>ce');
+    expect(highlightPrefix('Garri', 'ri')).toBe('Garri');
+  });
+
+  test('should escape HTML around the highlight', () => {
+    expect(highlightPrefix('<img src=x onerror=alert(1)> rice', 'ri'))
+      .toBe('&lt;img src=x onerror=alert(1)&gt; <em>ri</em>ce');
+    expect(highlightPrefix('Beans & "Peas"', 'xyz')).toBe('Beans &amp; &quot;Peas&quot;');
+  });
+
+  test('should escape product names highlighted by Meilisearch', async () => {
+    const spy = jest.spyOn(queryClient, 'multiSearch').mockResolvedValue({
+      results: [{
+        hits: [{
+          id: 'p1',
+          name: '<b>Rice</b>',
+          category: 'Rice & Grains',
+          _formatted: { name: '<b>\uE000Ri\uE001ce</b>' }
+        }]
+      }]
+    });
+
+    const [suggestion] = await getSearchSuggestions('ri');
+
+    expect(spy.mock.calls[0][0].queries[0]).toMatchObject({
+      highlightPreTag: '\uE000',
+      highlightPostTag: '\uE001'
+    });
+    expect(suggestion.highlighted).toBe('&lt;b&gt;<em>Ri</em>ce&lt;/b&gt;');
+
+    spy.mockRestore();
+  });
+
+  test('should only suggest queries run by several shoppers', async () => {
+    mockPrisma.$queryRaw = jest.fn().mockResolvedValue([{ query: 'jollof rice', count: 14 }]);
+
+    expect(await getPopularQueryList('en')).toEqual([{ query: 'jollof rice', count: 14 }]);
+
+    const [strings, ...values] = mockPrisma.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('HAVING count(DISTINCT coalesce("customerId", "sessionId")) >= ?');
+    expect(values).toContain(3);
+  });
+
+  test('should blend sources without repeating a term', () => {
+    const suggestions = blendSuggestions({
+      query: 'ri',
+      queries: [{ query: 'rice', count: 12 }, { query: 'ri', count: 3 }],
+      categories: ['Rice & Grains', 'Spices'],
+      products: [
+        { id: 'p1', name: 'Rice', category: 'Rice & Grains', highlighted: '<em>Ri</em>ce' },
+        { id: 'p2', name: 'Jollof Rice Mix', category: 'Spices' }
+      ],
+      limit: 3
+    });
+
+    expect(suggestions).toEqual([
+      { type: 'query', text: 'rice', highlighted: '<em>ri</em>ce' },
+      { type: 'category', text: 'Rice & Grains', highlighted: '<em>Ri</em>ce &amp; Grains' },
+      {
+        type: 'product',
+        text: 'Jollof Rice Mix',
+        highlighted: 'Jollof <em>Ri</em>ce Mix',
+        productId: 'p2',
+        category: 'Spices'
+      }
+    ]);
+  });
+});
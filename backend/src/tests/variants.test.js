@@ -0,0 +1,59 @@
+process.env.MEILISEARCH_HOST = process.env.MEILISEARCH_HOST || 'http://localhost:7700';
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const { summarizeVariants, isProductOnSale, productOnSale, productInStock } = require('../utils/variants');
+const { buildProductDocument } = require('../utils/search');
+
+describe('Product variants', () => {
+  const variants = [
+    { id: 'v-1kg', size: '1kg', price: 4.99, unitPrice: 4.99, stock: 50, image: null, availability: true },
+    { id: 'v-4kg', size: '4kg', price: 16.99, unitPrice: 4.25, stock: 20, image: 'https://example.com/4kg.jpg', availability: true },
+    { id: 'v-10kg', size: '10kg', price: 35.00, unitPrice: 3.50, stock: 0, image: null, availability: false }
+  ];
+
+  test('should summarize the sizes on sale', () => {
+    expect(summarizeVariants(variants)).toEqual({
+      price: 4.99,
+      unitPrice: 4.25,
+      stock: 70,
+      sizes: ['1kg', '4kg']
+    });
+    expect(summarizeVariants([]).price).toBeNull();
+  });
+
+  test('should only sell products with a size on sale', () => {
+    expect(isProductOnSale({ availability: true, variants })).toBe(true);
+    expect(isProductOnSale({ availability: false, variants })).toBe(false);
+    expect(isProductOnSale({ availability: true, variants: [variants[2]] })).toBe(false);
+  });
+
+  test('should build the in-stock filter on top of the on-sale filter', () => {
+    expect(productInStock).toEqual({
+      availability: true,
+      variants: { some: { availability: true, stock: { gt: 0 } } }
+    });
+    expect(productOnSale.variants.some.stock).toBeUndefined();
+  });
+
+  test('should collapse variants into one search document with a size picker', () => {
+    const document = buildProductDocument({
+      id: 'p1',
+      name: 'Fufu Flour',
+      category: 'Rice & Grains',
+      image: 'https://example.com/fufu.jpg',
+      allergens: [],
+      availability: true,
+      variants
+    });
+
+    expect(document.price).toBe(4.99);
+    expect(document.priceBucket).toBe('under-5');
+    expect(document.sizes).toEqual(['1kg', '4kg']);
+    expect(document.variants.map(variant => variant.image)).toEqual([
+      'https://example.com/fufu.jpg',
+      'https://example.com/4kg.jpg',
+      'https://example.com/fufu.jpg'
+    ]);
+  });
+});
@@ -0,0 +1,263 @@
+const { PrismaClient } = require('@prisma/client');
+const { createConflictError, createNotFoundError, createValidationError } = require('../middleware/errorHandler');
+const { findDeliveryZone, calculateDeliveryFee, roundCurrency } = require('./delivery');
+const { createRefund } = require('./payment');
+const { ORDER_EVENTS } = require('./orderEvents');
+const { publishOrderEvents } = require('./orderEventBus');
+
+const prisma = new PrismaClient();
+
+// Payment states an order can still be refunded from
+const REFUNDABLE_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+
+/**
+ * Work out what the customer owes for the lines they actually receive and how
+ * much of their payment is still to be refunded. The promo discount shrinks in
+ * proportion to the delivered subtotal, and an order that drops below the
+ * zone's free-delivery threshold owes the zone's fee again.
+ * @param {Object} params - Refund parameters
+ * @param {Object} params.order - Order with subtotal, discount, deliveryFee, total and refundedAmount
+ * @param {Array} params.items - Order lines with price, quantity and missingQuantity
+ * @param {Object} params.zone - Delivery zone of the order (null for defaults)
+ * @param {boolean} params.freeDelivery - Delivery was free through a promotion
+ * @returns {Object} Delivered subtotal, owed amount, refund and the discount/fee changes
+ */
+function calculateRefund({ order, items, zone = null, freeDelivery = false }) {
+  const deliveredSubtotal = roundCurrency(
+    items.reduce((sum, item) => sum + item.price * (item.quantity - item.missingQuantity), 0)
+  );
+
+  const discount = order.subtotal > 0
+    ? roundCurrency(order.discount * Math.min(1, deliveredSubtotal / order.subtotal))
+    : 0;
+
+  let deliveryFee = order.deliveryFee;
+  if (deliveredSubtotal === 0) {
+    deliveryFee = 0; // nothing delivered, nothing to charge for
+  } else if (order.deliveryFee === 0 && !freeDelivery) {
+    deliveryFee = calculateDeliveryFee(zone, deliveredSubtotal);
+  }
+
+  const owed = roundCurrency(deliveredSubtotal - discount + deliveryFee);
+
+  return {
+    deliveredSubtotal,
+    discount,
+    deliveryFee,
+    owed,
+    refund: Math.max(0, roundCurrency(order.total - order.refundedAmount - owed)),
+    discountAdjustment: roundCurrency(order.discount - discount),
+    deliveryFeeAdjustment: roundCurrency(deliveryFee - order.deliveryFee)
+  };
+}
+
+/**
+ * Settle short-picked lines and substitution refunds on an order: record the
+ * missing units and a timeline event with the breakdown, then issue the Stripe
+ * partial refund for the difference once that is committed. Substitution
+ * refunds not yet paid out are always included.
+ * @param {Object} params - Adjustment parameters
+ * @param {string} params.orderId - Order ID
+ * @param {Array} params.items - Short picks as { itemId, quantity } (units missing)
+ * @param {string} params.note - Note for the customer (optional)
+ * @returns {Promise<Object>} { adjustment, paymentStatus, refundedAmount }
+ * @throws {Error} Not found, validation or conflict error
+ */
+async function adjustOrder({ orderId, items = [], note = null }) {
+  const result = await prisma.$transaction(async (tx) => {
+    // Serialize adjustments on the same order
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: true,
+        address: { select: { postalCode: true } },
+        promotion: { select: { type: true } },
+        substitutions: {
+          where: {
+            adjustmentId: null,
+            refundAmount: { gt: 0 },
+            status: { in: ['APPLIED', 'REJECTED'] }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw createNotFoundError('Order');
+    }
+
+    if (order.status === 'CANCELLED') {
+      throw createConflictError('Cannot adjust a cancelled order');
+    }
+
+    if (!order.paymentIntentId || !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw createConflictError('Order has no payment left to refund');
+    }
+
+    if (items.length === 0 && order.substitutions.length === 0) {
+      throw createConflictError('Nothing to adjust on this order');
+    }
+
+    const lines = [];
+
+    for (const { itemId, quantity } of items) {
+      const item = order.items.find(i => i.id === itemId);
+      if (!item) {
+        throw createNotFoundError('Order item');
+      }
+
+      if (item.missingQuantity + quantity > item.quantity) {
+        throw createValidationError(`Only ${item.quantity - item.missingQuantity} units of ${item.name} can be marked missing`);
+      }
+
+      item.missingQuantity += quantity;
+      lines.push({
+        itemId,
+        name: item.name,
+        reason: 'short_picked',
+        quantity,
+        amount: roundCurrency(item.price * quantity)
+      });
+    }
+
+    for (const substitution of order.substitutions) {
+      lines.push({
+        itemId: substitution.orderItemId,
+        name: substitution.substituteName,
+        reason: substitution.status === 'REJECTED' ? 'substitution_rejected' : 'substituted',
+        quantity: substitution.quantity,
+        amount: substitution.refundAmount
+      });
+    }
+
+    const zone = await findDeliveryZone(order.address.postalCode);
+    const breakdown = calculateRefund({
+      order,
+      items: order.items,
+      zone,
+      freeDelivery: order.promotion?.type === 'FREE_DELIVERY'
+    });
+
+    for (const { itemId } of items) {
+      const item = order.items.find(i => i.id === itemId);
+      await tx.orderItem.update({
+        where: { id: itemId },
+        data: { missingQuantity: item.missingQuantity }
+      });
+    }
+
+    const refundedAmount = roundCurrency(order.refundedAmount + breakdown.refund);
+    const paymentStatus = breakdown.refund === 0
+      ? order.paymentStatus
+      : refundedAmount >= order.total ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+    const adjustment = await tx.orderAdjustment.create({
+      data: {
+        orderId,
+        amount: breakdown.refund,
+        itemsAmount: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+        discountAdjustment: breakdown.discountAdjustment,
+        deliveryFeeAdjustment: breakdown.deliveryFeeAdjustment,
+        lines,
+        note
+      }
+    });
+
+    if (order.substitutions.length > 0) {
+      await tx.orderSubstitution.updateMany({
+        where: { id: { in: order.substitutions.map(s => s.id) } },
+        data: { adjustmentId: adjustment.id }
+      });
+    }
+
+    await tx.order.update({
+      where: { id: orderId },
+      data: { refundedAmount, paymentStatus }
+    });
+
+    await tx.orderEvent.create({
+      data: {
+        orderId,
+        event: breakdown.refund > 0 ? ORDER_EVENTS.REFUND_ISSUED : ORDER_EVENTS.ORDER_ADJUSTED,
+        metadata: {
+          adjustmentId: adjustment.id,
+          amount: breakdown.refund,
+          lines,
+          discountAdjustment: breakdown.discountAdjustment,
+          deliveryFeeAdjustment: breakdown.deliveryFeeAdjustment,
+          note
+        }
+      }
+    });
+
+    return { adjustment, paymentStatus, refundedAmount, paymentIntentId: order.paymentIntentId };
+  }, { timeout: 20000 });
+
+  publishOrderEvents(orderId);
+
+  // Stripe is called after the commit; a failed call is retried by retryPendingAdjustmentRefunds
+  const { paymentIntentId, ...adjusted } = result;
+  if (adjusted.adjustment.amount > 0) {
+    adjusted.adjustment = await issueAdjustmentRefund(adjusted.adjustment, paymentIntentId);
+  }
+
+  return adjusted;
+}
+
+/**
+ * Pay out an adjustment's refund through Stripe. The idempotency key is
+ * derived from the adjustment, so retries never refund twice.
+ * @param {Object} adjustment - Committed order adjustment with a pending refund
+ * @param {string} paymentIntentId - Stripe payment intent of the order
+ * @returns {Promise<Object>} Adjustment, with stripeRefundId set when Stripe accepted the refund
+ */
+async function issueAdjustmentRefund(adjustment, paymentIntentId) {
+  try {
+    const refund = await createRefund(paymentIntentId, Math.round(adjustment.amount * 100), 'requested_by_customer', {
+      idempotencyKey: `adjustment-${adjustment.id}`
+    });
+
+    return await prisma.orderAdjustment.update({
+      where: { id: adjustment.id },
+      data: { stripeRefundId: refund.id }
+    });
+  } catch (error) {
+    console.error(`Refund for adjustment ${adjustment.id} failed, will retry:`, error);
+    return adjustment;
+  }
+}
+
+/**
+ * Retry adjustment refunds Stripe has not accepted yet
+ * @param {Object} options - Options
+ * @param {number} options.olderThanMinutes - Leave younger adjustments to the request that created them
+ * @returns {Promise<number>} Number of refunds issued
+ */
+async function retryPendingAdjustmentRefunds({ olderThanMinutes = 5 } = {}) {
+  const pending = await prisma.orderAdjustment.findMany({
+    where: {
+      amount: { gt: 0 },
+      stripeRefundId: null,
+      createdAt: { lt: new Date(Date.now() - olderThanMinutes * 60 * 1000) }
+    },
+    include: { order: { select: { paymentIntentId: true } } }
+  });
+
+  let issued = 0;
+  for (const { order, ...adjustment } of pending) {
+    const updated = await issueAdjustmentRefund(adjustment, order.paymentIntentId);
+    if (updated.stripeRefundId) {
+      issued++;
+    }
+  }
+
+  return issued;
+}
+
+module.exports = {
+  calculateRefund,
+  adjustOrder,
+  retryPendingAdjustmentRefunds
+};
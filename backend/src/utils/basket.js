@@ -0,0 +1,315 @@
+const { PrismaClient } = require('@prisma/client');
+const { getAvailableStock } = require('./stock');
+const { checkPromotion } = require('./promotions');
+const { variantSelect } = require('./variants');
+
+const prisma = new PrismaClient();
+
+const MAX_ITEM_QUANTITY = 10;
+
+const basketInclude = {
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          image: true,
+          availability: true
+        }
+      },
+      variant: {
+        select: variantSelect
+      }
+    }
+  }
+};
+
+/**
+ * Get the basket for a customer or guest session, creating it if needed.
+ * A signed-in customer always gets their own basket; a guest session only
+ * ever sees baskets that no customer owns.
+ * @param {string} sessionId - Guest session ID
+ * @param {string} customerId - Customer ID (optional)
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<Object>} Basket with items, products and variants
+ */
+async function getOrCreateBasket(sessionId, customerId = null, client = prisma) {
+  const where = customerId
+    ? { customerId }
+    : { sessionId, customerId: null };
+
+  let basket = await client.basket.findFirst({
+    where,
+    include: basketInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (!basket) {
+    basket = await client.basket.create({
+      data: {
+        sessionId,
+        customerId,
+        subtotal: 0
+      },
+      include: basketInclude
+    });
+  }
+
+  return basket;
+}
+
+/**
+ * Recalculate and store a basket's subtotal and promo discount. An applied
+ * promo code that no longer qualifies gives no discount and is reported in
+ * promotionError.
+ * @param {string} basketId - Basket ID
+ * @returns {Promise<Object>} Subtotal, discount, promotion state and lines that can no longer be fulfilled
+ */
+async function calculateBasketTotal(basketId) {
+  const basket = await prisma.basket.findUnique({
+    where: { id: basketId },
+    select: {
+      customerId: true,
+      promotion: true,
+      items: {
+        include: {
+          product: {
+            select: { name: true, availability: true, category: true }
+          },
+          variant: {
+            select: { availability: true, stock: true }
+          }
+        }
+      }
+    }
+  });
+
+  let subtotal = 0;
+  const unavailableItems = [];
+  const availableItems = [];
+
+  for (const item of basket.items) {
+    const onSale = item.product.availability && item.variant.availability;
+
+    if (!onSale || item.variant.stock < item.quantity) {
+      unavailableItems.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.product.name,
+        reason: !onSale ? 'out_of_stock' : 'insufficient_stock'
+      });
+    } else {
+      subtotal += item.price * item.quantity;
+      availableItems.push(item);
+    }
+  }
+
+  let discount = 0;
+  let freeDelivery = false;
+  let promotion = null;
+  let promotionError = null;
+
+  if (basket.promotion) {
+    const result = await checkPromotion(basket.promotion, {
+      items: availableItems,
+      subtotal,
+      customerId: basket.customerId
+    });
+
+    if (result.valid) {
+      discount = result.discount;
+      freeDelivery = result.freeDelivery;
+      promotion = {
+        id: basket.promotion.id,
+        code: basket.promotion.code,
+        description: basket.promotion.description,
+        type: basket.promotion.type
+      };
+    } else {
+      promotionError = {
+        code: basket.promotion.code,
+        reason: result.reason,
+        message: result.message
+      };
+    }
+  }
+
+  await prisma.basket.update({
+    where: { id: basketId },
+    data: { subtotal, discount }
+  });
+
+  return { subtotal, discount, freeDelivery, promotion, promotionError, unavailableItems };
+}
+
+/**
+ * IDs of the products in a customer's or guest session's basket, without
+ * creating a basket when there is none
+ * @param {string} sessionId - Guest session ID (optional)
+ * @param {string} customerId - Customer ID (optional)
+ * @returns {Promise<Array<string>>} Product IDs
+ */
+async function getBasketProductIds(sessionId, customerId = null) {
+  if (!sessionId && !customerId) {
+    return [];
+  }
+
+  const basket = await prisma.basket.findFirst({
+    where: customerId ? { customerId } : { sessionId, customerId: null },
+    select: { items: { select: { productId: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return basket ? basket.items.map(item => item.productId) : [];
+}
+
+/**
+ * Move a guest basket into a customer's basket after sign-in, in one
+ * transaction so a failure leaves both baskets as they were. Quantities of the
+ * same variant are summed and capped at available stock and
+ * MAX_ITEM_QUANTITY, every line is re-priced at the current catalog price and
+ * the guest basket is deleted.
+ * @param {string} sessionId - Guest session ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} { merged, basketId, adjustments } where adjustments lists changed lines
+ */
+async function mergeGuestBasket(sessionId, customerId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const guestBasketRef = await tx.basket.findFirst({
+      where: {
+        sessionId,
+        customerId: null
+      },
+      select: { id: true }
+    });
+
+    if (!guestBasketRef) {
+      return { merged: false, basketId: null, adjustments: [] };
+    }
+
+    // Lock the guest basket so concurrent sign-ins merge it only once
+    await tx.$queryRaw`SELECT id FROM baskets WHERE id = ${guestBasketRef.id} FOR UPDATE`;
+
+    const guestBasket = await tx.basket.findUnique({
+      where: { id: guestBasketRef.id },
+      include: basketInclude
+    });
+
+    if (!guestBasket) {
+      return { merged: false, basketId: null, adjustments: [] };
+    }
+
+    const customerBasket = await getOrCreateBasket(sessionId, customerId, tx);
+    const adjustments = [];
+
+    for (const guestItem of guestBasket.items) {
+      const { product, variant } = guestItem;
+      const existingItem = customerBasket.items.find(item => item.variantId === guestItem.variantId);
+      const requested = guestItem.quantity + (existingItem ? existingItem.quantity : 0);
+
+      if (!product.availability || !variant.availability) {
+        adjustments.push({
+          productId: product.id,
+          variantId: variant.id,
+          name: product.name,
+          requested,
+          quantity: existingItem ? existingItem.quantity : 0,
+          reason: 'out_of_stock'
+        });
+        continue;
+      }
+
+      const availableStock = await getAvailableStock(variant, customerBasket.id, tx);
+      const quantity = Math.min(requested, availableStock, MAX_ITEM_QUANTITY);
+
+      if (quantity < requested) {
+        adjustments.push({
+          productId: product.id,
+          variantId: variant.id,
+          name: product.name,
+          requested,
+          quantity,
+          reason: quantity < MAX_ITEM_QUANTITY ? 'insufficient_stock' : 'max_quantity'
+        });
+      }
+
+      const previousPrice = existingItem ? existingItem.price : guestItem.price;
+      if (quantity > 0 && previousPrice !== variant.price) {
+        adjustments.push(priceChange(guestItem, previousPrice));
+      }
+
+      if (existingItem && quantity === 0) {
+        await tx.basketItem.delete({ where: { id: existingItem.id } });
+      } else if (existingItem) {
+        await tx.basketItem.update({
+          where: { id: existingItem.id },
+          data: { quantity, price: variant.price }
+        });
+      } else if (quantity > 0) {
+        await tx.basketItem.create({
+          data: {
+            basketId: customerBasket.id,
+            productId: product.id,
+            variantId: variant.id,
+            quantity,
+            price: variant.price
+          }
+        });
+      }
+    }
+
+    // Lines only in the customer's basket are re-priced too
+    const guestVariantIds = new Set(guestBasket.items.map(item => item.variantId));
+
+    for (const item of customerBasket.items) {
+      if (guestVariantIds.has(item.variantId) || item.price === item.variant.price) {
+        continue;
+      }
+
+      adjustments.push(priceChange(item, item.price));
+      await tx.basketItem.update({
+        where: { id: item.id },
+        data: { price: item.variant.price }
+      });
+    }
+
+    // Items cascade with the basket
+    await tx.basket.delete({
+      where: { id: guestBasket.id }
+    });
+
+    return { merged: true, basketId: customerBasket.id, adjustments };
+  });
+
+  if (result.merged) {
+    await calculateBasketTotal(result.basketId);
+  }
+
+  return result;
+}
+
+/**
+ * Adjustment reported when a basket line is re-priced
+ * @param {Object} item - Basket item with product and variant
+ * @param {number} previousPrice - Price the line had
+ * @returns {Object} price_changed adjustment
+ */
+function priceChange(item, previousPrice) {
+  return {
+    productId: item.product.id,
+    variantId: item.variant.id,
+    name: item.product.name,
+    previousPrice,
+    price: item.variant.price,
+    reason: 'price_changed'
+  };
+}
+
+module.exports = {
+  MAX_ITEM_QUANTITY,
+  getOrCreateBasket,
+  calculateBasketTotal,
+  getBasketProductIds,
+  mergeGuestBasket
+};
@@ -0,0 +1,98 @@
+// Breaker states
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // calls go to the primary
+  OPEN: 'open',           // primary skipped, fallback serves every call
+  HALF_OPEN: 'half_open'  // one trial call decides whether to close again
+};
+
+/**
+ * Circuit breaker around a primary dependency with a fallback. After
+ * `failureThreshold` consecutive failures the circuit opens and calls go
+ * straight to the fallback; once `resetTimeoutMs` has passed a single trial
+ * call is let through to the primary, closing the circuit when it succeeds.
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Name for logs
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+ * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial call (default: 30000)
+ * @param {Function} options.isFailure - Whether an error counts against the primary; other errors are rethrown (default: all)
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} Breaker with execute(primary, fallback) and getState()
+ */
+function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true, now = Date.now } = {}) {
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function open(error) {
+    if (state !== CIRCUIT_STATES.OPEN) {
+      console.warn(`Circuit "${name}" opened:`, error.message);
+    }
+
+    state = CIRCUIT_STATES.OPEN;
+    openedAt = now();
+  }
+
+  return {
+    /**
+     * Run the primary, or the fallback when the circuit is open or the primary fails
+     * @param {Function} primary - Async call to the protected dependency
+     * @param {Function} fallback - Async call used instead, receives the primary's error (if any)
+     * @returns {Promise<Object>} { result, fallback } where fallback tells which one answered
+     */
+    async execute(primary, fallback) {
+      if (state === CIRCUIT_STATES.OPEN && now() - openedAt >= resetTimeoutMs && !trialInFlight) {
+        state = CIRCUIT_STATES.HALF_OPEN;
+      }
+
+      const isTrial = state === CIRCUIT_STATES.HALF_OPEN && !trialInFlight;
+      if (state !== CIRCUIT_STATES.CLOSED && !isTrial) {
+        return { result: await fallback(null), fallback: true };
+      }
+
+      if (isTrial) {
+        trialInFlight = true;
+      }
+
+      try {
+        const result = await primary();
+
+        if (state !== CIRCUIT_STATES.CLOSED) {
+          console.info(`Circuit "${name}" closed`);
+        }
+        state = CIRCUIT_STATES.CLOSED;
+        failures = 0;
+
+        return { result, fallback: false };
+      } catch (error) {
+        if (!isFailure(error)) {
+          throw error;
+        }
+
+        failures++;
+        if (isTrial || failures >= failureThreshold) {
+          open(error);
+        }
+
+        return { result: await fallback(error), fallback: true };
+      } finally {
+        if (isTrial) {
+          trialInFlight = false;
+        }
+      }
+    },
+
+    /**
+     * Current breaker state
+     * @returns {Object} { state, failures }
+     */
+    getState() {
+      return { state, failures };
+    }
+  };
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  createCircuitBreaker
+};
@@ -0,0 +1,114 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Shown before the customer's postcode is known
+const DEFAULT_DELIVERY_FEE = parseFloat(process.env.DEFAULT_DELIVERY_FEE) || 3.99;
+const DEFAULT_FREE_DELIVERY_THRESHOLD = parseFloat(process.env.DEFAULT_FREE_DELIVERY_THRESHOLD) || 40.00;
+
+/**
+ * Round a EUR amount to cents
+ * @param {number} amount - Amount in EUR
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Find the active delivery zone serving a postal code
+ * @param {string} postalCode - Belgian postal code
+ * @returns {Promise<Object|null>} Delivery zone
+ */
+async function findDeliveryZone(postalCode) {
+  if (!postalCode) {
+    return null;
+  }
+
+  return prisma.deliveryZone.findFirst({
+    where: {
+      postalCodes: {
+        has: postalCode
+      },
+      isActive: true
+    }
+  });
+}
+
+/**
+ * Postal code of a customer's default (or most recent) address
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<string|null>} Postal code
+ */
+async function getCustomerPostalCode(customerId) {
+  if (!customerId) {
+    return null;
+  }
+
+  const address = await prisma.address.findFirst({
+    where: { customerId },
+    select: { postalCode: true },
+    orderBy: [
+      { isDefault: 'desc' },
+      { createdAt: 'desc' }
+    ]
+  });
+
+  return address ? address.postalCode : null;
+}
+
+/**
+ * Delivery fee for a basket subtotal in a zone
+ * @param {Object} zone - Delivery zone (null for defaults)
+ * @param {number} subtotal - Basket subtotal in EUR
+ * @param {Object} options - Options
+ * @param {boolean} options.freeDelivery - Waive the fee (e.g. free-delivery promo)
+ * @returns {number} Delivery fee in EUR
+ */
+function calculateDeliveryFee(zone, subtotal, { freeDelivery = false } = {}) {
+  if (freeDelivery) {
+    return 0;
+  }
+
+  const fee = zone ? zone.deliveryFee : DEFAULT_DELIVERY_FEE;
+  const threshold = zone ? zone.freeDeliveryThreshold : DEFAULT_FREE_DELIVERY_THRESHOLD;
+
+  if (threshold !== null && threshold !== undefined && subtotal >= threshold) {
+    return 0;
+  }
+
+  return fee;
+}
+
+/**
+ * Fee, free-delivery progress and minimum-order status for a basket
+ * @param {Object} zone - Delivery zone (null for defaults)
+ * @param {number} subtotal - Basket subtotal in EUR
+ * @param {Object} options - Options passed to calculateDeliveryFee
+ * @returns {Object} Delivery quote
+ */
+function getDeliveryQuote(zone, subtotal, options = {}) {
+  const freeDeliveryThreshold = zone ? zone.freeDeliveryThreshold : DEFAULT_FREE_DELIVERY_THRESHOLD;
+  const minimumOrderValue = zone ? zone.minimumOrderValue || 0 : 0;
+
+  return {
+    deliveryFee: calculateDeliveryFee(zone, subtotal, options),
+    freeDeliveryThreshold,
+    amountToFreeDelivery: freeDeliveryThreshold !== null && freeDeliveryThreshold !== undefined
+      ? roundCurrency(Math.max(0, freeDeliveryThreshold - subtotal))
+      : null,
+    minimumOrderValue,
+    amountToMinimumOrder: roundCurrency(Math.max(0, minimumOrderValue - subtotal)),
+    meetsMinimumOrder: subtotal >= minimumOrderValue
+  };
+}
+
+module.exports = {
+  DEFAULT_DELIVERY_FEE,
+  DEFAULT_FREE_DELIVERY_THRESHOLD,
+  roundCurrency,
+  findDeliveryZone,
+  getCustomerPostalCode,
+  calculateDeliveryFee,
+  getDeliveryQuote
+};
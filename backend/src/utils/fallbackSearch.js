@@ -0,0 +1,238 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { ANIMAL_ALLERGENS, PRICE_BUCKETS } = require('./search');
+const { pickerVariants, withVariantSummary } = require('./variants');
+
+const prisma = new PrismaClient();
+
+// Text searched by the fallback; the GIN index below must use the same expression
+const SEARCH_VECTOR_SQL = `to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(description, '') || ' ' || category || ' ' || coalesce(origin, ''))`;
+
+// Products with their sizes on sale collapsed the way buildProductDocument in
+// utils/search.js does. Every product column is grouped on so conditions on
+// them are pushed into the scan of products and can use the GIN index.
+const PRODUCTS_ON_SALE_SQL = `(
+  SELECT p.id, p.name, p.description, p.category, p.image, p.allergens, p.origin,
+         p.availability, p.popularity, min(v.price) AS price,
+         min(v."unitPrice") AS "unitPrice", sum(v.stock)::int AS stock
+  FROM products p
+  JOIN product_variants v ON v."productId" = p.id AND v.availability = true
+  GROUP BY p.id, p.name, p.description, p.category, p.image, p.allergens, p.origin,
+           p.availability, p.popularity
+) AS products`;
+
+/**
+ * Create the full-text index used by the fallback search (safe to run repeatedly)
+ * @param {Object} client - Prisma client (default: shared client)
+ * @returns {Promise<void>}
+ */
+async function ensureFallbackSearchIndex(client = prisma) {
+  await client.$executeRawUnsafe(
+    `CREATE INDEX IF NOT EXISTS products_search_vector_idx ON products USING GIN (${SEARCH_VECTOR_SQL})`
+  );
+}
+
+/**
+ * Turn a search query into a prefix tsquery, e.g. "jollof ri" -> "jollof:* & ri:*"
+ * @param {string} q - Search query
+ * @returns {string|null} tsquery text, or null when the query has no words
+ */
+function buildTsQuery(q) {
+  const terms = q.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+}
+
+/**
+ * SQL condition matching a word in the product name or description
+ * @param {string} word - Word to look for
+ * @returns {Object} Prisma SQL fragment
+ */
+function mentions(word) {
+  return Prisma.sql`(name ILIKE ${`%${word}%`} OR description ILIKE ${`%${word}%`})`;
+}
+
+/**
+ * SQL condition for a dietary tag, mirroring extractDietaryInfo in utils/search.js
+ * @param {string} diet - halal, vegan or vegetarian
+ * @returns {Object} Prisma SQL fragment
+ */
+function dietaryCondition(diet) {
+  if (diet !== 'vegetarian') {
+    return mentions(diet);
+  }
+
+  return Prisma.sql`(${mentions('vegetarian')} OR (NOT ${mentions('vegan')} AND NOT EXISTS (
+    SELECT 1 FROM unnest(allergens) AS allergen WHERE lower(allergen) = ANY(${ANIMAL_ALLERGENS})
+  )))`;
+}
+
+/**
+ * SQL expression for a product's price bucket, mirroring getPriceBucket in utils/search.js
+ * @returns {Object} Prisma SQL fragment
+ */
+function priceBucketSql() {
+  const cases = PRICE_BUCKETS.map(({ key, min = 0, max }) => (max === undefined
+    ? Prisma.sql`WHEN price >= ${min} THEN ${key}::text`
+    : Prisma.sql`WHEN price >= ${min} AND price < ${max} THEN ${key}::text`));
+
+  return Prisma.sql`CASE ${Prisma.join(cases, ' ')} END`;
+}
+
+/**
+ * Count matching products per facet value, in the shape of Meilisearch's
+ * facetDistribution. Values without matches are left out.
+ * @param {Object} where - Prisma SQL condition selecting the matching products
+ * @param {Object} client - Prisma client
+ * @returns {Promise<Object>} { facet: { value: count } }
+ */
+async function getFacetsInPostgres(where, client) {
+  const products = Prisma.raw(PRODUCTS_ON_SALE_SQL);
+  const dietary = ['halal', 'vegan', 'vegetarian'].map(diet => Prisma.sql`
+    SELECT 'dietary' AS facet, ${diet}::text AS value, count(*) AS count
+    FROM ${products} WHERE ${where} AND ${dietaryCondition(diet)}
+  `);
+
+  const rows = await client.$queryRaw`
+    SELECT 'category' AS facet, category AS value, count(*) AS count
+    FROM ${products} WHERE ${where} GROUP BY category
+    UNION ALL
+    SELECT 'origin', origin, count(*)
+    FROM ${products} WHERE ${where} AND origin IS NOT NULL GROUP BY origin
+    UNION ALL
+    SELECT 'allergens', allergen, count(*)
+    FROM ${products}, unnest(allergens) AS allergen WHERE ${where} GROUP BY allergen
+    UNION ALL
+    SELECT 'priceBucket', ${priceBucketSql()}, count(*)
+    FROM ${products} WHERE ${where} GROUP BY 2
+    UNION ALL
+    ${Prisma.join(dietary, ' UNION ALL ')}
+  `;
+
+  const facets = {};
+  for (const { facet, value, count } of rows) {
+    facets[facet] = facets[facet] || {};
+    if (Number(count) > 0) {
+      facets[facet][value] = Number(count);
+    }
+  }
+
+  return facets;
+}
+
+/**
+ * Search products with Postgres full-text search. Used when Meilisearch is
+ * unavailable; supports the same filters and only returns products on sale,
+ * priced and filtered by their cheapest size like the search documents.
+ * @param {Object} searchParams - Search parameters
+ * @param {string} searchParams.q - Search query
+ * @param {string} searchParams.category - Category filter
+ * @param {number} searchParams.page - Page number
+ * @param {number} searchParams.limit - Results per page
+ * @param {string} searchParams.sort - relevance, popularity, price_asc, price_desc, unit_price_asc or unit_price_desc
+ * @param {Object} searchParams.filters - Same filters as buildSearchFilter in utils/search.js
+ * @param {Object} client - Prisma client (default: shared client)
+ * @returns {Promise<Object>} { products, total, facets }
+ */
+async function searchProductsInPostgres({ q, category, page = 1, limit = 20, sort = 'relevance', filters = {} }, client = prisma) {
+  const vector = Prisma.raw(SEARCH_VECTOR_SQL);
+  const products = Prisma.raw(PRODUCTS_ON_SALE_SQL);
+  const tsQuery = buildTsQuery(q);
+  const conditions = [Prisma.sql`availability = true`];
+
+  if (tsQuery) {
+    conditions.push(Prisma.sql`${vector} @@ to_tsquery('simple', ${tsQuery})`);
+  }
+
+  if (category) {
+    conditions.push(Prisma.sql`category = ${category}`);
+  }
+
+  if (filters.priceMin !== undefined) {
+    conditions.push(Prisma.sql`price >= ${filters.priceMin}`);
+  }
+
+  if (filters.priceMax !== undefined) {
+    conditions.push(Prisma.sql`price <= ${filters.priceMax}`);
+  }
+
+  if (filters.unitPriceMin !== undefined) {
+    conditions.push(Prisma.sql`"unitPrice" >= ${filters.unitPriceMin}`);
+  }
+
+  if (filters.unitPriceMax !== undefined) {
+    conditions.push(Prisma.sql`"unitPrice" <= ${filters.unitPriceMax}`);
+  }
+
+  if (filters.dietary && filters.dietary.length > 0) {
+    conditions.push(Prisma.sql`(${Prisma.join(filters.dietary.map(dietaryCondition), ' OR ')})`);
+  }
+
+  // Exclude products with these allergens
+  if (filters.allergens && filters.allergens.length > 0) {
+    const excluded = filters.allergens.map(allergen => allergen.toLowerCase());
+    conditions.push(Prisma.sql`NOT EXISTS (
+      SELECT 1 FROM unnest(allergens) AS allergen WHERE lower(allergen) = ANY(${excluded})
+    )`);
+  }
+
+  if (filters.origin && filters.origin.length > 0) {
+    conditions.push(Prisma.sql`origin = ANY(${filters.origin})`);
+  }
+
+  if (filters.inStock) {
+    conditions.push(Prisma.sql`stock > 0`);
+  }
+
+  const where = Prisma.join(conditions, ' AND ');
+  const relevance = tsQuery
+    ? Prisma.sql`ts_rank(${vector}, to_tsquery('simple', ${tsQuery})) DESC, name ASC`
+    : Prisma.sql`name ASC`;
+  const sortOrders = {
+    popularity: Prisma.sql`popularity DESC, ${relevance}`,
+    price_asc: Prisma.sql`price ASC, ${relevance}`,
+    price_desc: Prisma.sql`price DESC, ${relevance}`,
+    unit_price_asc: Prisma.sql`"unitPrice" ASC NULLS LAST, ${relevance}`,
+    unit_price_desc: Prisma.sql`"unitPrice" DESC NULLS LAST, ${relevance}`
+  };
+  const orderBy = sortOrders[sort] || relevance;
+
+  const [hits, [{ count }], facets] = await Promise.all([
+    client.$queryRaw`
+      SELECT id
+      FROM ${products}
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    client.$queryRaw`SELECT count(*) AS count FROM ${products} WHERE ${where}`,
+    getFacetsInPostgres(where, client)
+  ]);
+
+  const rows = await client.product.findMany({
+    where: { id: { in: hits.map(hit => hit.id) } },
+    select: {
+      id: true,
+      name: true,
+      description: true,
+      category: true,
+      image: true,
+      allergens: true,
+      origin: true,
+      variants: pickerVariants
+    }
+  });
+
+  return {
+    products: hits
+      .map(hit => rows.find(product => product.id === hit.id))
+      .filter(Boolean)
+      .map(withVariantSummary),
+    total: Number(count),
+    facets
+  };
+}
+
+module.exports = {
+  ensureFallbackSearchIndex,
+  buildTsQuery,
+  searchProductsInPostgres
+};
@@ -0,0 +1,72 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub bus. Anything with the same publish/subscribe pair (for
+ * example a Postgres LISTEN/NOTIFY bus) can replace it via setOrderEventBus.
+ * @returns {Object} Bus with publish(channel, payload) and subscribe(channel, listener)
+ */
+function createInProcessBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open stream
+
+  return {
+    publish(channel, payload) {
+      emitter.emit(channel, payload);
+    },
+    subscribe(channel, listener) {
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    }
+  };
+}
+
+let bus = createInProcessBus();
+
+/**
+ * Swap the bus used for order notifications
+ * @param {Object} nextBus - Bus with publish and subscribe
+ * @returns {void}
+ */
+function setOrderEventBus(nextBus) {
+  bus = nextBus;
+}
+
+/**
+ * Channel name for an order
+ * @param {string} orderId - Order ID
+ * @returns {string} Channel
+ */
+function orderChannel(orderId) {
+  return `order:${orderId}`;
+}
+
+/**
+ * Tell subscribers that new events were written for an order. Call after the
+ * write has committed; subscribers read the events from order_events.
+ * @param {string} orderId - Order ID
+ * @returns {void}
+ */
+function publishOrderEvents(orderId) {
+  try {
+    bus.publish(orderChannel(orderId), { orderId });
+  } catch (error) {
+    console.error('Publish order events error:', error);
+  }
+}
+
+/**
+ * Listen for new events on an order
+ * @param {string} orderId - Order ID
+ * @param {Function} listener - Called with { orderId }
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToOrderEvents(orderId, listener) {
+  return bus.subscribe(orderChannel(orderId), listener);
+}
+
+module.exports = {
+  createInProcessBus,
+  setOrderEventBus,
+  publishOrderEvents,
+  subscribeToOrderEvents
+};
@@ -0,0 +1,157 @@
+// Canonical OrderEvent names, shared by checkout, webhooks and admin updates
+const ORDER_EVENTS = {
+  CONFIRMED: 'confirmed',
+  PREPARING: 'preparing',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  PAYMENT_SUCCEEDED: 'payment_succeeded',
+  PAYMENT_FAILED: 'payment_failed',
+  PAYMENT_CANCELED: 'payment_canceled',
+  REFUND_ISSUED: 'refund_issued',
+  REFUND_RECONCILED: 'refund_reconciled',
+  ORDER_ADJUSTED: 'order_adjusted',
+  DISPUTE_CREATED: 'dispute_created',
+  SUBSTITUTION_APPLIED: 'substitution_applied',
+  SUBSTITUTION_APPROVAL_REQUESTED: 'substitution_approval_requested',
+  SUBSTITUTION_APPROVED: 'substitution_approved',
+  SUBSTITUTION_REJECTED: 'substitution_rejected'
+};
+
+// Main tracking steps, in delivery order
+const TRACKING_STEPS = [
+  { status: 'CONFIRMED', label: 'Order Confirmed', description: 'Your order has been confirmed and payment processed' },
+  { status: 'PREPARING', label: 'Preparing', description: 'We are preparing your order' },
+  { status: 'OUT_FOR_DELIVERY', label: 'Out for Delivery', description: 'Your order is on its way' },
+  { status: 'DELIVERED', label: 'Delivered', description: 'Your order has been delivered' }
+];
+
+const CANCELLED_STEP = { status: 'CANCELLED', label: 'Cancelled', description: 'Your order has been cancelled' };
+
+// Payment and refund events shown beside the main steps
+const SECONDARY_EVENT_LABELS = {
+  [ORDER_EVENTS.PAYMENT_SUCCEEDED]: 'Payment received',
+  [ORDER_EVENTS.PAYMENT_FAILED]: 'Payment failed',
+  [ORDER_EVENTS.PAYMENT_CANCELED]: 'Payment canceled',
+  [ORDER_EVENTS.REFUND_ISSUED]: 'Refund issued',
+  [ORDER_EVENTS.REFUND_RECONCILED]: 'Refund confirmed',
+  [ORDER_EVENTS.ORDER_ADJUSTED]: 'Order adjusted',
+  [ORDER_EVENTS.DISPUTE_CREATED]: 'Payment disputed'
+};
+
+/**
+ * Canonical event name for an order status
+ * @param {string} status - Order status
+ * @returns {string} Event name, e.g. "out_for_delivery"
+ */
+function statusEventName(status) {
+  return ORDER_EVENTS[status];
+}
+
+/**
+ * Normalize stored event names, including older ones written with spaces
+ * such as "out for_delivery"
+ * @param {string} name - Stored event name
+ * @returns {string} Canonical event name
+ */
+function normalizeEventName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Countdown to the booked delivery window
+ * @param {Object} order - Order with status, deliverySlot and events
+ * @param {Date} now - Reference time
+ * @returns {Object|null} ETA state, or null when no slot was booked
+ */
+function buildEta(order, now) {
+  if (!order.deliverySlot) {
+    return null;
+  }
+
+  const startsAt = new Date(order.deliverySlot.startsAt);
+  const endsAt = new Date(order.deliverySlot.endsAt);
+  const minutesUntil = (date) => Math.max(0, Math.ceil((date - now) / 60000));
+
+  let state;
+  if (order.status === 'DELIVERED' || order.status === 'CANCELLED') {
+    state = order.status.toLowerCase();
+  } else if (now > endsAt) {
+    state = 'delayed';
+  } else if (now >= startsAt) {
+    state = 'in_window';
+  } else {
+    state = 'upcoming';
+  }
+
+  return {
+    startsAt,
+    endsAt,
+    state,
+    minutesUntilStart: minutesUntil(startsAt),
+    minutesUntilEnd: minutesUntil(endsAt),
+    minutesLate: state === 'delayed' ? Math.floor((now - endsAt) / 60000) : 0
+  };
+}
+
+/**
+ * Build the tracking view of an order: the main status steps with their
+ * timestamps, payment and refund events as secondary entries, and the ETA
+ * countdown for the booked slot
+ * @param {Object} order - Order with status, events (oldest first) and deliverySlot
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} { timeline, updates, eta, delayed }
+ */
+function buildTrackingTimeline(order, now = new Date()) {
+  const events = order.events.map(event => ({
+    ...event,
+    event: normalizeEventName(event.event)
+  }));
+
+  const steps = order.status === 'CANCELLED'
+    ? [
+      ...TRACKING_STEPS.filter(step => events.some(e => e.event === statusEventName(step.status))),
+      CANCELLED_STEP
+    ]
+    : TRACKING_STEPS;
+
+  const timeline = steps.map(step => {
+    const event = events.find(e => e.event === statusEventName(step.status));
+    return {
+      status: step.status,
+      event: statusEventName(step.status),
+      label: step.label,
+      description: step.description,
+      completed: Boolean(event),
+      current: order.status === step.status,
+      timestamp: event?.timestamp || null,
+      metadata: event?.metadata || null
+    };
+  });
+
+  const updates = events
+    .filter(event => SECONDARY_EVENT_LABELS[event.event])
+    .map(event => ({
+      event: event.event,
+      label: SECONDARY_EVENT_LABELS[event.event],
+      timestamp: event.timestamp,
+      metadata: event.metadata || null
+    }));
+
+  const eta = buildEta(order, now);
+
+  return {
+    timeline,
+    updates,
+    eta,
+    delayed: eta ? eta.state === 'delayed' : false
+  };
+}
+
+module.exports = {
+  ORDER_EVENTS,
+  TRACKING_STEPS,
+  statusEventName,
+  normalizeEventName,
+  buildTrackingTimeline
+};
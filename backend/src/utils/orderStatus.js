@@ -0,0 +1,178 @@
+const { PrismaClient } = require('@prisma/client');
+const { createConflictError, createNotFoundError, createValidationError } = require('../middleware/errorHandler');
+const { statusEventName } = require('./orderEvents');
+const { publishOrderEvents } = require('./orderEventBus');
+
+const prisma = new PrismaClient();
+
+// Allowed next states for each order status
+const ORDER_TRANSITIONS = {
+  CONFIRMED: ['PREPARING', 'CANCELLED'],
+  PREPARING: ['OUT_FOR_DELIVERY', 'CANCELLED'],
+  OUT_FOR_DELIVERY: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: []
+};
+
+// Metadata keys a transition into a status must carry
+const REQUIRED_METADATA = {
+  OUT_FOR_DELIVERY: ['driverId'],
+  DELIVERED: ['proof']
+};
+
+// Customers may cancel until the picker starts preparing the order
+const CUSTOMER_CANCELLABLE_STATUSES = ['CONFIRMED'];
+
+// Guard hooks per target status; each returns a rejection reason or null
+const transitionGuards = {
+  PREPARING: [
+    (order) => (['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus)
+      ? null
+      : 'Order has not been paid')
+  ],
+  OUT_FOR_DELIVERY: [
+    async (order, { client }) => {
+      const pending = await client.orderSubstitution.count({
+        where: {
+          orderId: order.id,
+          status: 'PENDING_APPROVAL'
+        }
+      });
+
+      return pending > 0 ? 'Substitutions are still waiting for customer approval' : null;
+    }
+  ],
+  CANCELLED: [
+    (order, { actor }) => (actor === 'customer' && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)
+      ? 'Orders can only be cancelled before preparation starts'
+      : null)
+  ]
+};
+
+/**
+ * Add a guard hook that can veto transitions into a status
+ * @param {string} status - Target order status
+ * @param {Function} guard - (order, { metadata, actor, client }) => reason string or null
+ * @returns {Function} Removes the guard again
+ */
+function registerTransitionGuard(status, guard) {
+  transitionGuards[status] = [...(transitionGuards[status] || []), guard];
+
+  return () => {
+    transitionGuards[status] = transitionGuards[status].filter(registered => registered !== guard);
+  };
+}
+
+/**
+ * Build the error for a refused transition
+ * @param {Object} order - Order being changed
+ * @param {string} message - Reason
+ * @returns {Error} Conflict error carrying currentStatus and allowedTransitions
+ */
+function transitionConflict(order, message) {
+  const error = createConflictError(message);
+  error.currentStatus = order.status;
+  error.allowedTransitions = ORDER_TRANSITIONS[order.status] || [];
+  return error;
+}
+
+/**
+ * Check a status change is allowed: the transition must exist, carry its
+ * required metadata and pass every guard hook
+ * @param {Object} order - Order with id, status and paymentStatus
+ * @param {string} to - Target status
+ * @param {Object} options - Transition options
+ * @param {Object} options.metadata - Metadata supplied with the change
+ * @param {string} options.actor - Who is changing it: customer, staff or system
+ * @param {Object} options.client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<void>}
+ * @throws {Error} Conflict error for refused transitions, validation error for missing metadata
+ */
+async function assertTransition(order, to, { metadata = {}, actor = 'staff', client = prisma } = {}) {
+  if (!(ORDER_TRANSITIONS[order.status] || []).includes(to)) {
+    throw transitionConflict(order, `Cannot change order status from ${order.status} to ${to}`);
+  }
+
+  const missing = (REQUIRED_METADATA[to] || []).filter(key => metadata[key] === undefined || metadata[key] === '');
+  if (missing.length > 0) {
+    throw createValidationError(`${to} requires metadata: ${missing.join(', ')}`, { missing });
+  }
+
+  for (const guard of transitionGuards[to] || []) {
+    const reason = await guard(order, { metadata, actor, client });
+    if (reason) {
+      throw transitionConflict(order, reason);
+    }
+  }
+}
+
+/**
+ * Write a checked status change and its timeline event
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order being changed
+ * @param {string} to - Target status
+ * @param {Object} options - Options
+ * @param {Object} options.metadata - Event metadata
+ * @param {Object} options.data - Extra order fields to update with the status
+ * @returns {Promise<Object>} Updated order
+ */
+async function recordTransition(tx, order, to, { metadata = {}, data = {} } = {}) {
+  const updated = await tx.order.update({
+    where: { id: order.id },
+    data: { ...data, status: to }
+  });
+
+  await tx.orderEvent.create({
+    data: {
+      orderId: order.id,
+      event: statusEventName(to),
+      metadata: {
+        ...metadata,
+        previousStatus: order.status
+      }
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Move an order to a new status through the state machine. The order row is
+ * locked so concurrent changes are checked against the latest status.
+ * @param {Object} params - Transition parameters
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.to - Target status
+ * @param {Object} params.metadata - Metadata for guards and the timeline event
+ * @param {string} params.actor - Who is changing it: customer, staff or system
+ * @returns {Promise<Object>} Updated order
+ * @throws {Error} Not found, conflict or validation error
+ */
+async function transitionOrder({ orderId, to, metadata = {}, actor = 'staff' }) {
+  const updated = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+    const order = await tx.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!order) {
+      throw createNotFoundError('Order');
+    }
+
+    await assertTransition(order, to, { metadata, actor, client: tx });
+    return recordTransition(tx, order, to, { metadata });
+  });
+
+  publishOrderEvents(orderId);
+  return updated;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  REQUIRED_METADATA,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  registerTransitionGuard,
+  assertTransition,
+  recordTransition,
+  transitionOrder
+};
@@ -0,0 +1,572 @@
+const { PrismaClient } = require('@prisma/client');
+const { createConflictError, createNotFoundError, createValidationError } = require('../middleware/errorHandler');
+const { getReservedSlot, commitSlotReservation, releaseOrderSlot, formatSlotLabel } = require('./slots');
+const { lockVariants, getReservedQuantities, commitStockReservations } = require('./stock');
+const { redeemPromotion, releasePromotionRedemption } = require('./promotions');
+const { createRefund } = require('./payment');
+const { roundCurrency } = require('./delivery');
+const { assertTransition, recordTransition } = require('./orderStatus');
+const { ORDER_EVENTS } = require('./orderEvents');
+const { publishOrderEvents } = require('./orderEventBus');
+const { enqueueProductChanges } = require('./searchOutbox');
+
+const prisma = new PrismaClient();
+
+// Payment states with money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+
+/**
+ * Generate a human-friendly order number
+ * @returns {string} Order number, e.g. "FEY-1726830000000-AB12"
+ */
+function generateOrderNumber() {
+  return `FEY-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+}
+
+/**
+ * Create an order from a basket in a single transaction: lock and decrement
+ * stock (honouring other shoppers' holds), write the order, its items and the
+ * confirmation event, book the delivery slot and clear the basket. Nothing is
+ * written if any line cannot be fulfilled or the basket no longer adds up to
+ * the amount charged.
+ *
+ * Idempotent on paymentIntentId: if an order already exists for the payment
+ * (e.g. the webhook won the race against confirm-payment) it is returned as is.
+ * @param {Object} params - Order parameters
+ * @param {string} params.customerId - Customer ID
+ * @param {string} params.basketId - Basket ID
+ * @param {string} params.addressId - Delivery address ID
+ * @param {string} params.paymentIntentId - Stripe payment intent ID
+ * @param {number} params.total - Amount charged in EUR
+ * @param {number} params.discount - Promo discount included in the total, in EUR
+ * @param {number} params.deliveryFee - Delivery fee included in the total, in EUR
+ * @param {string} params.promotionId - Promotion to redeem (optional)
+ * @param {boolean} params.substitutionAllowed - Whether substitutions are allowed
+ * @param {string} params.slotReservationId - Delivery slot hold to commit (optional)
+ * @returns {Promise<Object>} { order, created } where order includes its items
+ * @throws {Error} Conflict error carrying `unavailableItems` when stock is short,
+ *   or `amountMismatch` when the basket changed after the payment was taken
+ */
+async function placeOrder({
+  customerId,
+  basketId,
+  addressId,
+  paymentIntentId,
+  total,
+  discount = 0,
+  deliveryFee,
+  promotionId = null,
+  substitutionAllowed = false,
+  slotReservationId = null
+}) {
+  const existing = await findOrderByPaymentIntent(paymentIntentId);
+  if (existing) {
+    return { order: existing, created: false };
+  }
+
+  try {
+    const order = await prisma.$transaction(async (tx) => createOrderInTransaction(tx, {
+      customerId,
+      basketId,
+      addressId,
+      paymentIntentId,
+      total,
+      discount,
+      deliveryFee,
+      promotionId,
+      substitutionAllowed,
+      slotReservationId
+    }));
+
+    publishOrderEvents(order.id);
+    return { order, created: true };
+  } catch (error) {
+    // Another request placed the order for this payment while we were working
+    // (a unique violation, or stock and basket already taken by that order)
+    const order = await findOrderByPaymentIntent(paymentIntentId);
+    if (order) {
+      return { order, created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the order created for a payment intent
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object|null>} Order with its items
+ */
+async function findOrderByPaymentIntent(paymentIntentId) {
+  return prisma.order.findUnique({
+    where: { paymentIntentId },
+    include: { items: true }
+  });
+}
+
+/**
+ * Write an order inside placeOrder's transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params - See placeOrder
+ * @returns {Promise<Object>} Created order with its items
+ */
+async function createOrderInTransaction(tx, {
+  customerId,
+  basketId,
+  addressId,
+  paymentIntentId,
+  total,
+  discount,
+  deliveryFee,
+  promotionId,
+  substitutionAllowed,
+  slotReservationId
+}) {
+  const basketItems = await tx.basketItem.findMany({
+    where: { basketId },
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true
+        }
+      },
+      variant: {
+        select: {
+          id: true,
+          size: true
+        }
+      }
+    }
+  });
+
+  if (basketItems.length === 0) {
+    throw createConflictError('Basket is empty');
+  }
+
+  const variantIds = [...new Set(basketItems.map(item => item.variantId))];
+  const lockedVariants = await lockVariants(tx, variantIds);
+
+  // Units held for other shoppers' payments are not ours to sell
+  const reservedByOthers = await getReservedQuantities(variantIds, {
+    excludeBasketId: basketId,
+    excludePaymentIntentId: paymentIntentId,
+    client: tx
+  });
+
+  // Validate every line before touching stock
+  const unavailableItems = [];
+  const requested = new Map();
+
+  for (const item of basketItems) {
+    requested.set(item.variantId, (requested.get(item.variantId) || 0) + item.quantity);
+  }
+
+  for (const item of basketItems) {
+    const variant = lockedVariants.find(v => v.id === item.variantId);
+    const available = variant ? variant.stock - (reservedByOthers.get(item.variantId) || 0) : 0;
+
+    if (!variant || !variant.availability || available < requested.get(item.variantId)) {
+      unavailableItems.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.product.name,
+        reason: !variant || !variant.availability ? 'out_of_stock' : 'insufficient_stock'
+      });
+    }
+  }
+
+  if (unavailableItems.length > 0) {
+    const error = createConflictError('Some items are no longer available');
+    error.unavailableItems = unavailableItems;
+    throw error;
+  }
+
+  // The basket may have been edited while the customer was paying
+  const subtotal = basketItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const expectedTotal = roundCurrency(subtotal - discount + deliveryFee);
+
+  if (expectedTotal !== total) {
+    const error = createConflictError('Basket no longer matches the amount paid');
+    error.amountMismatch = { charged: total, expected: expectedTotal };
+    throw error;
+  }
+
+  // Decrement stock and take sizes that sold out off sale
+  for (const [variantId, quantity] of requested) {
+    const variant = await tx.productVariant.update({
+      where: { id: variantId },
+      data: { stock: { decrement: quantity } },
+      select: { stock: true }
+    });
+
+    if (variant.stock <= 0) {
+      await tx.productVariant.update({
+        where: { id: variantId },
+        data: { availability: false }
+      });
+    }
+  }
+
+  await enqueueProductChanges(tx, [...new Set(basketItems.map(item => item.productId))], 'UPDATE');
+
+  const deliverySlot = slotReservationId ? await getReservedSlot(slotReservationId, tx) : null;
+
+  const order = await tx.order.create({
+    data: {
+      orderNumber: generateOrderNumber(),
+      customerId,
+      addressId,
+      basketId,
+      status: 'CONFIRMED',
+      subtotal,
+      deliveryFee,
+      discount,
+      promotionId,
+      total,
+      deliverySlotId: deliverySlot ? deliverySlot.id : null,
+      etaBand: deliverySlot ? formatSlotLabel(deliverySlot) : null,
+      substitutionAllowed,
+      paymentIntentId,
+      paymentStatus: 'PAID'
+    }
+  });
+
+  await tx.orderItem.createMany({
+    data: basketItems.map(item => ({
+      orderId: order.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      price: item.price,
+      name: item.product.name,
+      size: item.variant.size
+    }))
+  });
+
+  if (deliverySlot) {
+    // A lapsed hold may have been moved to a later slot with room
+    const bookedSlot = await commitSlotReservation(slotReservationId, order.id, tx);
+
+    if (bookedSlot.id !== deliverySlot.id) {
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          deliverySlotId: bookedSlot.id,
+          etaBand: formatSlotLabel(bookedSlot)
+        }
+      });
+    }
+  }
+
+  await commitStockReservations(paymentIntentId, tx);
+
+  if (promotionId) {
+    await redeemPromotion(tx, {
+      promotionId,
+      customerId,
+      orderId: order.id,
+      discount
+    });
+  }
+
+  await tx.orderEvent.create({
+    data: {
+      orderId: order.id,
+      event: ORDER_EVENTS.CONFIRMED,
+      metadata: {
+        paymentIntentId,
+        total: order.total
+      }
+    }
+  });
+
+  // Clear basket
+  await tx.basketItem.deleteMany({
+    where: { basketId }
+  });
+
+  await tx.basket.update({
+    where: { id: basketId },
+    data: { subtotal: 0, discount: 0, promotionId: null }
+  });
+
+  const items = await tx.orderItem.findMany({
+    where: { orderId: order.id }
+  });
+
+  return { ...order, items };
+}
+
+/**
+ * Whether a payment intent was created by checkout, which records the
+ * customer, basket, address and delivery fee in its metadata. Payments taken
+ * elsewhere on the Stripe account have none of these and are not orders.
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {boolean} True when the metadata can place an order
+ */
+function isCheckoutPaymentIntent(paymentIntent) {
+  const { customerId, basketId, addressId, deliveryFee } = paymentIntent.metadata || {};
+
+  return Boolean(customerId && basketId && addressId) && Number.isFinite(parseFloat(deliveryFee));
+}
+
+/**
+ * Place the order paid for by a Stripe payment intent, using the basket,
+ * address, delivery slot, promotion and substitution choice recorded in its
+ * metadata.
+ * Shared by confirm-payment and the payment_intent.succeeded webhook.
+ * @param {Object} paymentIntent - Succeeded Stripe payment intent
+ * @returns {Promise<Object>} { order, created }
+ */
+async function placeOrderForPaymentIntent(paymentIntent) {
+  if (!isCheckoutPaymentIntent(paymentIntent)) {
+    throw createValidationError('Payment intent was not created by checkout');
+  }
+
+  const {
+    customerId,
+    basketId,
+    addressId,
+    substitutionAllowed,
+    slotReservationId,
+    promotionId,
+    discount,
+    deliveryFee
+  } = paymentIntent.metadata;
+
+  return placeOrder({
+    customerId,
+    basketId,
+    addressId,
+    paymentIntentId: paymentIntent.id,
+    total: paymentIntent.amount / 100,
+    discount: parseFloat(discount) || 0,
+    deliveryFee: parseFloat(deliveryFee),
+    promotionId: promotionId || null,
+    substitutionAllowed: substitutionAllowed === 'true',
+    slotReservationId: slotReservationId || null
+  });
+}
+
+/**
+ * Cancel an order: put the units back in stock, free the delivery slot, give
+ * back its promotion use and refund whatever is left of the payment. The
+ * cancellation is committed first and the Stripe refund requested afterwards,
+ * so a Stripe failure leaves a cancelled order awaiting its refund rather than
+ * undoing the cancellation.
+ * @param {Object} params - Cancellation parameters
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.customerId - Customer cancelling (optional; limits to their own orders)
+ * @param {string} params.cancelledBy - Who cancelled: customer, staff or system
+ * @param {string} params.staffId - Staff member cancelling (optional)
+ * @returns {Promise<Object>} { order, refund } where refund is null for unpaid orders
+ *   and while the refund is pending
+ * @throws {Error} Not found or conflict error
+ */
+async function cancelOrder({ orderId, customerId, cancelledBy = 'customer', staffId = null }) {
+  const result = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+    const order = await tx.order.findFirst({
+      where: {
+        id: orderId,
+        customerId
+      },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw createNotFoundError('Order');
+    }
+
+    await assertTransition(order, 'CANCELLED', {
+      metadata: { cancelledBy },
+      actor: cancelledBy,
+      client: tx
+    });
+
+    // Return units that were actually taken from stock
+    const restocked = new Map();
+    const restockedProducts = new Set();
+    for (const item of order.items) {
+      const quantity = item.quantity - item.missingQuantity;
+      if (quantity > 0) {
+        restocked.set(item.variantId, (restocked.get(item.variantId) || 0) + quantity);
+        restockedProducts.add(item.productId);
+      }
+    }
+
+    await lockVariants(tx, [...restocked.keys()]);
+
+    for (const [variantId, quantity] of restocked) {
+      const variant = await tx.productVariant.update({
+        where: { id: variantId },
+        data: { stock: { increment: quantity } },
+        select: { stock: true }
+      });
+
+      // Undo the automatic sell-out retirement, but not an admin's
+      if (variant.stock === quantity) {
+        await tx.productVariant.updateMany({
+          where: { id: variantId, retiredAt: null },
+          data: { availability: true }
+        });
+      }
+    }
+
+    if (restockedProducts.size > 0) {
+      await enqueueProductChanges(tx, [...restockedProducts], 'UPDATE');
+    }
+
+    await releaseOrderSlot(orderId, tx);
+    await releasePromotionRedemption(tx, orderId);
+
+    const refundAmount = getCancellationRefundAmount(order);
+
+    // The order stays PAID until Stripe accepts the refund
+    const updated = await recordTransition(tx, order, 'CANCELLED', {
+      metadata: {
+        cancelledBy,
+        ...(staffId && { staffId }),
+        cancelledAt: new Date().toISOString(),
+        refundAmount,
+        restockedItems: [...restocked].map(([variantId, quantity]) => ({ variantId, quantity }))
+      }
+    });
+
+    return updated;
+  }, { timeout: 20000 });
+
+  publishOrderEvents(orderId);
+
+  // Stripe is called after the commit; a failed call is retried by retryPendingCancellationRefunds
+  return refundCancelledOrder(result);
+}
+
+/**
+ * What is left of an order's payment to give back on cancellation
+ * @param {Object} order - Order with paymentStatus, total and refundedAmount
+ * @returns {number} Refund in EUR (0 for unpaid or fully refunded orders)
+ */
+function getCancellationRefundAmount(order) {
+  return REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)
+    ? roundCurrency(order.total - order.refundedAmount)
+    : 0;
+}
+
+/**
+ * Refund what is left of a cancelled order's payment. The idempotency key is
+ * derived from the order and the amount, so retries never refund twice; once
+ * Stripe accepts, the order is marked REFUNDED and a refund event recorded
+ * (`charge.refunded` reconciles the same figures).
+ * @param {Object} order - Cancelled order
+ * @returns {Promise<Object>} { order, refund } where refund is null when nothing
+ *   was refunded or Stripe did not accept the refund yet
+ */
+async function refundCancelledOrder(order) {
+  const refundAmount = getCancellationRefundAmount(order);
+  if (refundAmount <= 0 || !order.paymentIntentId) {
+    return { order, refund: null };
+  }
+
+  const amount = Math.round(refundAmount * 100);
+
+  try {
+    const refund = await createRefund(order.paymentIntentId, amount, 'requested_by_customer', {
+      idempotencyKey: `cancel-${order.id}-${amount}`
+    });
+
+    const updated = await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        paymentStatus: 'REFUNDED',
+        refundedAmount: order.total
+      }
+    });
+
+    await prisma.orderEvent.create({
+      data: {
+        orderId: order.id,
+        event: ORDER_EVENTS.REFUND_ISSUED,
+        metadata: {
+          refundId: refund.id,
+          amount: refundAmount,
+          reason: 'cancelled'
+        }
+      }
+    });
+
+    publishOrderEvents(order.id);
+    return { order: updated, refund };
+  } catch (error) {
+    console.error(`Refund for cancelled order ${order.id} failed, will retry:`, error);
+    return { order, refund: null };
+  }
+}
+
+/**
+ * Retry refunds of cancelled orders that Stripe has not accepted yet
+ * @param {Object} options - Options
+ * @param {number} options.olderThanMinutes - Leave recent cancellations to the request that made them
+ * @returns {Promise<number>} Number of refunds issued
+ */
+async function retryPendingCancellationRefunds({ olderThanMinutes = 5 } = {}) {
+  const pending = await prisma.order.findMany({
+    where: {
+      status: 'CANCELLED',
+      paymentStatus: { in: REFUNDABLE_PAYMENT_STATUSES },
+      paymentIntentId: { not: null },
+      updatedAt: { lt: new Date(Date.now() - olderThanMinutes * 60 * 1000) }
+    }
+  });
+
+  let issued = 0;
+  for (const order of pending) {
+    const { refund } = await refundCancelledOrder(order);
+    if (refund) {
+      issued++;
+    }
+  }
+
+  return issued;
+}
+
+/**
+ * Bring an order's refund totals in line with a refunded Stripe charge
+ * @param {Object} charge - Stripe charge from a `charge.refunded` event
+ * @returns {Promise<Object|null>} { order, updated }, or null if no order matches
+ */
+async function reconcileChargeRefund(charge) {
+  const order = await prisma.order.findUnique({
+    where: { paymentIntentId: charge.payment_intent }
+  });
+
+  if (!order) {
+    return null;
+  }
+
+  const refundedAmount = charge.amount_refunded / 100;
+  const paymentStatus = charge.refunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+  if (order.refundedAmount === refundedAmount && order.paymentStatus === paymentStatus) {
+    return { order, updated: false };
+  }
+
+  const updated = await prisma.order.update({
+    where: { id: order.id },
+    data: { refundedAmount, paymentStatus }
+  });
+
+  return { order: updated, updated: true };
+}
+
+module.exports = {
+  generateOrderNumber,
+  placeOrder,
+  isCheckoutPaymentIntent,
+  placeOrderForPaymentIntent,
+  findOrderByPaymentIntent,
+  cancelOrder,
+  retryPendingCancellationRefunds,
+  reconcileChargeRefund
+};
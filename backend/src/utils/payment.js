@@ -139,15 +139,17 @@ async function getCustomerPaymentMethods(customerId) {
  * @param {string} paymentIntentId - Payment intent ID
  * @param {number} amount - Amount to refund in cents (optional, full refund if not provided)
  * @param {string} reason - Refund reason
+ * @param {Object} options - Options
+ * @param {string} options.idempotencyKey - Stripe idempotency key, so a retried call refunds once
  * @returns {Promise<Object>} Refund object
  */
-async function createRefund(paymentIntentId, amount = null, reason = 'requested_by_customer') {
+async function createRefund(paymentIntentId, amount = null, reason = 'requested_by_customer', { idempotencyKey } = {}) {
   try {
     const refund = await stripe.refunds.create({
       payment_intent: paymentIntentId,
       amount,
       reason
-    });
+    }, idempotencyKey ? { idempotencyKey } : undefined);
 
     return refund;
   } catch (error) {
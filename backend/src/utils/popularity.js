@@ -0,0 +1,289 @@
+const { PrismaClient } = require('@prisma/client');
+const { enqueueProductChanges } = require('./searchOutbox');
+const { productOnSale } = require('./variants');
+
+const prisma = new PrismaClient();
+
+// Days of orders, add-to-carts and views counted
+const POPULARITY_WINDOW_DAYS = parseInt(process.env.POPULARITY_WINDOW_DAYS) || 30;
+
+// A signal counts half as much after this many days
+const POPULARITY_HALF_LIFE_DAYS = parseFloat(process.env.POPULARITY_HALF_LIFE_DAYS) || 7;
+
+// Weight of one ordered unit, one add-to-cart and one product view
+const POPULARITY_WEIGHTS = {
+  orderedUnits: 5,
+  addToCarts: 2,
+  views: 0.2
+};
+
+// Advisory lock key serializing popularity recomputes
+const POPULARITY_LOCK_KEY = 72310023;
+
+/**
+ * Record a product view or add-to-cart for popularity scoring. A shopper's
+ * views of a product count once per (UTC) day; views from requests without a
+ * customer or session can't be told apart and are not recorded.
+ * @param {Object} event - Product event
+ * @param {string} event.productId - Product ID
+ * @param {string} event.type - VIEW or ADD_TO_CART
+ * @param {string} event.customerId - Signed-in customer (optional)
+ * @param {string} event.sessionId - Guest session (optional)
+ * @param {Date} event.now - Current time
+ * @returns {Promise<boolean>} Whether the event was recorded
+ */
+async function recordProductEvent({ productId, type, customerId = null, sessionId = null, now = new Date() }) {
+  let dedupeKey = null;
+
+  if (type === 'VIEW') {
+    const shopper = customerId ? `customer:${customerId}` : sessionId && `session:${sessionId}`;
+    if (!shopper) {
+      return false;
+    }
+
+    dedupeKey = `${productId}:${shopper}:${now.toISOString().slice(0, 10)}`;
+  }
+
+  const { count } = await prisma.productEvent.createMany({
+    data: [{ productId, type, customerId, sessionId, dedupeKey }],
+    skipDuplicates: true
+  });
+
+  return count > 0;
+}
+
+/**
+ * Delete product events older than the popularity window
+ * @param {number} olderThanDays - Keep events more recent than this (default: POPULARITY_WINDOW_DAYS)
+ * @returns {Promise<number>} Number of events deleted
+ */
+async function purgeProductEvents(olderThanDays = POPULARITY_WINDOW_DAYS) {
+  const result = await prisma.productEvent.deleteMany({
+    where: {
+      createdAt: { lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) }
+    }
+  });
+
+  return result.count;
+}
+
+/**
+ * Share of its weight a signal keeps after some time
+ * @param {number} ageDays - Age of the signal in days
+ * @param {number} halfLifeDays - Half-life in days
+ * @returns {number} Factor between 0 and 1
+ */
+function decayFactor(ageDays, halfLifeDays = POPULARITY_HALF_LIFE_DAYS) {
+  return 0.5 ** (Math.max(0, ageDays) / halfLifeDays);
+}
+
+/**
+ * Score daily signals per product overall and per zone. Signals without a
+ * zone (guests, addresses outside every zone) only count overall.
+ * @param {Array} rows - { productId, zoneId, day, orderedUnits, addToCarts, views }
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time for the decay
+ * @param {number} options.halfLifeDays - Half-life in days
+ * @returns {Object} { overall: Map(productId -> score), zones: Array of { productId, zoneId, score, orderedUnits, addToCarts, views } }
+ */
+function scorePopularity(rows, { now = new Date(), halfLifeDays = POPULARITY_HALF_LIFE_DAYS } = {}) {
+  const overall = new Map();
+  const zones = new Map();
+
+  for (const row of rows) {
+    const ageDays = (now.getTime() - new Date(row.day).getTime()) / (24 * 60 * 60 * 1000);
+    const weight = Object.entries(POPULARITY_WEIGHTS)
+      .reduce((sum, [signal, signalWeight]) => sum + (Number(row[signal]) || 0) * signalWeight, 0);
+    const score = weight * decayFactor(ageDays, halfLifeDays);
+
+    overall.set(row.productId, (overall.get(row.productId) || 0) + score);
+
+    if (row.zoneId) {
+      const key = `${row.productId}:${row.zoneId}`;
+      const entry = zones.get(key) || { productId: row.productId, zoneId: row.zoneId, score: 0, orderedUnits: 0, addToCarts: 0, views: 0 };
+      entry.score += score;
+      entry.orderedUnits += Number(row.orderedUnits) || 0;
+      entry.addToCarts += Number(row.addToCarts) || 0;
+      entry.views += Number(row.views) || 0;
+      zones.set(key, entry);
+    }
+  }
+
+  const round = score => Math.round(score * 10000) / 10000;
+
+  return {
+    overall: new Map([...overall].map(([productId, score]) => [productId, round(score)])),
+    zones: [...zones.values()].map(entry => ({ ...entry, score: round(entry.score) }))
+  };
+}
+
+/**
+ * Daily ordered units, add-to-carts and views per product and zone since a date.
+ * Orders count in the zone of their delivery address; events count in the zone
+ * of the customer's default (or most recent) address. Cancelled orders and
+ * short-picked units are left out.
+ * @param {Date} since - Start of the window
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Array>} { productId, zoneId, day, orderedUnits, addToCarts, views }
+ */
+async function loadPopularitySignals(since, client = prisma) {
+  return client.$queryRaw`
+    WITH customer_zones AS (
+      SELECT DISTINCT ON (a."customerId") a."customerId", z.id AS "zoneId"
+      FROM addresses a
+      JOIN delivery_zones z ON a."postalCode" = ANY(z."postalCodes") AND z."isActive" = true
+      ORDER BY a."customerId", a."isDefault" DESC, a."createdAt" DESC
+    )
+    SELECT oi."productId", z.id AS "zoneId", date_trunc('day', o."createdAt") AS day,
+           sum(oi.quantity - oi."missingQuantity")::int AS "orderedUnits",
+           0 AS "addToCarts", 0 AS views
+    FROM order_items oi
+    JOIN orders o ON o.id = oi."orderId"
+    JOIN addresses a ON a.id = o."addressId"
+    LEFT JOIN delivery_zones z ON a."postalCode" = ANY(z."postalCodes") AND z."isActive" = true
+    WHERE o."createdAt" >= ${since}
+      AND o.status <> 'CANCELLED'
+    GROUP BY 1, 2, 3
+    UNION ALL
+    SELECT e."productId", cz."zoneId", date_trunc('day', e."createdAt") AS day,
+           0 AS "orderedUnits",
+           count(*) FILTER (WHERE e.type = 'ADD_TO_CART')::int AS "addToCarts",
+           count(*) FILTER (WHERE e.type = 'VIEW')::int AS views
+    FROM product_events e
+    LEFT JOIN customer_zones cz ON cz."customerId" = e."customerId"
+    WHERE e."createdAt" >= ${since}
+    GROUP BY 1, 2, 3
+  `;
+}
+
+/**
+ * Recompute popularity scores from the last POPULARITY_WINDOW_DAYS, store them
+ * on products (overall) and in product_popularity (per zone), and queue the
+ * products whose scores changed for the search index.
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} { scored, zoneScores, changed }
+ */
+async function recomputePopularity({ now = new Date() } = {}) {
+  const since = new Date(now.getTime() - POPULARITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${POPULARITY_LOCK_KEY})`;
+
+    const rows = await loadPopularitySignals(since, tx);
+    const { overall, zones } = scorePopularity(rows, { now });
+
+    const [previousOverall, previousZones] = await Promise.all([
+      tx.product.findMany({
+        where: { popularity: { not: 0 } },
+        select: { id: true, popularity: true }
+      }),
+      tx.productPopularity.findMany({
+        select: { productId: true, zoneId: true, score: true }
+      })
+    ]);
+
+    // Products whose overall or zone scores moved need a new search document
+    const changed = new Set();
+    const previousScores = new Map(previousOverall.map(product => [product.id, product.popularity]));
+    for (const id of new Set([...previousScores.keys(), ...overall.keys()])) {
+      if ((previousScores.get(id) || 0) !== (overall.get(id) || 0)) changed.add(id);
+    }
+
+    const zoneKey = ({ productId, zoneId }) => `${productId}:${zoneId}`;
+    const previousZoneScores = new Map(previousZones.map(entry => [zoneKey(entry), entry.score]));
+    const zoneScores = new Map(zones.map(entry => [zoneKey(entry), entry.score]));
+    for (const entry of [...previousZones, ...zones]) {
+      if (previousZoneScores.get(zoneKey(entry)) !== zoneScores.get(zoneKey(entry))) changed.add(entry.productId);
+    }
+
+    await tx.product.updateMany({
+      where: {
+        popularity: { not: 0 },
+        id: { notIn: [...overall.keys()] }
+      },
+      data: { popularity: 0 }
+    });
+
+    if (overall.size > 0) {
+      await tx.$executeRaw`
+        UPDATE products p
+        SET popularity = s.score
+        FROM unnest(${[...overall.keys()]}::text[], ${[...overall.values()]}::float8[]) AS s(id, score)
+        WHERE p.id = s.id
+      `;
+    }
+
+    await tx.productPopularity.deleteMany();
+    if (zones.length > 0) {
+      await tx.productPopularity.createMany({
+        data: zones.map(entry => ({ ...entry, computedAt: now }))
+      });
+    }
+
+    if (changed.size > 0) {
+      await enqueueProductChanges(tx, [...changed], 'UPDATE');
+    }
+
+    return { scored: overall.size, zoneScores: zones.length, changed: changed.size };
+  }, { timeout: 60000 });
+}
+
+/**
+ * Most popular products on sale. With a zone, the zone's favourites come
+ * first and the overall ranking fills the rest; products nobody has shown
+ * interest in yet are ordered newest first.
+ * @param {Object} params - Parameters
+ * @param {string} params.zoneId - Delivery zone (optional)
+ * @param {number} params.limit - Products to return
+ * @param {Object} params.select - Product fields to return
+ * @returns {Promise<Array>} Products
+ */
+async function getPopularProducts({ zoneId = null, limit = 10, select }) {
+  let products = [];
+
+  if (zoneId) {
+    const scores = await prisma.productPopularity.findMany({
+      where: {
+        zoneId,
+        score: { gt: 0 },
+        product: productOnSale
+      },
+      include: { product: { select } },
+      orderBy: { score: 'desc' },
+      take: limit
+    });
+
+    products = scores.map(entry => entry.product);
+  }
+
+  if (products.length < limit) {
+    const rest = await prisma.product.findMany({
+      where: {
+        ...productOnSale,
+        id: { notIn: products.map(product => product.id) }
+      },
+      select,
+      orderBy: [
+        { popularity: 'desc' },
+        { createdAt: 'desc' }
+      ],
+      take: limit - products.length
+    });
+
+    products = [...products, ...rest];
+  }
+
+  return products;
+}
+
+module.exports = {
+  POPULARITY_WEIGHTS,
+  recordProductEvent,
+  purgeProductEvents,
+  decayFactor,
+  scorePopularity,
+  loadPopularitySignals,
+  recomputePopularity,
+  getPopularProducts
+};
@@ -0,0 +1,312 @@
+const { PrismaClient } = require('@prisma/client');
+const { createConflictError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const PROMOTION_MESSAGES = {
+  not_found: 'Promo code not found',
+  inactive: 'Promo code is no longer active',
+  not_started: 'Promo code is not valid yet',
+  expired: 'Promo code has expired',
+  usage_limit_reached: 'Promo code has been fully redeemed',
+  customer_limit_reached: 'You have already used this promo code',
+  login_required: 'Sign in to use this promo code',
+  first_order_only: 'Promo code is only valid on your first order',
+  minimum_not_met: 'Basket does not reach the minimum value for this promo code',
+  no_eligible_items: 'No items in your basket qualify for this promo code'
+};
+
+/**
+ * Normalize a promo code as typed by a customer
+ * @param {string} code - Raw code
+ * @returns {string} Trimmed, upper-cased code
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Build an ineligible result
+ * @param {string} reason - Reason key
+ * @returns {Object} Evaluation result
+ */
+function rejected(reason) {
+  return {
+    valid: false,
+    reason,
+    message: PROMOTION_MESSAGES[reason],
+    discount: 0,
+    freeDelivery: false
+  };
+}
+
+/**
+ * Check a promotion against a basket and compute its discount. Pure: all
+ * customer history must be passed in.
+ * @param {Object} promotion - Promotion record
+ * @param {Object} context - Basket and customer context
+ * @param {Array} context.items - Lines with price, quantity and product.category
+ * @param {number} context.subtotal - Basket subtotal in EUR
+ * @param {string} context.customerId - Customer ID (null for guests)
+ * @param {number} context.orderCount - Customer's previous orders
+ * @param {number} context.customerRedemptions - Times the customer used this promotion
+ * @param {Date} context.now - Reference time (default: now)
+ * @returns {Object} { valid, reason, message, discount, freeDelivery }
+ */
+function evaluatePromotion(promotion, {
+  items = [],
+  subtotal = 0,
+  customerId = null,
+  orderCount = 0,
+  customerRedemptions = 0,
+  now = new Date()
+} = {}) {
+  if (!promotion.isActive) {
+    return rejected('inactive');
+  }
+
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    return rejected('not_started');
+  }
+
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) {
+    return rejected('expired');
+  }
+
+  if (promotion.usageLimit !== null && promotion.usageLimit !== undefined &&
+      promotion.usageCount >= promotion.usageLimit) {
+    return rejected('usage_limit_reached');
+  }
+
+  const needsCustomer = promotion.firstOrderOnly ||
+    (promotion.perCustomerLimit !== null && promotion.perCustomerLimit !== undefined);
+
+  if (needsCustomer && !customerId) {
+    return rejected('login_required');
+  }
+
+  if (promotion.firstOrderOnly && orderCount > 0) {
+    return rejected('first_order_only');
+  }
+
+  if (promotion.perCustomerLimit !== null && promotion.perCustomerLimit !== undefined &&
+      customerRedemptions >= promotion.perCustomerLimit) {
+    return rejected('customer_limit_reached');
+  }
+
+  if (promotion.minimumBasketValue && subtotal < promotion.minimumBasketValue) {
+    return rejected('minimum_not_met');
+  }
+
+  // Category-scoped promotions only discount matching lines
+  const eligibleSubtotal = promotion.category
+    ? items
+      .filter(item => item.product && item.product.category === promotion.category)
+      .reduce((sum, item) => sum + item.price * item.quantity, 0)
+    : subtotal;
+
+  if (promotion.category && eligibleSubtotal === 0) {
+    return rejected('no_eligible_items');
+  }
+
+  let discount = 0;
+  let freeDelivery = false;
+
+  switch (promotion.type) {
+    case 'PERCENTAGE':
+      discount = eligibleSubtotal * (promotion.value / 100);
+      break;
+    case 'FIXED_AMOUNT':
+      discount = promotion.value;
+      break;
+    case 'FREE_DELIVERY':
+      freeDelivery = true;
+      break;
+    default:
+      return rejected('inactive');
+  }
+
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+
+  discount = Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+
+  return {
+    valid: true,
+    reason: null,
+    message: null,
+    discount,
+    freeDelivery
+  };
+}
+
+/**
+ * Count a customer's orders that were not cancelled
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} customerId - Customer ID
+ * @param {string} excludeOrderId - Order to leave out (optional)
+ * @returns {Promise<number>} Number of orders
+ */
+function countCustomerOrders(client, customerId, excludeOrderId = null) {
+  return client.order.count({
+    where: {
+      customerId,
+      status: { not: 'CANCELLED' },
+      ...(excludeOrderId && { id: { not: excludeOrderId } })
+    }
+  });
+}
+
+/**
+ * Load the customer history a promotion needs and evaluate it
+ * @param {Object} promotion - Promotion record
+ * @param {Object} context - { items, subtotal, customerId }
+ * @returns {Promise<Object>} Evaluation result (see evaluatePromotion)
+ */
+async function checkPromotion(promotion, { items, subtotal, customerId = null }) {
+  let orderCount = 0;
+  let customerRedemptions = 0;
+
+  if (customerId) {
+    [orderCount, customerRedemptions] = await Promise.all([
+      countCustomerOrders(prisma, customerId),
+      prisma.promotionRedemption.count({
+        where: {
+          customerId,
+          promotionId: promotion.id
+        }
+      })
+    ]);
+  }
+
+  return evaluatePromotion(promotion, {
+    items,
+    subtotal,
+    customerId,
+    orderCount,
+    customerRedemptions
+  });
+}
+
+/**
+ * Find a promotion by the code a customer typed
+ * @param {string} code - Promo code
+ * @returns {Promise<Object|null>} Promotion
+ */
+async function findPromotionByCode(code) {
+  return prisma.promotion.findUnique({
+    where: { code: normalizeCode(code) }
+  });
+}
+
+/**
+ * Build the error thrown when a redemption is no longer allowed
+ * @param {string} reason - usage_limit_reached, customer_limit_reached or first_order_only
+ * @returns {Error} Conflict error carrying `promotionReason`
+ */
+function redemptionRefused(reason) {
+  const error = createConflictError(PROMOTION_MESSAGES[reason]);
+  error.promotionReason = reason;
+  return error;
+}
+
+/**
+ * Record that an order used a promotion. Runs inside the order transaction:
+ * the usage count only moves while under usageLimit, and the customer's
+ * redemptions and earlier orders are re-counted once the promotion row is
+ * locked, so concurrent checkouts cannot overshoot either limit or use a
+ * first-order code twice.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} params - Redemption parameters
+ * @param {string} params.promotionId - Promotion ID
+ * @param {string} params.customerId - Customer ID
+ * @param {string} params.orderId - Order ID
+ * @param {number} params.discount - Discount granted in EUR
+ * @returns {Promise<Object>} Redemption
+ * @throws {Error} Conflict error when a limit is already reached or the order is not the first
+ */
+async function redeemPromotion(client, { promotionId, customerId, orderId, discount }) {
+  const promotion = await client.promotion.findUnique({
+    where: { id: promotionId },
+    select: { usageLimit: true, perCustomerLimit: true, firstOrderOnly: true }
+  });
+
+  const hasUsageLimit = promotion.usageLimit !== null && promotion.usageLimit !== undefined;
+
+  // The update also locks the promotion row until the order commits
+  const { count } = await client.promotion.updateMany({
+    where: {
+      id: promotionId,
+      ...(hasUsageLimit && { usageCount: { lt: promotion.usageLimit } })
+    },
+    data: { usageCount: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    throw redemptionRefused('usage_limit_reached');
+  }
+
+  if (promotion.perCustomerLimit !== null && promotion.perCustomerLimit !== undefined) {
+    const customerRedemptions = await client.promotionRedemption.count({
+      where: { promotionId, customerId }
+    });
+
+    if (customerRedemptions >= promotion.perCustomerLimit) {
+      throw redemptionRefused('customer_limit_reached');
+    }
+  }
+
+  if (promotion.firstOrderOnly && await countCustomerOrders(client, customerId, orderId) > 0) {
+    throw redemptionRefused('first_order_only');
+  }
+
+  return client.promotionRedemption.create({
+    data: {
+      promotionId,
+      customerId,
+      orderId,
+      discount
+    }
+  });
+}
+
+/**
+ * Give back the promotion use of a cancelled order
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object|null>} Removed redemption, or null if the order used none
+ */
+async function releasePromotionRedemption(client, orderId) {
+  const redemption = await client.promotionRedemption.findUnique({
+    where: { orderId }
+  });
+
+  if (!redemption) {
+    return null;
+  }
+
+  await client.promotionRedemption.delete({
+    where: { id: redemption.id }
+  });
+
+  await client.promotion.updateMany({
+    where: {
+      id: redemption.promotionId,
+      usageCount: { gt: 0 }
+    },
+    data: { usageCount: { decrement: 1 } }
+  });
+
+  return redemption;
+}
+
+module.exports = {
+  PROMOTION_MESSAGES,
+  normalizeCode,
+  evaluatePromotion,
+  checkPromotion,
+  findPromotionByCode,
+  redeemPromotion,
+  releasePromotionRedemption
+};
@@ -0,0 +1,251 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { createNotFoundError } = require('../middleware/errorHandler');
+const { pickerVariants, productInStock, withVariantSummary } = require('./variants');
+
+const prisma = new PrismaClient();
+
+// Days of orders mined for products bought together
+const RECOMMENDATION_WINDOW_DAYS = parseInt(process.env.RECOMMENDATION_WINDOW_DAYS) || 180;
+
+// Pairs bought together in fewer orders are treated as chance
+const RECOMMENDATION_MIN_ORDERS = parseInt(process.env.RECOMMENDATION_MIN_ORDERS) || 3;
+
+// Associations kept per product
+const MAX_ASSOCIATIONS_PER_PRODUCT = 20;
+
+// Advisory lock key serializing association mining
+const RECOMMENDATIONS_LOCK_KEY = 72310024;
+
+// Product fields returned with recommendations
+const recommendationSelect = {
+  id: true,
+  name: true,
+  category: true,
+  image: true,
+  variants: pickerVariants
+};
+
+/**
+ * Keep the pairs bought together more often than chance and rank them per
+ * product by confidence (share of the product's orders that also hold the
+ * related product), then lift
+ * @param {Object} params - Mining results
+ * @param {Array} params.pairs - { productId, relatedProductId, orders } in both directions
+ * @param {Map} params.productOrders - productId -> orders containing the product
+ * @param {number} params.totalOrders - Orders mined
+ * @param {number} params.limit - Associations kept per product
+ * @returns {Array} { productId, relatedProductId, orders, confidence, lift }
+ */
+function scoreAssociations({ pairs, productOrders, totalOrders, limit = MAX_ASSOCIATIONS_PER_PRODUCT }) {
+  const round = value => Math.round(value * 10000) / 10000;
+  const byProduct = new Map();
+
+  for (const { productId, relatedProductId, orders } of pairs) {
+    const confidence = orders / productOrders.get(productId);
+    const lift = confidence / (productOrders.get(relatedProductId) / totalOrders);
+
+    if (lift <= 1) {
+      continue;
+    }
+
+    const associations = byProduct.get(productId) || [];
+    associations.push({ productId, relatedProductId, orders, confidence: round(confidence), lift: round(lift) });
+    byProduct.set(productId, associations);
+  }
+
+  return [...byProduct.values()].flatMap(associations => associations
+    .sort((a, b) => b.confidence - a.confidence || b.lift - a.lift)
+    .slice(0, limit));
+}
+
+/**
+ * Mine the last RECOMMENDATION_WINDOW_DAYS of orders for products bought
+ * together and replace the stored associations. Cancelled orders are left out.
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} { orders, products, associations }
+ */
+async function mineProductAssociations({ now = new Date() } = {}) {
+  const since = new Date(now.getTime() - RECOMMENDATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const orderProducts = Prisma.sql`
+    SELECT DISTINCT oi."orderId", oi."productId"
+    FROM order_items oi
+    JOIN orders o ON o.id = oi."orderId"
+    WHERE o."createdAt" >= ${since}
+      AND o.status <> 'CANCELLED'
+  `;
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${RECOMMENDATIONS_LOCK_KEY})`;
+
+    const [pairs, counts] = await Promise.all([
+      tx.$queryRaw`
+        WITH order_products AS (${orderProducts})
+        SELECT a."productId", b."productId" AS "relatedProductId", count(*)::int AS orders
+        FROM order_products a
+        JOIN order_products b ON b."orderId" = a."orderId" AND b."productId" <> a."productId"
+        GROUP BY 1, 2
+        HAVING count(*) >= ${RECOMMENDATION_MIN_ORDERS}
+      `,
+      tx.$queryRaw`
+        WITH order_products AS (${orderProducts})
+        SELECT "productId", count(*)::int AS orders,
+               (SELECT count(DISTINCT "orderId") FROM order_products)::int AS "totalOrders"
+        FROM order_products
+        GROUP BY 1
+      `
+    ]);
+
+    const totalOrders = counts.length > 0 ? counts[0].totalOrders : 0;
+    const associations = scoreAssociations({
+      pairs,
+      productOrders: new Map(counts.map(row => [row.productId, row.orders])),
+      totalOrders
+    });
+
+    await tx.productAssociation.deleteMany();
+    if (associations.length > 0) {
+      await tx.productAssociation.createMany({
+        data: associations.map(association => ({ ...association, computedAt: now }))
+      });
+    }
+
+    return {
+      orders: totalOrders,
+      products: new Set(associations.map(association => association.productId)).size,
+      associations: associations.length
+    };
+  }, { timeout: 60000 });
+}
+
+/**
+ * Products on sale from the given categories, most popular first
+ * @param {Array<string>} categories - Categories
+ * @param {Array<string>} excludeIds - Products to leave out
+ * @param {number} limit - Products to return
+ * @returns {Promise<Array>} Products tagged with reason "same_category"
+ */
+async function getCategoryPicks(categories, excludeIds, limit) {
+  if (limit <= 0 || categories.length === 0) {
+    return [];
+  }
+
+  const products = await prisma.product.findMany({
+    where: {
+      ...productInStock,
+      category: { in: categories },
+      id: { notIn: excludeIds }
+    },
+    select: recommendationSelect,
+    orderBy: [
+      { popularity: 'desc' },
+      { name: 'asc' }
+    ],
+    take: limit
+  });
+
+  return products.map(product => ({ ...withVariantSummary(product), reason: 'same_category' }));
+}
+
+/**
+ * Products frequently bought with a product, topped up from its category
+ * @param {string} productId - Product ID
+ * @param {Object} options - Options
+ * @param {Array<string>} options.excludeIds - Products to leave out, e.g. the basket's
+ * @param {number} options.limit - Products to return
+ * @returns {Promise<Array>} Products tagged with reason "bought_together" or "same_category"
+ * @throws {Error} Not found error for unknown products
+ */
+async function getRelatedProducts(productId, { excludeIds = [], limit = 6 } = {}) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, category: true }
+  });
+
+  if (!product) {
+    throw createNotFoundError('Product');
+  }
+
+  const excluded = [productId, ...excludeIds];
+  const associations = await prisma.productAssociation.findMany({
+    where: {
+      productId,
+      relatedProductId: { notIn: excluded },
+      relatedProduct: productInStock
+    },
+    include: { relatedProduct: { select: recommendationSelect } },
+    orderBy: [
+      { confidence: 'desc' },
+      { lift: 'desc' }
+    ],
+    take: limit
+  });
+
+  const related = associations.map(association => ({
+    ...withVariantSummary(association.relatedProduct),
+    reason: 'bought_together'
+  }));
+  const picks = await getCategoryPicks(
+    [product.category],
+    [...excluded, ...related.map(item => item.id)],
+    limit - related.length
+  );
+
+  return [...related, ...picks];
+}
+
+/**
+ * Products frequently bought with a basket's items, topped up from the
+ * basket's categories. Products bought with several items rank higher.
+ * @param {Array<string>} productIds - Products in the basket
+ * @param {Object} options - Options
+ * @param {number} options.limit - Products to return
+ * @returns {Promise<Array>} Products tagged with reason "bought_together" or "same_category"
+ */
+async function getBasketRecommendations(productIds, { limit = 6 } = {}) {
+  if (productIds.length === 0) {
+    return [];
+  }
+
+  const associations = await prisma.productAssociation.findMany({
+    where: {
+      productId: { in: productIds },
+      relatedProductId: { notIn: productIds },
+      relatedProduct: productInStock
+    },
+    include: { relatedProduct: { select: recommendationSelect } }
+  });
+
+  const scores = new Map();
+  for (const { relatedProduct, confidence } of associations) {
+    const entry = scores.get(relatedProduct.id) || { product: relatedProduct, score: 0 };
+    entry.score += confidence;
+    scores.set(relatedProduct.id, entry);
+  }
+
+  const related = [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ product }) => ({ ...withVariantSummary(product), reason: 'bought_together' }));
+
+  const basketProducts = await prisma.product.findMany({
+    where: { id: { in: productIds } },
+    select: { category: true },
+    distinct: ['category']
+  });
+
+  const picks = await getCategoryPicks(
+    basketProducts.map(product => product.category),
+    [...productIds, ...related.map(item => item.id)],
+    limit - related.length
+  );
+
+  return [...related, ...picks];
+}
+
+module.exports = {
+  scoreAssociations,
+  mineProductAssociations,
+  getRelatedProducts,
+  getBasketRecommendations
+};
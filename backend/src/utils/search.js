@@ -1,4 +1,5 @@
 const { MeiliSearch } = require('meilisearch');
+const { pickerVariants, summarizeVariants } = require('./variants');
 
 // Initialize Meilisearch client
 const meilisearch = new MeiliSearch({
@@ -6,10 +7,153 @@ const meilisearch = new MeiliSearch({
   apiKey: process.env.MEILISEARCH_API_KEY,
 });
 
+// Client for shopper-facing queries, with the search route's timeout so a slow
+// Meilisearch cannot hold up autocomplete. Indexing keeps the client above:
+// uploading a whole catalogue may take longer.
+const queryClient = new MeiliSearch({
+  host: process.env.MEILISEARCH_HOST,
+  apiKey: process.env.MEILISEARCH_API_KEY,
+  timeout: parseInt(process.env.MEILISEARCH_TIMEOUT_MS) || 2000
+});
+
+// Highlight markers requested from Meilisearch; private-use characters never
+// found in product names, swapped for <em> tags once the name is escaped
+const HIGHLIGHT_PRE_TAG = '\uE000';
+const HIGHLIGHT_POST_TAG = '\uE001';
+
+// Characters escaped in text sent as HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Allergens that rule out the vegetarian tag
+const ANIMAL_ALLERGENS = ['milk', 'eggs', 'fish', 'shellfish', 'meat'];
+
+// Languages the shop is used in; the first one is the default
+const SEARCH_LANGUAGES = ['en', 'fr', 'nl'];
+
+// Price ranges counted by the priceBucket facet (EUR, min inclusive, max exclusive)
+const PRICE_BUCKETS = [
+  { key: 'under-5', max: 5 },
+  { key: '5-10', min: 5, max: 10 },
+  { key: '10-20', min: 10, max: 20 },
+  { key: '20-50', min: 20, max: 50 },
+  { key: '50-plus', min: 50 }
+];
+
+// Relations buildProductDocument reads; include them when loading products to index
+const PRODUCT_DOCUMENT_INCLUDE = {
+  variants: pickerVariants,
+  popularityScores: { select: { zoneId: true, score: true } }
+};
+
+// Attributes the search response counts hits for
+const SEARCH_FACETS = ['category', 'dietary', 'origin', 'allergens', 'priceBucket'];
+
+// Default synonyms per shopper language (what they type -> catalogue terms to
+// search as well), used until an admin saves search settings
+const SEARCH_SYNONYMS = {
+  en: {
+    'fufu': ['cassava', 'yam'],
+    'plantain': ['banana', 'cooking banana'],
+    'egusi': ['melon seed'],
+    'rice': ['riz'],
+    'spice': ['spices', 'seasoning'],
+    'meat': ['viande'],
+    'fish': ['poisson'],
+    'vegetable': ['légume'],
+    'fruit': ['fruits']
+  },
+  fr: {
+    'riz': ['rice'],
+    'viande': ['meat'],
+    'poisson': ['fish'],
+    'légume': ['vegetable'],
+    'épices': ['spices', 'seasoning'],
+    'banane plantain': ['plantain'],
+    'manioc': ['cassava']
+  },
+  nl: {
+    'rijst': ['rice'],
+    'vlees': ['meat'],
+    'vis': ['fish'],
+    'groente': ['vegetable'],
+    'kruiden': ['spices', 'seasoning'],
+    'bakbanaan': ['plantain'],
+    'cassave': ['cassava']
+  }
+};
+
+// Default stop words per language
+const SEARCH_STOP_WORDS = {
+  en: ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'],
+  fr: [],
+  nl: []
+};
+
+// Default ranking rules
+const SEARCH_RANKING_RULES = ['words', 'typo', 'proximity', 'attribute', 'sort', 'exactness'];
+
+// Settings used until an admin saves their own
+const DEFAULT_SEARCH_SETTINGS = {
+  synonyms: SEARCH_SYNONYMS,
+  stopWords: SEARCH_STOP_WORDS,
+  rankingRules: SEARCH_RANKING_RULES
+};
+
+/**
+ * Merge per-language synonyms into the single map Meilisearch takes
+ * @param {Object} synonymsByLanguage - { language: { term: [synonyms] } }
+ * @returns {Object} { term: [synonyms] }
+ */
+function flattenSynonyms(synonymsByLanguage) {
+  const merged = {};
+
+  for (const synonyms of Object.values(synonymsByLanguage)) {
+    for (const [term, alternatives] of Object.entries(synonyms)) {
+      merged[term] = [...new Set([...(merged[term] || []), ...alternatives])];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Turn per-language search settings into Meilisearch index settings. Only the
+ * default language's stop words go to the index, which applies them to every
+ * query; other languages' stop words are removed from queries in that
+ * language before searching (see removeStopWords in utils/suggestions.js).
+ * @param {Object} settings - { synonyms, stopWords, rankingRules }
+ * @returns {Object} Meilisearch synonyms, stopWords and rankingRules
+ */
+function toIndexSettings({ synonyms, stopWords, rankingRules }) {
+  return {
+    synonyms: flattenSynonyms(synonyms),
+    stopWords: stopWords[SEARCH_LANGUAGES[0]] || [],
+    rankingRules
+  };
+}
+
+/**
+ * Push synonyms, stop words and ranking rules to the products index and wait
+ * until Meilisearch has applied them
+ * @param {Object} settings - { synonyms, stopWords, rankingRules } per language
+ * @returns {Promise<void>}
+ * @throws {Error} When Meilisearch rejects the settings
+ */
+async function updateSearchSettings(settings) {
+  const productsIndex = meilisearch.index('products');
+  const { taskUid } = await productsIndex.updateSettings(toIndexSettings(settings));
+  const task = await meilisearch.waitForTask(taskUid, { timeOutMs: 30000 });
+
+  if (task.status !== 'succeeded') {
+    throw new Error(task.error?.message || `Meilisearch settings task ${task.uid} ${task.status}`);
+  }
+}
+
 /**
  * Initialize Meilisearch indexes and settings
+ * @param {Object} settings - Synonyms, stop words and ranking rules (default: DEFAULT_SEARCH_SETTINGS)
  */
-async function initializeSearchIndexes() {
+async function initializeSearchIndexes(settings = DEFAULT_SEARCH_SETTINGS) {
   try {
     console.log('Initializing Meilisearch indexes...');
 
@@ -22,20 +166,28 @@ async function initializeSearchIndexes() {
         'name',
         'description',
         'category',
+        'sizes',
         'allergens',
         'origin'
       ],
       filterableAttributes: [
         'category',
         'price',
+        'unitPrice',
+        'priceBucket',
         'availability',
+        'stock',
         'allergens',
-        'dietary'
+        'dietary',
+        'origin'
       ],
       sortableAttributes: [
         'price',
+        'unitPrice',
         'name',
-        'createdAt'
+        'createdAt',
+        'popularity',
+        'zonePopularity'
       ],
       displayedAttributes: [
         'id',
@@ -43,36 +195,16 @@ async function initializeSearchIndexes() {
         'description',
         'category',
         'image',
-        'size',
-        'weight',
-        'unit',
         'price',
         'unitPrice',
+        'sizes',
+        'variants',
         'allergens',
         'origin',
         'availability',
         'stock'
       ],
-      rankingRules: [
-        'words',
-        'typo',
-        'proximity',
-        'attribute',
-        'sort',
-        'exactness'
-      ],
-      stopWords: ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'],
-      synonyms: {
-        'fufu': ['cassava', 'yam'],
-        'plantain': ['banana', 'cooking banana'],
-        'egusi': ['melon seed'],
-        'rice': ['riz'],
-        'spice': ['spices', 'seasoning'],
-        'meat': ['viande'],
-        'fish': ['poisson'],
-        'vegetable': ['légume'],
-        'fruit': ['fruits']
-      }
+      ...toIndexSettings(settings)
     });
 
     console.log('Meilisearch indexes initialized successfully');
@@ -82,6 +214,118 @@ async function initializeSearchIndexes() {
   }
 }
 
+/**
+ * Price bucket a price falls in
+ * @param {number} price - Price in EUR
+ * @returns {string} Bucket key from PRICE_BUCKETS
+ */
+function getPriceBucket(price) {
+  const bucket = PRICE_BUCKETS.find(({ min = 0, max = Infinity }) => price >= min && price < max);
+  return bucket.key;
+}
+
+/**
+ * Quote a value for a Meilisearch filter expression
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Build the Meilisearch filter for a shopper search. Only products on sale
+ * match, since indexes built before the search outbox may still hold others.
+ * @param {Object} params - Search parameters
+ * @param {string} params.category - Category filter (optional)
+ * @param {Object} params.filters - priceMin, priceMax, unitPriceMin, unitPriceMax,
+ *   dietary, allergens (excluded), origin and inStock (optional)
+ * @returns {string} Filter expression
+ */
+function buildSearchFilter({ category, filters = {} }) {
+  const filterArray = ['availability = true'];
+
+  if (category) {
+    filterArray.push(`category = ${quoteFilterValue(category)}`);
+  }
+
+  if (filters.priceMin !== undefined) {
+    filterArray.push(`price >= ${filters.priceMin}`);
+  }
+
+  if (filters.priceMax !== undefined) {
+    filterArray.push(`price <= ${filters.priceMax}`);
+  }
+
+  // Products without a unit price never match a unit price range
+  if (filters.unitPriceMin !== undefined) {
+    filterArray.push(`unitPrice >= ${filters.unitPriceMin}`);
+  }
+
+  if (filters.unitPriceMax !== undefined) {
+    filterArray.push(`unitPrice <= ${filters.unitPriceMax}`);
+  }
+
+  if (filters.dietary && filters.dietary.length > 0) {
+    filterArray.push(`(${filters.dietary.map(diet => `dietary = ${quoteFilterValue(diet)}`).join(' OR ')})`);
+  }
+
+  if (filters.allergens && filters.allergens.length > 0) {
+    filterArray.push(`(${filters.allergens.map(allergen => `allergens NOT CONTAINS ${quoteFilterValue(allergen)}`).join(' AND ')})`);
+  }
+
+  if (filters.origin && filters.origin.length > 0) {
+    filterArray.push(`origin IN [${filters.origin.map(quoteFilterValue).join(', ')}]`);
+  }
+
+  if (filters.inStock) {
+    filterArray.push('stock > 0');
+  }
+
+  return filterArray.join(' AND ');
+}
+
+/**
+ * Build the Meilisearch document for a product. Its variants collapse into one
+ * hit: price, unit price and price bucket come from the cheapest size on sale,
+ * stock is summed across sizes and the variants travel along for the size picker.
+ * @param {Object} product - Product data, with PRODUCT_DOCUMENT_INCLUDE relations
+ * @returns {Object} Search document
+ */
+function buildProductDocument(product) {
+  const variants = product.variants || [];
+  const { price, unitPrice, stock, sizes } = summarizeVariants(variants);
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description || '',
+    category: product.category,
+    image: product.image || '',
+    price,
+    unitPrice,
+    priceBucket: price === null ? null : getPriceBucket(price),
+    sizes,
+    variants: variants.map(variant => ({
+      id: variant.id,
+      size: variant.size || '',
+      price: variant.price,
+      unitPrice: variant.unitPrice ?? null,
+      stock: variant.stock,
+      image: variant.image || product.image || '',
+      availability: variant.availability
+    })),
+    allergens: product.allergens || [],
+    origin: product.origin || null,
+    availability: product.availability,
+    stock,
+    dietary: extractDietaryInfo(product),
+    popularity: product.popularity || 0,
+    zonePopularity: Object.fromEntries((product.popularityScores || []).map(entry => [entry.zoneId, entry.score])),
+    createdAt: product.createdAt
+  };
+}
+
 /**
  * Index a single product in Meilisearch
  * @param {Object} product - Product data
@@ -91,24 +335,7 @@ async function indexProduct(product) {
     const productsIndex = meilisearch.index('products');
     
     // Transform product data for search
-    const searchDocument = {
-      id: product.id,
-      name: product.name,
-      description: product.description || '',
-      category: product.category,
-      image: product.image || '',
-      size: product.size || '',
-      weight: product.weight || 0,
-      unit: product.unit || '',
-      price: product.price,
-      unitPrice: product.unitPrice || 0,
-      allergens: product.allergens || [],
-      origin: product.origin || '',
-      availability: product.availability,
-      stock: product.stock || 0,
-      dietary: extractDietaryInfo(product),
-      createdAt: product.createdAt
-    };
+    const searchDocument = buildProductDocument(product);
 
     await productsIndex.addDocuments([searchDocument]);
     console.log(`Indexed product: ${product.name}`);
@@ -126,24 +353,7 @@ async function indexProducts(products) {
   try {
     const productsIndex = meilisearch.index('products');
     
-    const searchDocuments = products.map(product => ({
-      id: product.id,
-      name: product.name,
-      description: product.description || '',
-      category: product.category,
-      image: product.image || '',
-      size: product.size || '',
-      weight: product.weight || 0,
-      unit: product.unit || '',
-      price: product.price,
-      unitPrice: product.unitPrice || 0,
-      allergens: product.allergens || [],
-      origin: product.origin || '',
-      availability: product.availability,
-      stock: product.stock || 0,
-      dietary: extractDietaryInfo(product),
-      createdAt: product.createdAt
-    }));
+    const searchDocuments = products.map(buildProductDocument);
 
     await productsIndex.addDocuments(searchDocuments);
     console.log(`Indexed ${products.length} products`);
@@ -161,24 +371,7 @@ async function updateProduct(product) {
   try {
     const productsIndex = meilisearch.index('products');
     
-    const searchDocument = {
-      id: product.id,
-      name: product.name,
-      description: product.description || '',
-      category: product.category,
-      image: product.image || '',
-      size: product.size || '',
-      weight: product.weight || 0,
-      unit: product.unit || '',
-      price: product.price,
-      unitPrice: product.unitPrice || 0,
-      allergens: product.allergens || [],
-      origin: product.origin || '',
-      availability: product.availability,
-      stock: product.stock || 0,
-      dietary: extractDietaryInfo(product),
-      createdAt: product.createdAt
-    };
+    const searchDocument = buildProductDocument(product);
 
     await productsIndex.updateDocuments([searchDocument]);
     console.log(`Updated product in search: ${product.name}`);
@@ -224,7 +417,7 @@ async function searchProducts({ q, category, page = 1, limit = 20, filters = {}
       offset,
       attributesToRetrieve: [
         'id', 'name', 'description', 'category', 'image', 
-        'size', 'weight', 'unit', 'price', 'unitPrice', 
+        'price', 'unitPrice', 'sizes', 'variants', 
         'allergens', 'origin', 'availability', 'stock'
       ],
       attributesToHighlight: ['name', 'description']
@@ -285,26 +478,54 @@ async function searchProducts({ q, category, page = 1, limit = 20, filters = {}
 }
 
 /**
- * Get search suggestions/autocomplete
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escape a Meilisearch-formatted value and turn its highlight markers into <em> tags
+ * @param {string} formatted - Value highlighted with HIGHLIGHT_PRE_TAG and HIGHLIGHT_POST_TAG
+ * @returns {string} HTML-safe highlighted text
+ */
+function formatHighlight(formatted) {
+  return escapeHtml(formatted)
+    .split(HIGHLIGHT_PRE_TAG).join('<em>')
+    .split(HIGHLIGHT_POST_TAG).join('</em>');
+}
+
+/**
+ * Get search suggestions/autocomplete. Product names matching the query or one
+ * of its synonyms are fetched in a single multi-search round trip.
  * @param {string} query - Search query
  * @param {number} limit - Number of suggestions
- * @returns {Promise<Array>} Search suggestions
+ * @param {Object} options - Options
+ * @param {Array<string>} options.synonyms - Extra terms to match (optional)
+ * @returns {Promise<Array>} Search suggestions, with HTML-safe highlighted names
  */
-async function getSearchSuggestions(query, limit = 5) {
+async function getSearchSuggestions(query, limit = 5, { synonyms = [] } = {}) {
   try {
-    const productsIndex = meilisearch.index('products');
-    
-    const searchResults = await productsIndex.search({
-      q: query,
-      limit,
-      attributesToRetrieve: ['name', 'category'],
-      attributesToHighlight: ['name']
+    const { results } = await queryClient.multiSearch({
+      queries: [query, ...synonyms].map(q => ({
+        indexUid: 'products',
+        q,
+        limit,
+        filter: 'availability = true',
+        attributesToRetrieve: ['id', 'name', 'category'],
+        attributesToHighlight: ['name'],
+        highlightPreTag: HIGHLIGHT_PRE_TAG,
+        highlightPostTag: HIGHLIGHT_POST_TAG
+      }))
     });
 
-    return searchResults.hits.map(hit => ({
+    return results.flatMap(result => result.hits).map(hit => ({
+      id: hit.id,
       name: hit.name,
       category: hit.category,
-      highlighted: hit._formatted?.name || hit.name
+      highlighted: formatHighlight(hit._formatted?.name || hit.name)
     }));
   } catch (error) {
     console.error('Get search suggestions error:', error);
@@ -341,7 +562,7 @@ function extractDietaryInfo(product) {
   // Check allergens for dietary restrictions
   if (product.allergens) {
     const hasAnimalProducts = product.allergens.some(allergen => 
-      ['milk', 'eggs', 'fish', 'shellfish', 'meat'].includes(allergen.toLowerCase())
+      ANIMAL_ALLERGENS.includes(allergen.toLowerCase())
     );
     
     if (!hasAnimalProducts && !dietary.includes('vegan')) {
@@ -376,8 +597,24 @@ async function reindexAllProducts(products) {
 }
 
 module.exports = {
+  ANIMAL_ALLERGENS,
+  SEARCH_LANGUAGES,
+  SEARCH_SYNONYMS,
+  SEARCH_STOP_WORDS,
+  DEFAULT_SEARCH_SETTINGS,
+  PRICE_BUCKETS,
+  PRODUCT_DOCUMENT_INCLUDE,
+  SEARCH_FACETS,
+  flattenSynonyms,
+  toIndexSettings,
+  updateSearchSettings,
   meilisearch,
+  queryClient,
   initializeSearchIndexes,
+  getPriceBucket,
+  buildSearchFilter,
+  buildProductDocument,
+  escapeHtml,
   indexProduct,
   indexProducts,
   updateProduct,
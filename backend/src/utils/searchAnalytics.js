@@ -0,0 +1,276 @@
+const { PrismaClient } = require('@prisma/client');
+const { createNotFoundError, createValidationError } = require('../middleware/errorHandler');
+const { normalizeTerm, getPopularQueryList } = require('./suggestions');
+
+const prisma = new PrismaClient();
+
+// A search followed by another one within this window counts as a reformulation
+const REFORMULATION_WINDOW_MINUTES = 5;
+
+// Days of zero-result searches mined for "did you mean"
+const DID_YOU_MEAN_DAYS = 30;
+
+// Days logged searches are kept; covers the longest admin report window
+const SEARCH_QUERY_RETENTION_DAYS = parseInt(process.env.SEARCH_QUERY_RETENTION_DAYS) || 365;
+
+/**
+ * Record a search with what it returned and how long it took
+ * @param {Object} entry - Search entry
+ * @param {string} entry.id - Query ID returned to the client (optional)
+ * @param {string} entry.query - Query as typed
+ * @param {string} entry.language - Language code
+ * @param {Object} entry.filters - Category and filters (optional)
+ * @param {number} entry.resultCount - Total hits
+ * @param {Array<string>} entry.productIds - Products on the page returned, in result order
+ * @param {number} entry.latencyMs - Time taken to answer
+ * @param {string} entry.backend - meilisearch or postgres
+ * @param {string} entry.customerId - Signed-in customer (optional)
+ * @param {string} entry.sessionId - Guest session (optional)
+ * @returns {Promise<Object>} Search query record
+ */
+async function logSearchQuery({ id, query, language, filters = null, resultCount, productIds = [], latencyMs, backend, customerId = null, sessionId = null }) {
+  return prisma.searchQuery.create({
+    data: {
+      id,
+      query: normalizeTerm(query),
+      language,
+      filters,
+      resultCount,
+      productIds,
+      latencyMs,
+      backend,
+      customerId,
+      sessionId
+    }
+  });
+}
+
+/**
+ * Record a click or add-to-cart on a search result
+ * @param {Object} interaction - Interaction
+ * @param {string} interaction.searchQueryId - Query ID from the search response
+ * @param {string} interaction.productId - Product acted on
+ * @param {string} interaction.type - CLICK or ADD_TO_CART
+ * @param {number} interaction.position - 1-based rank in the results (optional)
+ * @returns {Promise<Object>} Search interaction record
+ * @throws {Error} Not found error for unknown query IDs, validation error when
+ *   the product was not among the results of that search
+ */
+async function recordSearchInteraction({ searchQueryId, productId, type, position = null }) {
+  const searchQuery = await prisma.searchQuery.findUnique({
+    where: { id: searchQueryId },
+    select: { id: true, productIds: true }
+  });
+
+  if (!searchQuery) {
+    throw createNotFoundError('Search query');
+  }
+
+  // Keeps click-through reports to products shoppers were actually shown
+  if (!searchQuery.productIds.includes(productId)) {
+    throw createValidationError('Product was not among the results of this search');
+  }
+
+  return prisma.searchInteraction.create({
+    data: {
+      searchQueryId,
+      productId,
+      type,
+      position
+    }
+  });
+}
+
+/**
+ * Delete logged searches, with their clicks and add-to-carts
+ * @param {number} olderThanDays - Keep searches made more recently than this
+ * @returns {Promise<number>} Number of searches deleted
+ */
+async function purgeSearchQueries(olderThanDays = SEARCH_QUERY_RETENTION_DAYS) {
+  const result = await prisma.searchQuery.deleteMany({
+    where: {
+      createdAt: { lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) }
+    }
+  });
+
+  return result.count;
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Insertions, deletions and substitutions needed
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Popular queries close enough to be a typo fix of the given query
+ * @param {string} query - Normalized query
+ * @param {Array} popular - Popular queries as { query, count }
+ * @returns {Array<string>} Queries, closest then most popular first
+ */
+function closestQueries(query, popular) {
+  const maxDistance = query.length <= 4 ? 1 : 2;
+
+  return popular
+    .map(entry => ({ ...entry, distance: levenshtein(query, entry.query) }))
+    .filter(entry => entry.distance > 0 && entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || b.count - a.count)
+    .map(entry => entry.query);
+}
+
+/**
+ * "Did you mean" suggestions for a search that found nothing. Searches that
+ * shoppers ran right after the same query came up empty are suggested first,
+ * then popular queries within a small edit distance.
+ * @param {string} query - Query as typed
+ * @param {string} language - Language code
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Array<string>>} Suggested queries
+ */
+async function getDidYouMean(query, language, limit = 3) {
+  const term = normalizeTerm(query);
+  const since = new Date(Date.now() - DID_YOU_MEAN_DAYS * 24 * 60 * 60 * 1000);
+
+  const reformulations = await prisma.$queryRaw`
+    SELECT next.query, count(*)::int AS count
+    FROM search_queries zero
+    JOIN LATERAL (
+      SELECT q.query
+      FROM search_queries q
+      WHERE q."createdAt" > zero."createdAt"
+        AND q."createdAt" <= zero."createdAt" + make_interval(mins => ${REFORMULATION_WINDOW_MINUTES})
+        AND q."resultCount" > 0
+        AND (q."customerId" = zero."customerId" OR q."sessionId" = zero."sessionId")
+      ORDER BY q."createdAt" ASC
+      LIMIT 1
+    ) next ON true
+    WHERE zero.query = ${term}
+      AND zero.language = ${language}
+      AND zero."resultCount" = 0
+      AND zero."createdAt" >= ${since}
+    GROUP BY next.query
+    ORDER BY count DESC
+    LIMIT ${limit}
+  `;
+
+  const suggestions = reformulations.map(row => row.query);
+  const popular = await getPopularQueryList(language);
+
+  for (const candidate of closestQueries(term, popular)) {
+    if (!suggestions.includes(candidate)) {
+      suggestions.push(candidate);
+    }
+  }
+
+  return suggestions.filter(suggestion => suggestion !== term).slice(0, limit);
+}
+
+/**
+ * Most searched queries
+ * @param {Object} params - Report parameters
+ * @param {Date} params.since - Start of the period
+ * @param {number} params.limit - Rows to return
+ * @returns {Promise<Array>} { query, searches, avgResults, avgLatencyMs, zeroResultSearches }
+ */
+async function getTopQueries({ since, limit = 20 }) {
+  return prisma.$queryRaw`
+    SELECT query,
+           count(*)::int AS searches,
+           round(avg("resultCount"))::int AS "avgResults",
+           round(avg("latencyMs"))::int AS "avgLatencyMs",
+           count(*) FILTER (WHERE "resultCount" = 0)::int AS "zeroResultSearches"
+    FROM search_queries
+    WHERE "createdAt" >= ${since}
+    GROUP BY query
+    ORDER BY searches DESC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Queries that found nothing, most frequent first
+ * @param {Object} params - Report parameters
+ * @param {Date} params.since - Start of the period
+ * @param {number} params.limit - Rows to return
+ * @returns {Promise<Array>} { query, searches, lastSearchedAt }
+ */
+async function getZeroResultQueries({ since, limit = 20 }) {
+  return prisma.$queryRaw`
+    SELECT query,
+           count(*)::int AS searches,
+           max("createdAt") AS "lastSearchedAt"
+    FROM search_queries
+    WHERE "createdAt" >= ${since}
+      AND "resultCount" = 0
+    GROUP BY query
+    ORDER BY searches DESC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Queries that return results but rarely lead to a click, lowest CTR first.
+ * CTR is the share of searches with at least one click.
+ * @param {Object} params - Report parameters
+ * @param {Date} params.since - Start of the period
+ * @param {number} params.limit - Rows to return
+ * @param {number} params.minSearches - Ignore queries searched fewer times
+ * @returns {Promise<Array>} { query, searches, clickedSearches, addToCartSearches, ctr }
+ */
+async function getLowCtrQueries({ since, limit = 20, minSearches = 10 }) {
+  const rows = await prisma.$queryRaw`
+    SELECT q.query,
+           count(*)::int AS searches,
+           count(*) FILTER (WHERE EXISTS (
+             SELECT 1 FROM search_interactions i WHERE i."searchQueryId" = q.id AND i.type = 'CLICK'
+           ))::int AS "clickedSearches",
+           count(*) FILTER (WHERE EXISTS (
+             SELECT 1 FROM search_interactions i WHERE i."searchQueryId" = q.id AND i.type = 'ADD_TO_CART'
+           ))::int AS "addToCartSearches"
+    FROM search_queries q
+    WHERE q."createdAt" >= ${since}
+      AND q."resultCount" > 0
+    GROUP BY q.query
+    HAVING count(*) >= ${minSearches}
+    ORDER BY count(*) FILTER (WHERE EXISTS (
+               SELECT 1 FROM search_interactions i WHERE i."searchQueryId" = q.id AND i.type = 'CLICK'
+             ))::float / count(*) ASC,
+             searches DESC
+    LIMIT ${limit}
+  `;
+
+  return rows.map(row => ({
+    ...row,
+    ctr: Math.round((row.clickedSearches / row.searches) * 1000) / 1000
+  }));
+}
+
+module.exports = {
+  logSearchQuery,
+  recordSearchInteraction,
+  purgeSearchQueries,
+  levenshtein,
+  closestQueries,
+  getDidYouMean,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowCtrQueries
+};
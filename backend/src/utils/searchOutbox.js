@@ -0,0 +1,19 @@
+/**
+ * Record product changes for the search worker. Call with the transaction
+ * client that writes the products so the entries commit with the change.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Array<string>} productIds - Changed product IDs
+ * @param {string} operation - CREATE, UPDATE or DELETE
+ * @returns {Promise<Object>} Prisma batch result
+ */
+async function enqueueProductChanges(client, productIds, operation) {
+  return client.searchOutbox.createMany({
+    data: [...new Set(productIds)].map(entityId => ({
+      entityType: 'product',
+      entityId,
+      operation
+    }))
+  });
+}
+
+module.exports = { enqueueProductChanges };
@@ -0,0 +1,297 @@
+const { PrismaClient } = require('@prisma/client');
+const { createNotFoundError, createValidationError } = require('../middleware/errorHandler');
+const { SEARCH_LANGUAGES, DEFAULT_SEARCH_SETTINGS, updateSearchSettings } = require('./search');
+
+const prisma = new PrismaClient();
+
+// Advisory lock key serializing search settings changes
+const SEARCH_SETTINGS_LOCK_KEY = 72310021;
+
+// Built-in Meilisearch ranking rules; custom ones look like "popularity:desc"
+const BUILT_IN_RANKING_RULES = ['words', 'typo', 'proximity', 'attribute', 'sort', 'exactness'];
+const CUSTOM_RANKING_RULE = /^[A-Za-z0-9_.]+:(asc|desc)$/;
+
+// How long the current settings are served from memory by other processes
+const SEARCH_SETTINGS_CACHE_SECONDS = 60;
+
+let settingsCache = null;
+
+/**
+ * Plain settings object from a version row (or the defaults)
+ * @param {Object} row - Search settings version, or null
+ * @returns {Object} { version, synonyms, stopWords, rankingRules }
+ */
+function toSettings(row) {
+  if (!row) {
+    return { version: 0, ...DEFAULT_SEARCH_SETTINGS };
+  }
+
+  return {
+    version: row.version,
+    synonyms: row.synonyms,
+    stopWords: row.stopWords,
+    rankingRules: row.rankingRules
+  };
+}
+
+/**
+ * Search settings in use: the latest saved version, or the defaults when none
+ * was saved yet. Served from memory for SEARCH_SETTINGS_CACHE_SECONDS.
+ * @param {Object} options - Options
+ * @param {boolean} options.fresh - Skip the cache
+ * @returns {Promise<Object>} { version, synonyms, stopWords, rankingRules }
+ */
+async function getCurrentSearchSettings({ fresh = false } = {}) {
+  if (fresh || !settingsCache || settingsCache.expiresAt < Date.now()) {
+    const row = await prisma.searchSettingsVersion.findFirst({
+      orderBy: { version: 'desc' }
+    });
+
+    settingsCache = {
+      expiresAt: Date.now() + SEARCH_SETTINGS_CACHE_SECONDS * 1000,
+      value: toSettings(row)
+    };
+  }
+
+  return settingsCache.value;
+}
+
+/**
+ * Check a language code is supported
+ * @param {string} language - Language code
+ * @returns {void}
+ * @throws {Error} Validation error for unsupported languages
+ */
+function assertLanguage(language) {
+  if (!SEARCH_LANGUAGES.includes(language)) {
+    throw createValidationError(`Language must be one of: ${SEARCH_LANGUAGES.join(', ')}`);
+  }
+}
+
+/**
+ * Settings with a synonym entry added or replaced
+ * @param {Object} settings - Current settings
+ * @param {string} language - Language code
+ * @param {string} term - Term shoppers type
+ * @param {Array<string>} synonyms - Catalogue terms to search as well
+ * @returns {Object} New settings
+ */
+function withSynonym(settings, language, term, synonyms) {
+  assertLanguage(language);
+  const key = term.trim().toLowerCase();
+  const values = [...new Set(synonyms.map(synonym => synonym.trim().toLowerCase()))].filter(value => value !== key);
+
+  if (values.length === 0) {
+    throw createValidationError('A synonym needs at least one term other than itself');
+  }
+
+  return {
+    ...settings,
+    synonyms: {
+      ...settings.synonyms,
+      [language]: { ...(settings.synonyms[language] || {}), [key]: values }
+    }
+  };
+}
+
+/**
+ * Settings without a synonym entry
+ * @param {Object} settings - Current settings
+ * @param {string} language - Language code
+ * @param {string} term - Term to remove
+ * @returns {Object} New settings
+ * @throws {Error} Not found error when the term has no synonyms
+ */
+function withoutSynonym(settings, language, term) {
+  assertLanguage(language);
+  const key = term.trim().toLowerCase();
+  const { [key]: removed, ...rest } = settings.synonyms[language] || {};
+
+  if (!removed) {
+    throw createNotFoundError('Synonym');
+  }
+
+  return {
+    ...settings,
+    synonyms: { ...settings.synonyms, [language]: rest }
+  };
+}
+
+/**
+ * Settings with a language's stop words replaced
+ * @param {Object} settings - Current settings
+ * @param {string} language - Language code
+ * @param {Array<string>} stopWords - Stop words
+ * @returns {Object} New settings
+ */
+function withStopWords(settings, language, stopWords) {
+  assertLanguage(language);
+
+  return {
+    ...settings,
+    stopWords: {
+      ...settings.stopWords,
+      [language]: [...new Set(stopWords.map(word => word.trim().toLowerCase()))]
+    }
+  };
+}
+
+/**
+ * Settings with new ranking rules
+ * @param {Object} settings - Current settings
+ * @param {Array<string>} rankingRules - Built-in rules and "attribute:asc|desc" rules
+ * @returns {Object} New settings
+ * @throws {Error} Validation error for unknown or repeated rules
+ */
+function withRankingRules(settings, rankingRules) {
+  const invalid = rankingRules.filter(rule => !BUILT_IN_RANKING_RULES.includes(rule) && !CUSTOM_RANKING_RULE.test(rule));
+  if (invalid.length > 0) {
+    throw createValidationError(`Unknown ranking rules: ${invalid.join(', ')}`, { invalid });
+  }
+
+  if (new Set(rankingRules).size !== rankingRules.length) {
+    throw createValidationError('Ranking rules must not repeat');
+  }
+
+  return { ...settings, rankingRules };
+}
+
+/**
+ * Push the latest settings version to Meilisearch and mark it applied. When a
+ * newer version is saved while a push is in flight, that one is pushed too,
+ * so the index always ends up with the latest version.
+ * @returns {Promise<Object|null>} Last version applied, or null when the
+ *   latest version was already applied
+ * @throws {Error} When Meilisearch rejects the settings
+ */
+async function applySearchSettings() {
+  let applied = null;
+
+  for (;;) {
+    const latest = await prisma.searchSettingsVersion.findFirst({
+      orderBy: { version: 'desc' }
+    });
+
+    if (!latest || (applied ? latest.version <= applied.version : latest.appliedAt)) {
+      return applied;
+    }
+
+    await updateSearchSettings(toSettings(latest));
+
+    applied = await prisma.searchSettingsVersion.update({
+      where: { id: latest.id },
+      data: { appliedAt: new Date() }
+    });
+  }
+}
+
+/**
+ * Save a new settings version, then push it to Meilisearch. A version the
+ * push fails for stays saved with appliedAt unset and is pushed again by the
+ * apply-search-settings job.
+ * @param {Object} params - Change parameters
+ * @param {Function} params.change - (currentSettings) => newSettings
+ * @param {string} params.note - Why the change was made (optional)
+ * @param {string} params.staffId - Staff member making the change (optional)
+ * @param {number} params.restoredFrom - Version copied by a rollback (optional)
+ * @returns {Promise<Object>} Created version, with appliedAt set once Meilisearch accepted it
+ */
+async function saveSearchSettings({ change, note = null, staffId = null, restoredFrom = null }) {
+  const version = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${SEARCH_SETTINGS_LOCK_KEY})`;
+
+    const latest = await tx.searchSettingsVersion.findFirst({
+      orderBy: { version: 'desc' }
+    });
+
+    const current = toSettings(latest);
+    const next = await change(current);
+
+    return tx.searchSettingsVersion.create({
+      data: {
+        version: current.version + 1,
+        synonyms: next.synonyms,
+        stopWords: next.stopWords,
+        rankingRules: next.rankingRules,
+        note,
+        restoredFrom,
+        createdById: staffId
+      }
+    });
+  });
+
+  settingsCache = null;
+
+  try {
+    const applied = await applySearchSettings();
+    if (applied && applied.version === version.version) {
+      return applied;
+    }
+  } catch (error) {
+    console.error(`Apply search settings version ${version.version} error:`, error);
+  }
+
+  return version;
+}
+
+/**
+ * Make an earlier version current again by saving a copy of it as a new version
+ * @param {Object} params - Rollback parameters
+ * @param {number} params.version - Version to restore
+ * @param {string} params.note - Why (optional)
+ * @param {string} params.staffId - Staff member rolling back (optional)
+ * @returns {Promise<Object>} Created version
+ * @throws {Error} Not found error for unknown versions
+ */
+async function rollbackSearchSettings({ version, note = null, staffId = null }) {
+  const target = await prisma.searchSettingsVersion.findUnique({
+    where: { version }
+  });
+
+  if (!target) {
+    throw createNotFoundError('Search settings version');
+  }
+
+  return saveSearchSettings({
+    change: () => toSettings(target),
+    note: note || `Rollback to version ${version}`,
+    staffId,
+    restoredFrom: version
+  });
+}
+
+/**
+ * List saved versions, newest first
+ * @param {Object} params - Paging
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Versions per page
+ * @returns {Promise<Object>} { versions, total }
+ */
+async function getSearchSettingsHistory({ page = 1, limit = 20 } = {}) {
+  const [versions, total] = await Promise.all([
+    prisma.searchSettingsVersion.findMany({
+      include: {
+        createdBy: { select: { name: true, email: true } }
+      },
+      orderBy: { version: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.searchSettingsVersion.count()
+  ]);
+
+  return { versions, total };
+}
+
+module.exports = {
+  BUILT_IN_RANKING_RULES,
+  getCurrentSearchSettings,
+  withSynonym,
+  withoutSynonym,
+  withStopWords,
+  withRankingRules,
+  applySearchSettings,
+  saveSearchSettings,
+  rollbackSearchSettings,
+  getSearchSettingsHistory
+};
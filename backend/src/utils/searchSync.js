@@ -0,0 +1,321 @@
+const { PrismaClient } = require('@prisma/client');
+const { meilisearch, buildProductDocument, PRODUCT_DOCUMENT_INCLUDE } = require('./search');
+const { isProductOnSale } = require('./variants');
+
+const prisma = new PrismaClient();
+
+// Give up on an outbox entry after this many failed attempts
+const SEARCH_OUTBOX_MAX_ATTEMPTS = parseInt(process.env.SEARCH_OUTBOX_MAX_ATTEMPTS) || 8;
+
+// First retry delay; doubles with every further attempt
+const SEARCH_OUTBOX_BACKOFF_SECONDS = parseInt(process.env.SEARCH_OUTBOX_BACKOFF_SECONDS) || 5;
+
+// Longest wait between two attempts
+const MAX_BACKOFF_SECONDS = 60 * 60;
+
+// Claimed entries are hidden from other workers for this long
+const SEARCH_OUTBOX_LEASE_SECONDS = 5 * 60;
+
+// Document fields compared by the reindex diff (the index's displayed attributes and popularity)
+const COMPARED_FIELDS = [
+  'name', 'description', 'category', 'image', 'price', 'unitPrice', 'sizes',
+  'variants', 'allergens', 'origin', 'availability', 'stock', 'popularity'
+];
+
+/**
+ * Delay before the next attempt of a failed entry (exponential backoff)
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in seconds
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(SEARCH_OUTBOX_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Upsert and delete product documents, waiting until Meilisearch has applied them
+ * @param {Object} changes - Document changes
+ * @param {Array} changes.upserts - Documents to add or replace
+ * @param {Array<string>} changes.deletes - Document IDs to remove
+ * @returns {Promise<void>}
+ * @throws {Error} When a Meilisearch task fails or times out
+ */
+async function applyDocumentChanges({ upserts = [], deletes = [] }) {
+  const productsIndex = meilisearch.index('products');
+  const taskUids = [];
+
+  if (upserts.length > 0) {
+    taskUids.push((await productsIndex.addDocuments(upserts)).taskUid);
+  }
+
+  if (deletes.length > 0) {
+    taskUids.push((await productsIndex.deleteDocuments(deletes)).taskUid);
+  }
+
+  if (taskUids.length === 0) {
+    return;
+  }
+
+  const tasks = await meilisearch.waitForTasks(taskUids, { timeOutMs: 30000 });
+  const failed = tasks.find(task => task.status !== 'succeeded');
+  if (failed) {
+    throw new Error(failed.error?.message || `Meilisearch task ${failed.uid} ${failed.status}`);
+  }
+}
+
+/**
+ * Build index changes from the current rows: products on sale are upserted,
+ * retired, sold-out and missing products are removed
+ * @param {Array<string>} productIds - Product IDs to sync
+ * @param {Array} products - Current rows for those IDs, with their variants
+ * @returns {Object} { upserts, deletes }
+ */
+function planDocumentChanges(productIds, products) {
+  const upserts = products.filter(isProductOnSale).map(buildProductDocument);
+  const indexed = new Set(upserts.map(document => document.id));
+
+  return {
+    upserts,
+    deletes: productIds.filter(id => !indexed.has(id))
+  };
+}
+
+/**
+ * Claim due outbox entries for this worker. Rows locked by another worker
+ * are skipped, and claimed rows are pushed back by SEARCH_OUTBOX_LEASE_SECONDS
+ * so a second worker does not pick them up while they are being applied.
+ * @param {number} batchSize - Entries to claim
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Claimed entries, oldest first
+ */
+async function claimOutboxEntries(batchSize, now) {
+  return prisma.$transaction(async (tx) => {
+    const rows = await tx.$queryRaw`
+      SELECT id FROM search_outbox
+      WHERE status = 'PENDING' AND "availableAt" <= ${now}
+      ORDER BY "createdAt"
+      LIMIT ${batchSize}
+      FOR UPDATE SKIP LOCKED
+    `;
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ids = rows.map(row => row.id);
+    await tx.searchOutbox.updateMany({
+      where: { id: { in: ids } },
+      data: { availableAt: new Date(now.getTime() + SEARCH_OUTBOX_LEASE_SECONDS * 1000) }
+    });
+
+    return tx.searchOutbox.findMany({
+      where: { id: { in: ids } },
+      orderBy: { createdAt: 'asc' }
+    });
+  });
+}
+
+/**
+ * Mark outbox entries as applied
+ * @param {Array} entries - Outbox entries
+ * @returns {Promise<void>}
+ */
+async function completeOutboxEntries(entries) {
+  await prisma.searchOutbox.updateMany({
+    where: { id: { in: entries.map(entry => entry.id) } },
+    data: { status: 'DONE', processedAt: new Date() }
+  });
+}
+
+/**
+ * Schedule the next attempt of failed outbox entries, or mark them FAILED
+ * once SEARCH_OUTBOX_MAX_ATTEMPTS is reached
+ * @param {Array} entries - Outbox entries
+ * @param {Error} error - Failure to record
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of entries marked FAILED
+ */
+async function backOffOutboxEntries(entries, error, now) {
+  let failed = 0;
+  for (const entry of entries) {
+    const attempts = entry.attempts + 1;
+    const exhausted = attempts >= SEARCH_OUTBOX_MAX_ATTEMPTS;
+    if (exhausted) failed++;
+
+    await prisma.searchOutbox.update({
+      where: { id: entry.id },
+      data: {
+        attempts,
+        lastError: error.message,
+        status: exhausted ? 'FAILED' : 'PENDING',
+        availableAt: new Date(now.getTime() + retryDelaySeconds(attempts) * 1000)
+      }
+    });
+  }
+
+  return failed;
+}
+
+/**
+ * Apply due outbox entries to the products index. Entries are coalesced per
+ * product and the latest row is indexed, so the order of entries does not
+ * matter. When the batch fails, each product is retried on its own so only
+ * the entries of products that still fail back off (exponentially, until
+ * SEARCH_OUTBOX_MAX_ATTEMPTS, after which they are marked FAILED).
+ * @param {Object} options - Worker options
+ * @param {number} options.batchSize - Entries per run (default: 100)
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} { processed, retried, failed }
+ */
+async function processSearchOutbox({ batchSize = 100, now = new Date() } = {}) {
+  const entries = await claimOutboxEntries(batchSize, now);
+
+  if (entries.length === 0) {
+    return { processed: 0, retried: 0, failed: 0 };
+  }
+
+  const productIds = [...new Set(entries.map(entry => entry.entityId))];
+
+  let products;
+  try {
+    products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      include: PRODUCT_DOCUMENT_INCLUDE
+    });
+
+    await applyDocumentChanges(planDocumentChanges(productIds, products));
+    await completeOutboxEntries(entries);
+
+    return { processed: entries.length, retried: 0, failed: 0 };
+  } catch (error) {
+    console.error('Process search outbox error:', error);
+
+    if (!products || productIds.length === 1) {
+      const failed = await backOffOutboxEntries(entries, error, now);
+      return { processed: 0, retried: entries.length - failed, failed };
+    }
+  }
+
+  // Find the products that broke the batch and let the rest through
+  const result = { processed: 0, retried: 0, failed: 0 };
+  for (const productId of productIds) {
+    const productEntries = entries.filter(entry => entry.entityId === productId);
+
+    try {
+      await applyDocumentChanges(planDocumentChanges(
+        [productId],
+        products.filter(product => product.id === productId)
+      ));
+      await completeOutboxEntries(productEntries);
+      result.processed += productEntries.length;
+    } catch (error) {
+      console.error(`Process search outbox error for product ${productId}:`, error);
+      const failed = await backOffOutboxEntries(productEntries, error, now);
+      result.failed += failed;
+      result.retried += productEntries.length - failed;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Delete processed outbox entries
+ * @param {number} olderThanDays - Keep entries processed more recently than this
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function purgeProcessedOutbox(olderThanDays = 7) {
+  const result = await prisma.searchOutbox.deleteMany({
+    where: {
+      status: 'DONE',
+      processedAt: { lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) }
+    }
+  });
+
+  return result.count;
+}
+
+/**
+ * Compare product rows with the documents in the index
+ * @param {Array} products - All product rows
+ * @param {Array} documents - All indexed documents
+ * @returns {Object} IDs that are missing from the index, stale in it or orphaned in it
+ */
+function diffProductDocuments(products, documents) {
+  const expected = new Map(
+    products.filter(isProductOnSale).map(product => [product.id, buildProductDocument(product)])
+  );
+  const indexed = new Map(documents.map(document => [String(document.id), document]));
+
+  const missing = [];
+  const stale = [];
+  for (const [id, document] of expected) {
+    const current = indexed.get(id);
+    if (!current) {
+      missing.push(id);
+    } else if (COMPARED_FIELDS.some(field => JSON.stringify(document[field]) !== JSON.stringify(current[field]))) {
+      stale.push(id);
+    }
+  }
+
+  const orphaned = [...indexed.keys()].filter(id => !expected.has(id));
+
+  return { missing, stale, orphaned };
+}
+
+/**
+ * Read every document in the products index
+ * @param {number} pageSize - Documents per request
+ * @returns {Promise<Array>} Indexed documents
+ */
+async function fetchIndexedDocuments(pageSize = 1000) {
+  const productsIndex = meilisearch.index('products');
+  const documents = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { results } = await productsIndex.getDocuments({
+      offset,
+      limit: pageSize,
+      fields: ['id', ...COMPARED_FIELDS]
+    });
+
+    documents.push(...results);
+    if (results.length < pageSize) {
+      return documents;
+    }
+  }
+}
+
+/**
+ * Diff the products index against Postgres and optionally repair it
+ * @param {Object} options - Options
+ * @param {boolean} options.fix - Apply the missing, stale and orphaned fixes (default: true)
+ * @returns {Promise<Object>} { missing, stale, orphaned }
+ */
+async function reconcileSearchIndex({ fix = true } = {}) {
+  const [products, documents] = await Promise.all([
+    prisma.product.findMany({ include: PRODUCT_DOCUMENT_INCLUDE }),
+    fetchIndexedDocuments()
+  ]);
+
+  const diff = diffProductDocuments(products, documents);
+
+  if (fix) {
+    const outdated = new Set([...diff.missing, ...diff.stale]);
+    await applyDocumentChanges({
+      upserts: products.filter(product => outdated.has(product.id)).map(buildProductDocument),
+      deletes: diff.orphaned
+    });
+  }
+
+  return diff;
+}
+
+module.exports = {
+  SEARCH_OUTBOX_MAX_ATTEMPTS,
+  retryDelaySeconds,
+  planDocumentChanges,
+  processSearchOutbox,
+  purgeProcessedOutbox,
+  diffProductDocuments,
+  reconcileSearchIndex
+};
@@ -0,0 +1,455 @@
+const { PrismaClient } = require('@prisma/client');
+const { createConflictError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_DAYS_AHEAD = parseInt(process.env.SLOT_DAYS_AHEAD) || 3;
+const DEFAULT_CAPACITY = parseInt(process.env.SLOT_DEFAULT_CAPACITY) || 10;
+const DEFAULT_CUTOFF_MINUTES = parseInt(process.env.SLOT_CUTOFF_MINUTES) || 60;
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 15;
+
+/**
+ * Read the slot templates stored in a zone's etaBands column
+ * @param {Object} zone - Delivery zone
+ * @returns {Array} Normalized templates sorted by start time
+ */
+function getSlotTemplates(zone) {
+  const bands = zone.etaBands || {};
+
+  return Object.entries(bands)
+    .filter(([, band]) => band && band.start && band.end && band.available !== false)
+    .map(([name, band]) => ({
+      band: name,
+      start: band.start,
+      end: band.end,
+      capacity: Number.isInteger(band.capacity) ? band.capacity : DEFAULT_CAPACITY,
+      cutoffMinutes: Number.isInteger(band.cutoffMinutes) ? band.cutoffMinutes : DEFAULT_CUTOFF_MINUTES,
+      days: Array.isArray(band.days) ? band.days : null // 0 = Sunday, null = every day
+    }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Build a Date for a given day at "HH:MM"
+ * @param {Date} day - Day to use
+ * @param {string} time - Time of day, e.g. "18:30"
+ * @returns {Date} Combined date
+ */
+function atTime(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes || 0, 0, 0);
+}
+
+/**
+ * Format a day as YYYY-MM-DD in server local time
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDay(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Human-readable ETA band for a slot, e.g. "18:30-19:00"
+ * @param {Object} slot - Slot with startsAt and endsAt
+ * @returns {string} ETA band label
+ */
+function formatSlotLabel(slot) {
+  const time = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return `${time(new Date(slot.startsAt))}-${time(new Date(slot.endsAt))}`;
+}
+
+/**
+ * Expand zone templates into concrete slot candidates for the coming days
+ * @param {Object} zone - Delivery zone
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {number} options.daysAhead - Number of days to include, today counted
+ * @returns {Array} Slot candidates that are still bookable by cutoff time
+ */
+function buildSlotCandidates(zone, { now = new Date(), daysAhead = DEFAULT_DAYS_AHEAD } = {}) {
+  const templates = getSlotTemplates(zone);
+  const candidates = [];
+
+  for (let offset = 0; offset < daysAhead; offset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+
+    for (const template of templates) {
+      if (template.days && !template.days.includes(day.getDay())) {
+        continue;
+      }
+
+      const startsAt = atTime(day, template.start);
+      const endsAt = atTime(day, template.end);
+      const cutoff = new Date(startsAt.getTime() - template.cutoffMinutes * 60 * 1000);
+
+      if (now >= cutoff) {
+        continue;
+      }
+
+      candidates.push({
+        slotKey: `${formatDay(day)}:${template.band}`,
+        band: template.band,
+        date: formatDay(day),
+        startsAt,
+        endsAt,
+        capacity: template.capacity,
+        label: formatSlotLabel({ startsAt, endsAt })
+      });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Release holds whose payment window has lapsed, returning their capacity
+ * @returns {Promise<number>} Number of released holds
+ */
+async function releaseExpiredSlotHolds() {
+  const expired = await prisma.slotReservation.findMany({
+    where: {
+      status: 'HELD',
+      expiresAt: { lt: new Date() }
+    },
+    select: { id: true }
+  });
+
+  for (const reservation of expired) {
+    await releaseSlotReservation(reservation.id);
+  }
+
+  return expired.length;
+}
+
+/**
+ * List bookable slots for a zone with remaining capacity
+ * @param {Object} zone - Delivery zone
+ * @param {Object} options - Options passed to buildSlotCandidates
+ * @returns {Promise<Array>} Slots with availability
+ */
+async function listAvailableSlots(zone, options = {}) {
+  await releaseExpiredSlotHolds();
+
+  const candidates = buildSlotCandidates(zone, options);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const existing = await prisma.deliverySlot.findMany({
+    where: {
+      zoneId: zone.id,
+      startsAt: { in: candidates.map(candidate => candidate.startsAt) }
+    },
+    select: { startsAt: true, booked: true }
+  });
+
+  return candidates.map(candidate => {
+    const slot = existing.find(s => s.startsAt.getTime() === candidate.startsAt.getTime());
+    // Capacity comes from the zone's current etaBands, as bookSlot applies it
+    const remaining = Math.max(0, candidate.capacity - (slot ? slot.booked : 0));
+
+    return {
+      slotKey: candidate.slotKey,
+      band: candidate.band,
+      date: candidate.date,
+      startsAt: candidate.startsAt,
+      endsAt: candidate.endsAt,
+      label: candidate.label,
+      remaining,
+      available: remaining > 0
+    };
+  });
+}
+
+/**
+ * Get the first slot that still has capacity
+ * @param {Object} zone - Delivery zone
+ * @returns {Promise<Object|null>} Next available slot
+ */
+async function getNextAvailableSlot(zone) {
+  const slots = await listAvailableSlots(zone);
+  return slots.find(slot => slot.available) || null;
+}
+
+/**
+ * Take one unit of a slot candidate's capacity, creating the slot row on first use
+ * @param {Object} zone - Delivery zone
+ * @param {Object} candidate - Slot candidate from buildSlotCandidates
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<Object|null>} Delivery slot, or null when it is full
+ */
+async function bookSlot(zone, candidate, client = prisma) {
+  const slot = await client.deliverySlot.upsert({
+    where: {
+      zoneId_startsAt: {
+        zoneId: zone.id,
+        startsAt: candidate.startsAt
+      }
+    },
+    // Capacity follows the zone's current etaBands
+    update: { capacity: candidate.capacity },
+    create: {
+      zoneId: zone.id,
+      band: candidate.band,
+      startsAt: candidate.startsAt,
+      endsAt: candidate.endsAt,
+      capacity: candidate.capacity
+    }
+  });
+
+  return (await incrementSlotBooking(slot, client)) ? slot : null;
+}
+
+/**
+ * Book one unit of a slot unless it is full
+ * @param {Object} slot - Delivery slot with id and capacity
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<boolean>} Whether the slot had room
+ */
+async function incrementSlotBooking(slot, client = prisma) {
+  // Conditional increment so concurrent bookings can never exceed capacity
+  const { count } = await client.deliverySlot.updateMany({
+    where: {
+      id: slot.id,
+      booked: { lt: slot.capacity }
+    },
+    data: { booked: { increment: 1 } }
+  });
+
+  return count > 0;
+}
+
+/**
+ * Hold a slot for a customer during the payment window. The customer's
+ * earlier holds are released in the same transaction that books the new one,
+ * so retrying checkout never holds more than one slot and a slot that turns
+ * out to be full leaves the earlier hold in place.
+ * @param {Object} zone - Delivery zone
+ * @param {string} slotKey - Slot key from listAvailableSlots (e.g. "2025-09-20:evening")
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} Reservation with its slot, or { error } when not bookable
+ */
+async function holdSlot(zone, slotKey, customerId) {
+  await releaseExpiredSlotHolds();
+
+  const candidate = buildSlotCandidates(zone).find(c => c.slotKey === slotKey);
+  if (!candidate) {
+    return { error: 'slot_unavailable' };
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const previousHolds = await tx.slotReservation.findMany({
+        where: { customerId, status: 'HELD' },
+        select: { id: true }
+      });
+
+      for (const hold of previousHolds) {
+        await releaseSlotReservation(hold.id, tx);
+      }
+
+      const slot = await bookSlot(zone, candidate, tx);
+      if (!slot) {
+        // Roll back the releases
+        throw createConflictError('Delivery slot is full');
+      }
+
+      const reservation = await tx.slotReservation.create({
+        data: {
+          slotId: slot.id,
+          customerId,
+          expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+        }
+      });
+
+      return { reservation, slot };
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return { error: 'slot_full' };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Link a hold to the Stripe payment intent that pays for it
+ * @param {string} reservationId - Reservation ID
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object>} Updated reservation
+ */
+async function attachPaymentIntent(reservationId, paymentIntentId) {
+  return prisma.slotReservation.update({
+    where: { id: reservationId },
+    data: { paymentIntentId }
+  });
+}
+
+/**
+ * Get the slot a reservation points at
+ * @param {string} reservationId - Reservation ID
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<Object|null>} Delivery slot
+ */
+async function getReservedSlot(reservationId, client = prisma) {
+  const reservation = await client.slotReservation.findUnique({
+    where: { id: reservationId },
+    include: { slot: true }
+  });
+
+  return reservation ? reservation.slot : null;
+}
+
+/**
+ * Turn a hold into a booking for an order. A hold that already lapsed is
+ * re-booked if its slot still has room, else moved to the zone's next slot
+ * with room; slots are never overbooked.
+ * @param {string} reservationId - Reservation ID
+ * @param {string} orderId - Order ID
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<Object|null>} Booked slot, or null if the reservation is unknown
+ * @throws {Error} Conflict error when the zone has no slot left
+ */
+async function commitSlotReservation(reservationId, orderId, client = prisma) {
+  const reservation = await client.slotReservation.findUnique({
+    where: { id: reservationId },
+    include: { slot: true }
+  });
+
+  if (!reservation) {
+    return null;
+  }
+
+  let slot = reservation.slot;
+
+  if (reservation.status === 'RELEASED' && !(await incrementSlotBooking(slot, client))) {
+    slot = await bookNextSlot(slot, client);
+  }
+
+  await client.slotReservation.update({
+    where: { id: reservationId },
+    data: {
+      status: 'COMMITTED',
+      slotId: slot.id,
+      orderId
+    }
+  });
+
+  return slot;
+}
+
+/**
+ * Book the first slot with room after a full one, in the same zone
+ * @param {Object} fullSlot - Delivery slot that has no room left
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Object>} Booked delivery slot
+ * @throws {Error} Conflict error when no later slot has room
+ */
+async function bookNextSlot(fullSlot, client) {
+  const zone = await client.deliveryZone.findUnique({
+    where: { id: fullSlot.zoneId }
+  });
+
+  const candidates = zone
+    ? buildSlotCandidates(zone).filter(candidate => candidate.startsAt > fullSlot.startsAt)
+    : [];
+
+  for (const candidate of candidates) {
+    const slot = await bookSlot(zone, candidate, client);
+    if (slot) {
+      return slot;
+    }
+  }
+
+  throw createConflictError('No delivery slot left for this order');
+}
+
+/**
+ * Release a held or committed reservation and give its capacity back
+ * @param {string} reservationId - Reservation ID
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<boolean>} Whether anything was released
+ */
+async function releaseSlotReservation(reservationId, client = prisma) {
+  const { count } = await client.slotReservation.updateMany({
+    where: {
+      id: reservationId,
+      status: { in: ['HELD', 'COMMITTED'] }
+    },
+    data: { status: 'RELEASED' }
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  const reservation = await client.slotReservation.findUnique({
+    where: { id: reservationId },
+    select: { slotId: true }
+  });
+
+  await client.deliverySlot.updateMany({
+    where: {
+      id: reservation.slotId,
+      booked: { gt: 0 }
+    },
+    data: { booked: { decrement: 1 } }
+  });
+
+  return true;
+}
+
+/**
+ * Give back the delivery slot booked by an order
+ * @param {string} orderId - Order ID
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<boolean>} Whether a booking was released
+ */
+async function releaseOrderSlot(orderId, client = prisma) {
+  const reservation = await client.slotReservation.findFirst({
+    where: {
+      orderId,
+      status: 'COMMITTED'
+    },
+    select: { id: true }
+  });
+
+  return reservation ? releaseSlotReservation(reservation.id, client) : false;
+}
+
+/**
+ * Release the hold made for a payment intent that will not complete
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<boolean>} Whether a hold was released
+ */
+async function releaseSlotHoldForPaymentIntent(paymentIntentId) {
+  const reservation = await prisma.slotReservation.findFirst({
+    where: {
+      paymentIntentId,
+      status: 'HELD'
+    },
+    select: { id: true }
+  });
+
+  return reservation ? releaseSlotReservation(reservation.id) : false;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  getSlotTemplates,
+  buildSlotCandidates,
+  formatSlotLabel,
+  listAvailableSlots,
+  getNextAvailableSlot,
+  holdSlot,
+  attachPaymentIntent,
+  getReservedSlot,
+  commitSlotReservation,
+  releaseSlotReservation,
+  releaseOrderSlot,
+  releaseSlotHoldForPaymentIntent,
+  releaseExpiredSlotHolds
+};
@@ -0,0 +1,198 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+
+/**
+ * Lock variant rows so concurrent checkouts serialize on stock
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<string>} variantIds - Variant IDs to lock
+ * @returns {Promise<Array>} Locked rows with id, productId, stock and availability
+ *   (false when either the variant or its product is off sale)
+ */
+async function lockVariants(tx, variantIds) {
+  if (variantIds.length === 0) {
+    return [];
+  }
+
+  // Lock in a stable order to avoid deadlocks between overlapping baskets
+  return tx.$queryRaw`
+    SELECT v.id, v."productId", v.stock, (v.availability AND p.availability) AS availability
+    FROM product_variants v
+    JOIN products p ON p.id = v."productId"
+    WHERE v.id IN (${Prisma.join(variantIds)})
+    ORDER BY v.id
+    FOR UPDATE OF v
+  `;
+}
+
+/**
+ * Sum units held by live reservations, per variant
+ * @param {Array<string>} variantIds - Variant IDs
+ * @param {Object} options - Options
+ * @param {string} options.excludeBasketId - Ignore holds made for this basket
+ * @param {string} options.excludePaymentIntentId - Ignore holds made for this payment intent
+ * @param {Object} options.client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<Map<string, number>>} Reserved units keyed by variant ID
+ */
+async function getReservedQuantities(variantIds, { excludeBasketId, excludePaymentIntentId, client = prisma } = {}) {
+  const where = {
+    variantId: { in: variantIds },
+    status: 'HELD',
+    expiresAt: { gt: new Date() }
+  };
+
+  if (excludeBasketId) {
+    where.basketId = { not: excludeBasketId };
+  }
+
+  if (excludePaymentIntentId) {
+    where.OR = [
+      { paymentIntentId: null },
+      { paymentIntentId: { not: excludePaymentIntentId } }
+    ];
+  }
+
+  const grouped = await client.stockReservation.groupBy({
+    by: ['variantId'],
+    where,
+    _sum: { quantity: true }
+  });
+
+  return new Map(grouped.map(row => [row.variantId, row._sum.quantity || 0]));
+}
+
+/**
+ * Units of a variant that can still be sold to a basket
+ * @param {Object} variant - Variant with id and stock
+ * @param {string} basketId - Basket asking (its own holds are not subtracted)
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<number>} Available units
+ */
+async function getAvailableStock(variant, basketId = null, client = prisma) {
+  const reserved = await getReservedQuantities([variant.id], { excludeBasketId: basketId, client });
+  return Math.max(0, variant.stock - (reserved.get(variant.id) || 0));
+}
+
+/**
+ * Hold basket quantities for the payment window. Any earlier hold for the same
+ * basket is replaced.
+ * @param {Object} params - Reservation parameters
+ * @param {string} params.basketId - Basket ID
+ * @param {string} params.customerId - Customer ID
+ * @param {Array} params.items - Basket items with productId, variantId, quantity and product.name
+ * @returns {Promise<Object>} { reservations } or { unavailableItems } when stock is short
+ */
+async function reserveBasketStock({ basketId, customerId, items }) {
+  return prisma.$transaction(async (tx) => {
+    await tx.stockReservation.updateMany({
+      where: { basketId, status: 'HELD' },
+      data: { status: 'RELEASED' }
+    });
+
+    const variantIds = [...new Set(items.map(item => item.variantId))];
+    const lockedVariants = await lockVariants(tx, variantIds);
+    const reserved = await getReservedQuantities(variantIds, { client: tx });
+
+    const unavailableItems = [];
+    for (const item of items) {
+      const variant = lockedVariants.find(v => v.id === item.variantId);
+      const available = variant ? variant.stock - (reserved.get(item.variantId) || 0) : 0;
+
+      if (!variant || !variant.availability || available < item.quantity) {
+        unavailableItems.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          name: item.product.name,
+          reason: !variant || !variant.availability ? 'out_of_stock' : 'insufficient_stock'
+        });
+      }
+    }
+
+    if (unavailableItems.length > 0) {
+      return { unavailableItems };
+    }
+
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    await tx.stockReservation.createMany({
+      data: items.map(item => ({
+        variantId: item.variantId,
+        basketId,
+        customerId,
+        quantity: item.quantity,
+        expiresAt
+      }))
+    });
+
+    return {
+      reservations: await tx.stockReservation.findMany({
+        where: { basketId, status: 'HELD' }
+      })
+    };
+  });
+}
+
+/**
+ * Link a basket's live holds to the payment intent that pays for them
+ * @param {string} basketId - Basket ID
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<number>} Number of linked reservations
+ */
+async function linkStockReservations(basketId, paymentIntentId) {
+  const { count } = await prisma.stockReservation.updateMany({
+    where: { basketId, status: 'HELD' },
+    data: { paymentIntentId }
+  });
+
+  return count;
+}
+
+/**
+ * Mark the holds of a paid payment intent as turned into an order
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<number>} Number of committed reservations
+ */
+async function commitStockReservations(paymentIntentId, client = prisma) {
+  const { count } = await client.stockReservation.updateMany({
+    where: { paymentIntentId, status: 'HELD' },
+    data: { status: 'COMMITTED' }
+  });
+
+  return count;
+}
+
+/**
+ * Return held units to sale
+ * @param {Object} where - Filter, e.g. { paymentIntentId } or { basketId }
+ * @returns {Promise<number>} Number of released reservations
+ */
+async function releaseStockReservations(where) {
+  const { count } = await prisma.stockReservation.updateMany({
+    where: { ...where, status: 'HELD' },
+    data: { status: 'RELEASED' }
+  });
+
+  return count;
+}
+
+/**
+ * Release every hold whose TTL has passed
+ * @returns {Promise<number>} Number of released reservations
+ */
+async function releaseExpiredStockReservations() {
+  return releaseStockReservations({ expiresAt: { lt: new Date() } });
+}
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  lockVariants,
+  getReservedQuantities,
+  getAvailableStock,
+  reserveBasketStock,
+  linkStockReservations,
+  commitStockReservations,
+  releaseStockReservations,
+  releaseExpiredStockReservations
+};
@@ -0,0 +1,454 @@
+const { PrismaClient } = require('@prisma/client');
+const { createConflictError, createNotFoundError } = require('../middleware/errorHandler');
+const { lockVariants, getReservedQuantities } = require('./stock');
+const { roundCurrency } = require('./delivery');
+const { ORDER_EVENTS } = require('./orderEvents');
+const { publishOrderEvents } = require('./orderEventBus');
+const { enqueueProductChanges } = require('./searchOutbox');
+
+const prisma = new PrismaClient();
+
+// Price differences up to this amount per line are absorbed, larger ones are refunded
+const SUBSTITUTION_REFUND_THRESHOLD = 0.20;
+
+// Orders the picker can still change
+const SUBSTITUTABLE_STATUSES = ['CONFIRMED', 'PREPARING'];
+
+/**
+ * Apply a substitution price rule to one order line. The customer is never
+ * charged more than they paid; a cheaper substitute is refunded when the line
+ * difference exceeds the threshold. APPROVE_DELTA asks the customer first when
+ * the difference exceeds the threshold in either direction.
+ * @param {Object} params - Pricing parameters
+ * @param {string} params.priceRule - REFUND_DELTA, APPROVE_DELTA or NO_CHANGE
+ * @param {number} params.originalPrice - Unit price the customer paid
+ * @param {number} params.substitutePrice - Catalog unit price of the substitute
+ * @param {number} params.quantity - Units on the line
+ * @param {number} params.maxDelta - Largest unit price difference allowed (optional)
+ * @returns {Object} { allowed, requiresApproval, priceDelta, refundAmount, chargedPrice }
+ */
+function evaluatePriceRule({ priceRule, originalPrice, substitutePrice, quantity, maxDelta = null }) {
+  const unitDelta = substitutePrice - originalPrice;
+  const priceDelta = roundCurrency(unitDelta * quantity);
+  const significant = Math.abs(priceDelta) > SUBSTITUTION_REFUND_THRESHOLD;
+
+  const result = {
+    allowed: true,
+    requiresApproval: false,
+    priceDelta,
+    refundAmount: 0,
+    chargedPrice: originalPrice
+  };
+
+  if (maxDelta !== null && maxDelta !== undefined && Math.abs(unitDelta) > maxDelta) {
+    return { ...result, allowed: false };
+  }
+
+  if (priceRule === 'APPROVE_DELTA' && significant) {
+    result.requiresApproval = true;
+  }
+
+  if (priceRule !== 'NO_CHANGE' && significant && priceDelta < 0) {
+    result.refundAmount = -priceDelta;
+    result.chargedPrice = substitutePrice;
+  }
+
+  return result;
+}
+
+/**
+ * Pick the size of a substitute product to send: one with stock for the whole
+ * line, closest in price to what the customer paid
+ * @param {Array} variants - Substitute variants on sale with id, price and stock
+ * @param {Map<string, number>} reserved - Units held per variant ID
+ * @param {Object} item - Order line with quantity and price
+ * @returns {Object|null} Variant, or null when no size has enough stock
+ */
+function pickSubstituteVariant(variants, reserved, item) {
+  return variants
+    .filter(variant => variant.stock - (reserved.get(variant.id) || 0) >= item.quantity)
+    .sort((a, b) => Math.abs(a.price - item.price) - Math.abs(b.price - item.price))[0] || null;
+}
+
+/**
+ * Load an order line the picker wants to substitute and check the order can
+ * still be changed
+ * @param {string} orderId - Order ID
+ * @param {string} itemId - Order item ID
+ * @returns {Promise<Object>} { order, item }
+ * @throws {Error} Not found or conflict error
+ */
+async function getSubstitutableItem(orderId, itemId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: {
+      id: true,
+      status: true,
+      substitutionAllowed: true,
+      items: {
+        where: { id: itemId },
+        include: {
+          substitutions: {
+            where: { status: { in: ['PENDING_APPROVAL', 'APPLIED'] } }
+          }
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    throw createNotFoundError('Order');
+  }
+
+  const item = order.items[0];
+  if (!item) {
+    throw createNotFoundError('Order item');
+  }
+
+  if (!order.substitutionAllowed) {
+    throw createConflictError('Customer did not allow substitutions for this order');
+  }
+
+  if (!SUBSTITUTABLE_STATUSES.includes(order.status)) {
+    throw createConflictError(`Cannot substitute items on a ${order.status.toLowerCase()} order`);
+  }
+
+  if (item.substitutions.length > 0) {
+    throw createConflictError('Item has already been substituted');
+  }
+
+  return { order, item };
+}
+
+/**
+ * Ranked alternatives for an order line from the substitution table. Only
+ * products with a size in stock for the whole line and within the rule's
+ * maxDelta are offered, by priority and then by smallest price difference.
+ * @param {Object} item - Order item
+ * @returns {Promise<Array>} Candidates with product, rule and pricing
+ */
+async function getSubstitutionCandidates(item) {
+  const rules = await prisma.substitution.findMany({
+    where: {
+      productId: item.productId,
+      substituteId: { not: item.productId }
+    },
+    orderBy: { priority: 'asc' }
+  });
+
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const products = await prisma.product.findMany({
+    where: {
+      id: { in: rules.map(rule => rule.substituteId) },
+      availability: true
+    },
+    select: {
+      id: true,
+      name: true,
+      image: true,
+      variants: {
+        where: { availability: true },
+        select: { id: true, size: true, image: true, price: true, stock: true }
+      }
+    }
+  });
+  const reserved = await getReservedQuantities(
+    products.flatMap(product => product.variants.map(variant => variant.id))
+  );
+
+  const candidates = [];
+
+  for (const rule of rules) {
+    const product = products.find(p => p.id === rule.substituteId);
+    const variant = product ? pickSubstituteVariant(product.variants, reserved, item) : null;
+    if (!variant) {
+      continue;
+    }
+
+    const pricing = evaluatePriceRule({
+      priceRule: rule.priceRule,
+      originalPrice: item.price,
+      substitutePrice: variant.price,
+      quantity: item.quantity,
+      maxDelta: rule.maxDelta
+    });
+
+    if (!pricing.allowed) {
+      continue;
+    }
+
+    candidates.push({
+      substituteId: product.id,
+      variantId: variant.id,
+      name: product.name,
+      size: variant.size,
+      image: variant.image || product.image,
+      price: variant.price,
+      priority: rule.priority,
+      priceRule: rule.priceRule,
+      priceDelta: pricing.priceDelta,
+      refundAmount: pricing.refundAmount,
+      requiresApproval: pricing.requiresApproval
+    });
+  }
+
+  return candidates.sort((a, b) =>
+    a.priority - b.priority || Math.abs(a.priceDelta) - Math.abs(b.priceDelta)
+  );
+}
+
+/**
+ * Swap the product on an order line for its substitute, taking the units out
+ * of the substitute variant's stock
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} substitution - Order substitution record
+ * @param {number} chargedPrice - Unit price the customer now pays
+ * @returns {Promise<void>}
+ * @throws {Error} Conflict error when the substitute sold out meanwhile
+ */
+async function swapOrderItem(tx, substitution, chargedPrice) {
+  const variantId = substitution.substituteVariantId;
+  const [variant] = await lockVariants(tx, [variantId]);
+  const reserved = await getReservedQuantities([variantId], { client: tx });
+  const available = variant ? variant.stock - (reserved.get(variantId) || 0) : 0;
+
+  if (!variant || !variant.availability || available < substitution.quantity) {
+    throw createConflictError('Substitute is no longer in stock');
+  }
+
+  const updated = await tx.productVariant.update({
+    where: { id: variantId },
+    data: { stock: { decrement: substitution.quantity } },
+    select: { stock: true }
+  });
+
+  if (updated.stock <= 0) {
+    await tx.productVariant.update({
+      where: { id: variantId },
+      data: { availability: false }
+    });
+  }
+
+  await enqueueProductChanges(tx, [substitution.substituteId], 'UPDATE');
+
+  await tx.orderItem.update({
+    where: { id: substitution.orderItemId },
+    data: {
+      productId: substitution.substituteId,
+      variantId,
+      name: substitution.substituteName,
+      size: substitution.substituteSize,
+      price: chargedPrice
+    }
+  });
+}
+
+/**
+ * Event metadata describing a substitution
+ * @param {Object} substitution - Order substitution record
+ * @returns {Object} Metadata
+ */
+function substitutionEventMetadata(substitution) {
+  return {
+    substitutionId: substitution.id,
+    orderItemId: substitution.orderItemId,
+    productId: substitution.productId,
+    substituteId: substitution.substituteId,
+    substituteVariantId: substitution.substituteVariantId,
+    substituteName: substitution.substituteName,
+    quantity: substitution.quantity,
+    priceRule: substitution.priceRule,
+    priceDelta: roundCurrency((substitution.substitutePrice - substitution.originalPrice) * substitution.quantity),
+    refundAmount: substitution.refundAmount
+  };
+}
+
+/**
+ * Substitute an order line the picker could not fulfil. Uses the requested
+ * substitute, or the best-ranked candidate. When the price rule needs the
+ * customer's approval the substitution is left pending and nothing changes
+ * on the order until they respond.
+ * @param {Object} params - Substitution parameters
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.itemId - Order item ID
+ * @param {string} params.substituteId - Preferred substitute product (optional)
+ * @returns {Promise<Object>} { substitution, alternatives }
+ * @throws {Error} Not found or conflict error
+ */
+async function substituteOrderItem({ orderId, itemId, substituteId = null }) {
+  const { item } = await getSubstitutableItem(orderId, itemId);
+  const candidates = await getSubstitutionCandidates(item);
+
+  const candidate = substituteId
+    ? candidates.find(c => c.substituteId === substituteId)
+    : candidates[0];
+
+  if (!candidate) {
+    const error = createConflictError(substituteId
+      ? 'Product is not an available substitute for this item'
+      : 'No substitute available for this item');
+    error.alternatives = candidates;
+    throw error;
+  }
+
+  const substitution = await prisma.$transaction(async (tx) => {
+    // Re-check under a row lock: another picker may have substituted the line
+    // since it was loaded
+    await tx.$queryRaw`SELECT id FROM order_items WHERE id = ${item.id} FOR UPDATE`;
+
+    const activeSubstitutions = await tx.orderSubstitution.count({
+      where: {
+        orderItemId: item.id,
+        status: { in: ['PENDING_APPROVAL', 'APPLIED'] }
+      }
+    });
+
+    if (activeSubstitutions > 0) {
+      throw createConflictError('Item has already been substituted');
+    }
+
+    const record = await tx.orderSubstitution.create({
+      data: {
+        orderId,
+        orderItemId: item.id,
+        productId: item.productId,
+        substituteId: candidate.substituteId,
+        substituteVariantId: candidate.variantId,
+        substituteName: candidate.name,
+        substituteSize: candidate.size,
+        quantity: item.quantity,
+        originalPrice: item.price,
+        substitutePrice: candidate.price,
+        priceRule: candidate.priceRule,
+        refundAmount: candidate.requiresApproval ? 0 : candidate.refundAmount,
+        status: candidate.requiresApproval ? 'PENDING_APPROVAL' : 'APPLIED',
+        resolvedAt: candidate.requiresApproval ? null : new Date()
+      }
+    });
+
+    if (!candidate.requiresApproval) {
+      await swapOrderItem(tx, record, candidate.refundAmount > 0 ? candidate.price : item.price);
+    }
+
+    await tx.orderEvent.create({
+      data: {
+        orderId,
+        event: candidate.requiresApproval
+          ? ORDER_EVENTS.SUBSTITUTION_APPROVAL_REQUESTED
+          : ORDER_EVENTS.SUBSTITUTION_APPLIED,
+        metadata: substitutionEventMetadata(record)
+      }
+    });
+
+    return record;
+  });
+
+  publishOrderEvents(orderId);
+
+  return {
+    substitution,
+    alternatives: candidates.filter(c => c.substituteId !== candidate.substituteId)
+  };
+}
+
+/**
+ * Record the customer's answer to a substitution awaiting approval. Approving
+ * applies the substitute under its price rule; rejecting drops the line and
+ * refunds it in full.
+ * @param {Object} params - Response parameters
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.substitutionId - Order substitution ID
+ * @param {string} params.customerId - Customer answering
+ * @param {boolean} params.approved - Whether the customer accepts the substitute
+ * @returns {Promise<Object>} Updated substitution
+ * @throws {Error} Not found or conflict error
+ */
+async function respondToSubstitution({ orderId, substitutionId, customerId, approved }) {
+  const substitution = await prisma.orderSubstitution.findFirst({
+    where: {
+      id: substitutionId,
+      orderId,
+      order: { customerId }
+    },
+    include: {
+      order: { select: { status: true } }
+    }
+  });
+
+  if (!substitution) {
+    throw createNotFoundError('Substitution');
+  }
+
+  if (substitution.status !== 'PENDING_APPROVAL') {
+    throw createConflictError('Substitution has already been answered');
+  }
+
+  if (!SUBSTITUTABLE_STATUSES.includes(substitution.order.status)) {
+    throw createConflictError(`Cannot change items on a ${substitution.order.status.toLowerCase()} order`);
+  }
+
+  // Approval lifts the approval requirement; the refund rule still applies
+  const pricing = evaluatePriceRule({
+    priceRule: 'REFUND_DELTA',
+    originalPrice: substitution.originalPrice,
+    substitutePrice: substitution.substitutePrice,
+    quantity: substitution.quantity
+  });
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Only the first answer counts when the customer responds twice at once
+    const { count } = await tx.orderSubstitution.updateMany({
+      where: { id: substitutionId, status: 'PENDING_APPROVAL' },
+      data: {
+        status: approved ? 'APPLIED' : 'REJECTED',
+        refundAmount: approved
+          ? pricing.refundAmount
+          : roundCurrency(substitution.originalPrice * substitution.quantity),
+        resolvedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw createConflictError('Substitution has already been answered');
+    }
+
+    const updated = await tx.orderSubstitution.findUnique({
+      where: { id: substitutionId }
+    });
+
+    if (approved) {
+      await swapOrderItem(tx, updated, pricing.chargedPrice);
+    } else {
+      await tx.orderItem.update({
+        where: { id: updated.orderItemId },
+        data: { missingQuantity: updated.quantity }
+      });
+    }
+
+    await tx.orderEvent.create({
+      data: {
+        orderId,
+        event: approved ? ORDER_EVENTS.SUBSTITUTION_APPROVED : ORDER_EVENTS.SUBSTITUTION_REJECTED,
+        metadata: substitutionEventMetadata(updated)
+      }
+    });
+
+    return updated;
+  });
+
+  publishOrderEvents(orderId);
+  return result;
+}
+
+module.exports = {
+  SUBSTITUTION_REFUND_THRESHOLD,
+  evaluatePriceRule,
+  pickSubstituteVariant,
+  getSubstitutableItem,
+  getSubstitutionCandidates,
+  substituteOrderItem,
+  respondToSubstitution
+};
@@ -0,0 +1,247 @@
+const { PrismaClient } = require('@prisma/client');
+const { SEARCH_LANGUAGES, SEARCH_SYNONYMS, SEARCH_STOP_WORDS, escapeHtml } = require('./search');
+
+const prisma = new PrismaClient();
+
+// How long popular queries and category names are served from memory
+const SUGGEST_CACHE_SECONDS = parseInt(process.env.SUGGEST_CACHE_SECONDS) || 300;
+
+// Window and size of the popular query list
+const POPULAR_QUERY_DAYS = 30;
+const POPULAR_QUERY_LIMIT = 500;
+
+// Shoppers (customers or guest sessions) who must have run a query before it
+// is suggested to others, so one person can't plant a suggestion
+const POPULAR_QUERY_MIN_SEARCHERS = parseInt(process.env.POPULAR_QUERY_MIN_SEARCHERS) || 3;
+
+// Most synonym terms searched alongside the query
+const MAX_SYNONYM_TERMS = 3;
+
+// In-memory caches: { language: { expiresAt, value } } and { expiresAt, value }
+const popularQueryCache = {};
+let categoryCache = null;
+
+/**
+ * Lowercase, trim and collapse whitespace so equal terms compare equal
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeTerm(text) {
+  return text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Pick the shopper's language from ?lang= or Accept-Language
+ * @param {Object} req - Express request
+ * @returns {string} Supported language code
+ */
+function resolveLanguage(req) {
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+  if (SEARCH_LANGUAGES.includes(requested)) {
+    return requested;
+  }
+
+  return req.acceptsLanguages(...SEARCH_LANGUAGES) || SEARCH_LANGUAGES[0];
+}
+
+/**
+ * Catalogue terms to search alongside a partly typed query, from the
+ * synonyms of the shopper's language
+ * @param {string} query - Query as typed
+ * @param {string} language - Language code
+ * @param {Object} synonymsByLanguage - Synonym map (default: SEARCH_SYNONYMS)
+ * @returns {Array<string>} Extra terms, at most MAX_SYNONYM_TERMS
+ */
+function expandSynonyms(query, language, synonymsByLanguage = SEARCH_SYNONYMS) {
+  const term = normalizeTerm(query);
+  if (term.length < 2) {
+    return [];
+  }
+
+  const terms = Object.entries(synonymsByLanguage[language] || {})
+    .filter(([key]) => key.startsWith(term))
+    .flatMap(([, alternatives]) => alternatives)
+    .filter(alternative => normalizeTerm(alternative) !== term);
+
+  return [...new Set(terms)].slice(0, MAX_SYNONYM_TERMS);
+}
+
+/**
+ * Drop the stop words of the shopper's language from a query. The index only
+ * knows the default language's stop words, so other languages are handled
+ * here. A query made only of stop words is kept as typed.
+ * @param {string} query - Query as typed
+ * @param {string} language - Language code
+ * @param {Object} stopWordsByLanguage - Stop word lists (default: SEARCH_STOP_WORDS)
+ * @returns {string} Query to search
+ */
+function removeStopWords(query, language, stopWordsByLanguage = SEARCH_STOP_WORDS) {
+  const stopWords = language === SEARCH_LANGUAGES[0] ? [] : stopWordsByLanguage[language] || [];
+  if (stopWords.length === 0) {
+    return query;
+  }
+
+  const words = query.trim().split(/\s+/);
+  const kept = words.filter(word => !stopWords.includes(word.toLowerCase()));
+
+  return kept.length > 0 && kept.length < words.length ? kept.join(' ') : query;
+}
+
+/**
+ * Wrap the first word of a text that starts with the query in <em> tags,
+ * matching Meilisearch's highlight format. The text is HTML-escaped.
+ * @param {string} text - Text to highlight
+ * @param {string} query - Query as typed
+ * @returns {string} HTML-safe highlighted text
+ */
+function highlightPrefix(text, query) {
+  const term = normalizeTerm(query);
+  const lower = text.toLowerCase();
+
+  let index = lower.startsWith(term) ? 0 : lower.indexOf(` ${term}`);
+  if (index === -1 || term.length === 0) {
+    return escapeHtml(text);
+  }
+  if (index > 0) index++;
+
+  return [
+    escapeHtml(text.slice(0, index)),
+    `<em>${escapeHtml(text.slice(index, index + term.length))}</em>`,
+    escapeHtml(text.slice(index + term.length))
+  ].join('');
+}
+
+/**
+ * Whether a text has a word starting with the query
+ * @param {string} text - Candidate text
+ * @param {string} query - Query as typed
+ * @returns {boolean} Match
+ */
+function matchesPrefix(text, query) {
+  const term = normalizeTerm(query);
+  const lower = normalizeTerm(text);
+  return lower.startsWith(term) || lower.includes(` ${term}`);
+}
+
+/**
+ * Merge popular queries, categories and products into one list without
+ * repeating a term. Popular queries come first, then categories, then products.
+ * @param {Object} sources - Suggestion sources
+ * @param {string} sources.query - Query as typed
+ * @param {Array} sources.queries - Popular queries as { query, count }
+ * @param {Array<string>} sources.categories - Category names
+ * @param {Array} sources.products - Product suggestions as { id, name, category, highlighted }
+ * @param {number} sources.limit - Maximum suggestions
+ * @returns {Array} Suggestions as { type, text, highlighted, ... }
+ */
+function blendSuggestions({ query, queries = [], categories = [], products = [], limit = 8 }) {
+  const seen = new Set([normalizeTerm(query)]);
+  const suggestions = [];
+
+  const add = (suggestion) => {
+    const key = normalizeTerm(suggestion.text);
+    if (suggestions.length < limit && !seen.has(key)) {
+      seen.add(key);
+      suggestions.push(suggestion);
+    }
+  };
+
+  for (const { query: text } of queries.slice(0, 3)) {
+    add({ type: 'query', text, highlighted: highlightPrefix(text, query) });
+  }
+
+  for (const category of categories.filter(name => matchesPrefix(name, query)).slice(0, 2)) {
+    add({ type: 'category', text: category, highlighted: highlightPrefix(category, query) });
+  }
+
+  for (const product of products) {
+    add({
+      type: 'product',
+      text: product.name,
+      highlighted: product.highlighted || highlightPrefix(product.name, query),
+      productId: product.id,
+      category: product.category
+    });
+  }
+
+  return suggestions;
+}
+
+/**
+ * Most searched queries of a language over the last POPULAR_QUERY_DAYS that
+ * found something and were run by at least POPULAR_QUERY_MIN_SEARCHERS
+ * shoppers. Served from memory.
+ * @param {string} language - Language code
+ * @returns {Promise<Array>} Queries as { query, count }, most popular first
+ */
+async function getPopularQueryList(language) {
+  const cached = popularQueryCache[language];
+
+  if (!cached || cached.expiresAt < Date.now()) {
+    const since = new Date(Date.now() - POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Searches without a customer or session count towards popularity but not searchers
+    const rows = await prisma.$queryRaw`
+      SELECT query, count(*)::int AS count
+      FROM search_queries
+      WHERE language = ${language}
+        AND "resultCount" > 0
+        AND "createdAt" >= ${since}
+      GROUP BY query
+      HAVING count(DISTINCT coalesce("customerId", "sessionId")) >= ${POPULAR_QUERY_MIN_SEARCHERS}
+      ORDER BY count DESC, query ASC
+      LIMIT ${POPULAR_QUERY_LIMIT}
+    `;
+
+    popularQueryCache[language] = {
+      expiresAt: Date.now() + SUGGEST_CACHE_SECONDS * 1000,
+      value: rows.map(row => ({ query: row.query, count: row.count }))
+    };
+  }
+
+  return popularQueryCache[language].value;
+}
+
+/**
+ * Popular queries of a language with a word starting with the given prefix
+ * @param {string} prefix - Query as typed
+ * @param {string} language - Language code
+ * @returns {Promise<Array>} Queries as { query, count }, most popular first
+ */
+async function getPopularQueries(prefix, language) {
+  const queries = await getPopularQueryList(language);
+  return queries.filter(({ query }) => matchesPrefix(query, prefix));
+}
+
+/**
+ * Names of categories with products on sale. Served from memory.
+ * @returns {Promise<Array<string>>} Category names
+ */
+async function getCategoryNames() {
+  if (!categoryCache || categoryCache.expiresAt < Date.now()) {
+    const rows = await prisma.product.findMany({
+      where: { availability: true },
+      select: { category: true },
+      distinct: ['category']
+    });
+
+    categoryCache = {
+      expiresAt: Date.now() + SUGGEST_CACHE_SECONDS * 1000,
+      value: rows.map(row => row.category)
+    };
+  }
+
+  return categoryCache.value;
+}
+
+module.exports = {
+  normalizeTerm,
+  resolveLanguage,
+  expandSynonyms,
+  removeStopWords,
+  highlightPrefix,
+  blendSuggestions,
+  getPopularQueryList,
+  getPopularQueries,
+  getCategoryNames
+};
@@ -0,0 +1,134 @@
+const { PrismaClient } = require('@prisma/client');
+const { createNotFoundError, createValidationError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+// Variant fields returned with products, baskets and orders
+const variantSelect = {
+  id: true,
+  size: true,
+  weight: true,
+  unit: true,
+  price: true,
+  unitPrice: true,
+  stock: true,
+  image: true,
+  availability: true
+};
+
+// Variants shown in the size picker: sold-out sizes stay listed, withdrawn ones don't
+const pickerVariants = {
+  where: { retiredAt: null },
+  select: variantSelect,
+  orderBy: [
+    { position: 'asc' },
+    { price: 'asc' }
+  ]
+};
+
+// Products on sale with at least one size that can be bought
+const productOnSale = {
+  availability: true,
+  variants: { some: { availability: true } }
+};
+
+// Products on sale with a size that can be added to a basket right now
+const productInStock = {
+  ...productOnSale,
+  variants: { some: { ...productOnSale.variants.some, stock: { gt: 0 } } }
+};
+
+/**
+ * Collapse a product's variants into the figures shown on its card: the
+ * lowest price and unit price, the units in stock across sizes and the sizes
+ * on offer. Variants off sale are left out.
+ * @param {Array} variants - Variants with size, price, unitPrice, stock and availability
+ * @returns {Object} { price, unitPrice, stock, sizes } (prices null when nothing is on sale)
+ */
+function summarizeVariants(variants) {
+  const onSale = variants.filter(variant => variant.availability);
+  const unitPrices = onSale
+    .map(variant => variant.unitPrice)
+    .filter(unitPrice => unitPrice !== null && unitPrice !== undefined);
+
+  return {
+    price: onSale.length > 0 ? Math.min(...onSale.map(variant => variant.price)) : null,
+    unitPrice: unitPrices.length > 0 ? Math.min(...unitPrices) : null,
+    stock: onSale.reduce((sum, variant) => sum + variant.stock, 0),
+    sizes: onSale.map(variant => variant.size).filter(Boolean)
+  };
+}
+
+/**
+ * Whether a product can be bought: on sale with at least one size on sale
+ * @param {Object} product - Product with availability and variants
+ * @returns {boolean} True when the product is on sale
+ */
+function isProductOnSale(product) {
+  return product.availability && (product.variants || []).some(variant => variant.availability);
+}
+
+/**
+ * Add the variant summary to a product loaded with its variants
+ * @param {Object} product - Product with variants
+ * @returns {Object} Product with price, unitPrice, stock and sizes
+ */
+function withVariantSummary(product) {
+  return { ...product, ...summarizeVariants(product.variants) };
+}
+
+/**
+ * Find the variant a shopper picked. A product sold in a single size can be
+ * picked by product ID alone; otherwise the variant ID is required.
+ * @param {Object} params - Selection
+ * @param {string} params.productId - Product ID (optional when variantId is given)
+ * @param {string} params.variantId - Variant ID (optional for single-size products)
+ * @param {Object} client - Prisma client or transaction (default: shared client)
+ * @returns {Promise<Object>} Variant with its product's id, name, category and availability
+ * @throws {Error} Not found error for unknown products or variants, validation
+ *   error when a product has several sizes and none was picked
+ */
+async function resolveVariant({ productId, variantId }, client = prisma) {
+  if (!variantId) {
+    const product = await client.product.findUnique({
+      where: { id: productId },
+      select: { variants: { where: { retiredAt: null }, select: { id: true } } }
+    });
+
+    if (!product) {
+      throw createNotFoundError('Product');
+    }
+
+    if (product.variants.length !== 1) {
+      throw createValidationError('variantId is required for products sold in several sizes');
+    }
+
+    variantId = product.variants[0].id;
+  }
+
+  const variant = await client.productVariant.findUnique({
+    where: { id: variantId },
+    include: {
+      product: {
+        select: { id: true, name: true, category: true, image: true, availability: true }
+      }
+    }
+  });
+
+  if (!variant || (productId && variant.productId !== productId)) {
+    throw createNotFoundError('Product variant');
+  }
+
+  return variant;
+}
+
+module.exports = {
+  variantSelect,
+  pickerVariants,
+  productOnSale,
+  productInStock,
+  summarizeVariants,
+  isProductOnSale,
+  withVariantSummary,
+  resolveVariant
+};